@@ -1,11 +1,11 @@
 import { useEffect, useMemo, useState } from "react";
-import axios from "axios";
+import * as api from "./api";
+import { toCsv } from "../../shared/csv.js";
+import MappingEditor from "./MappingEditor";
 import "./App.css";
 // Bundle logo via Vite so the correct hashed path is used in build + respects base
 import mmclogo from "./assets/mmc-logo.png";
 
-// Skip ngrok browser warning for API calls
-axios.defaults.headers.common["ngrok-skip-browser-warning"] = "true";
 
 /* ------------------------------ helpers ------------------------------ */
 const ICON = {
@@ -32,51 +32,18 @@ function extractCount(s) {
   return m ? Number(m[1].replace(/,/g, "")) : 0;
 }
 
-const GROUPS = {
-  "Accounting & Billing": [
-    "invoices",
-    "payments",
-    "expenses",
-    "bills",
-    "bill_payments",
-    "credit_notes",
-    "taxes",
-    "billable_items",
-    "other_income",
-    "journal_entries",
-    "ledger_accounts",
-    "chart_of_accounts",
-  ],
-  "Sales & Documents": ["estimates", "online_payments", "uploads"],
-  "Contacts": ["clients", "vendors", "bill_vendors"],
-  "Projects & Time": ["projects", "time_entries"],
-  "Meta": ["profile", "business", "account"],
-};
+// Extraction jobs are polled; a few failed polls in a row (tunnel blip) are tolerated
+const JOB_POLL_MS = 1500;
+const JOB_MAX_POLL_MISSES = 20;
 
-const DEFAULT_ENDPOINTS = [
-  "profile",
-  "business",
-  "invoices",
-  "credit_notes",
-  "bill_payments",
-  "billable_items",
-  "bill_vendors",
-  "other_income",
-  "payments",
-  "expenses",
-  "bills",
-  "estimates",
-  "clients",
-  "taxes",
-  "projects",
-  "time_entries",
-  "journal_entries",
-  "ledger_accounts",
-  "chart_of_accounts",
-];
-const DEFAULT_ENDPOINT_STATUS = Object.fromEntries(
-  DEFAULT_ENDPOINTS.map((key) => [key, `${ICON.ok} Ready (not tested)`])
-);
+// Group registry entries (from backend /api/entities) for the endpoint picker + tables
+const groupEntities = (entities) =>
+  (entities || []).reduce((acc, e) => {
+    const group = e.group || "Other";
+    if (!acc[group]) acc[group] = [];
+    acc[group].push(e.type);
+    return acc;
+  }, {});
 
 function toTitle(key) {
   if (key === "payments") return "invoice payments";
@@ -148,6 +115,16 @@ const isWithinRange = (dateStr, start, end) => {
 };
 const filterByDateRange = (arr, start, end) =>
   Array.isArray(arr) ? arr.filter((item) => isWithinRange(pickDateValue(item), start, end)) : [];
+// Backend reports: "as_of" reports use the end date, "range" reports the start + end dates
+const REPORTS = {
+  trial_balance: { label: "Trial balance", dates: "as_of" },
+  general_ledger: { label: "General ledger", dates: "range" },
+  ar_aging: { label: "AR aging", dates: "as_of" },
+  ap_aging: { label: "AP aging", dates: "as_of" },
+  reconciliation: { label: "Reconciliation", dates: "range" },
+};
+const reportFileName = (payload) =>
+  payload?.report ? [payload.report, payload.view].filter(Boolean).join("_") : "";
 const updateCount = (updater, label, value) => {
   const safeLabel = label || "Unknown";
   updater((prev) => ({ ...prev, [safeLabel]: Number(value) || 0 }));
@@ -328,13 +305,6 @@ function extractLineItems(type, items) {
 
 /* ============================== APP ============================== */
 function App() {
-  const backend = (() => {
-    const envBackend = import.meta.env.VITE_BACKEND;
-    const localDefault = `${window.location.protocol}//${window.location.hostname}:5050`;
-    // If developing on localhost, prefer hitting local backend directly to bypass ngrok/browser warning.
-    if (window.location.hostname === "localhost") return localDefault;
-    return envBackend || localDefault;
-  })();
 
   /* THEME HANDLING */
   const [theme, setTheme] = useState(localStorage.getItem("theme") || "dark");
@@ -356,8 +326,8 @@ function App() {
   }, [customUserName]);
 
   /* AUTH + BUSINESS STATES */
-  const [accessToken, setAccessToken] = useState("");
-  const [refreshToken, setRefreshToken] = useState("");
+  const [sessionInfo, setSessionInfo] = useState(null);
+  const [sessionChecked, setSessionChecked] = useState(false);
   const [accountId, setAccountId] = useState("");
   const [businessId, setBusinessId] = useState("");
   const [businessUUID, setBusinessUUID] = useState("");
@@ -376,6 +346,8 @@ function App() {
   const [history, setHistory] = useState([]);
   const [historyLoading, setHistoryLoading] = useState(false);
   const [selectedHistory, setSelectedHistory] = useState(null);
+  // Two history extract actions (by snapshot_id) to compare
+  const [compareSelection, setCompareSelection] = useState([]);
 
   const [start, setStart] = useState("");
   const [end, setEnd] = useState("");
@@ -383,85 +355,92 @@ function App() {
 
   const [userName, setUserName] = useState("");
   const [showRaw, setShowRaw] = useState(false);
+  const [useLocalCopy, setUseLocalCopy] = useState(false);
+  const [csvOptions, setCsvOptions] = useState({ delimiter: ",", bom: false });
   const [endpointStatus, setEndpointStatus] = useState({});
   const [filter, setFilter] = useState("all");
-  const [openGroups, setOpenGroups] = useState(Object.keys(GROUPS));
+  const [entities, setEntities] = useState([]);
+  const [openGroups, setOpenGroups] = useState([]);
 
+  const groups = useMemo(() => groupEntities(entities), [entities]);
   const hasTestResults = Object.keys(endpointStatus).length > 0;
   const endpointsForUI = useMemo(
-    () => (hasTestResults ? endpointStatus : DEFAULT_ENDPOINT_STATUS),
-    [hasTestResults, endpointStatus]
+    () =>
+      hasTestResults
+        ? endpointStatus
+        : Object.fromEntries(entities.map((e) => [e.type, `${ICON.ok} Ready (not tested)`])),
+    [hasTestResults, endpointStatus, entities]
   );
 
-  const isLoggedIn = Boolean(accessToken && refreshToken);
+  const isLoggedIn = Boolean(sessionInfo?.signed_in);
+
+  /* ----------------- ENTITY REGISTRY ----------------- */
+  useEffect(() => {
+    api
+      .getEntities()
+      .then((list) => {
+        setEntities(list);
+        setOpenGroups(Object.keys(groupEntities(list)));
+      })
+      .catch((err) => console.error("❌ Failed to load entity list:", err));
+  }, []);
+
+  /* ----------------- RESTORE SESSION ----------------- */
+  // Tokens live in the backend session only; the callback hands us a one-time login code
+  const applySession = (info) => {
+    setSessionInfo(info || null);
+    setAccountId(info?.account_id || "");
+    setBusinessId(info?.business_id || "");
+    setBusinessUUID(info?.business_uuid || "");
+  };
 
-  /* ----------------- RESTORE TOKENS ----------------- */
   useEffect(() => {
     const params = new URLSearchParams(window.location.search);
-    const access = params.get("access");
-    const refresh = params.get("refresh");
-    const account = params.get("account");
-    const business = params.get("business");
-    const uuid = params.get("business_uuid");
+    const loginCode = params.get("login_code");
     const incomingName = params.get("user_name");
 
-    if (access && refresh) {
-      setAccessToken(access);
-      setRefreshToken(refresh);
-      setAccountId(account || "");
-      setBusinessId(business || "");
-      setBusinessUUID(uuid || "");
-      if (incomingName) {
-        setCustomUserName(incomingName);
-        localStorage.setItem("custom_user_name", incomingName);
-      }
-
-      localStorage.setItem("access", access);
-      localStorage.setItem("refresh", refresh);
-      localStorage.setItem("account", account || "");
-      localStorage.setItem("business_id", business || "");
-      localStorage.setItem("business_uuid", uuid || "");
+    // Older versions kept tokens in the browser; they are not used anymore
+    ["access", "refresh", "account", "business_id", "business_uuid"].forEach((k) =>
+      localStorage.removeItem(k)
+    );
+    if (incomingName) {
+      setCustomUserName(incomingName);
+      localStorage.setItem("custom_user_name", incomingName);
+    }
 
-      fetchUserName(access);
-      window.history.replaceState({}, document.title, "/");
-    } else {
-      const savedAccess = localStorage.getItem("access");
-      const savedRefresh = localStorage.getItem("refresh");
-      const savedAccount = localStorage.getItem("account");
-      const savedUUID = localStorage.getItem("business_uuid");
-      const savedBusiness = localStorage.getItem("business_id");
-
-      if (savedAccess && savedRefresh) {
-        setAccessToken(savedAccess);
-        setRefreshToken(savedRefresh);
-        setAccountId(savedAccount || "");
-        setBusinessId(savedBusiness || "");
-        setBusinessUUID(savedUUID || "");
-        fetchUserName(savedAccess);
+    const restore = async () => {
+      try {
+        if (loginCode) {
+          window.history.replaceState({}, document.title, "/");
+          await api.claimLogin(loginCode);
+        }
+        const info = await api.getSession();
+        applySession(info);
+        if (info?.signed_in) fetchUserName();
+      } catch (err) {
+        console.error("❌ Failed to restore session:", err);
+      } finally {
+        setSessionChecked(true);
       }
-    }
+    };
+    restore();
   }, []);
 
   /* ------------- FETCH USER NAME -------------- */
-  const fetchUserName = async (token) => {
+  const fetchUserName = async () => {
     try {
-      const res = await axios.get(`${backend}/api/whoami`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      setUserName(res.data?.response?.user?.fname || "Unknown User");
+      const whoami = await api.getWhoami();
+      setUserName(whoami?.response?.user?.fname || "Unknown User");
     } catch (err) {
       console.error("❌ Error fetching user:", err);
     }
   };
 
   const fetchHistory = async () => {
-    if (!accessToken) return;
+    if (!isLoggedIn) return;
     setHistoryLoading(true);
     try {
-      const res = await axios.get(`${backend}/api/history`, {
-        params: { limit: 200 },
-      });
-      setHistory(res.data?.history || []);
+      setHistory(await api.getHistory(200));
     } catch (err) {
       console.error("❌ Failed to load history:", err);
     } finally {
@@ -475,23 +454,24 @@ function App() {
 
   const authorize = () => {
     if (!customUserName.trim()) return alert("Please enter your name first.");
-    const url = `${backend}/auth?user_name=${encodeURIComponent(customUserName.trim())}`;
-    window.location.href = url;
+    window.location.href = api.authUrl(customUserName.trim());
   };
 
-  const logout = () => {
+  const logout = async () => {
+    try {
+      await api.resetSession();
+    } catch (err) {
+      console.error("❌ Failed to end backend session:", err);
+    }
     localStorage.clear();
-    setAccessToken("");
-    setRefreshToken("");
-    setAccountId("");
-    setBusinessId("");
-    setBusinessUUID("");
+    applySession(null);
     setBusinessList([]);
     setSelectedBusiness(null);
     setData(null);
     setHistory([]);
     setHistoryLoading(false);
     setSelectedHistory(null);
+    setCompareSelection([]);
     window.location.href = "/";
   };
 
@@ -500,12 +480,7 @@ function App() {
     setBizLoading(true);
     setProgress("⏳ Fetching business list...");
     try {
-      const res = await axios.get(`${backend}/api/business-map`, {
-        headers: { Authorization: `Bearer ${accessToken}` },
-        timeout: 20000,
-      });
-
-      setBusinessList(res.data?.businesses || []);
+      setBusinessList(await api.getBusinessMap());
       setProgress("✅ Business list loaded!");
     } catch (err) {
       console.error("❌ Error fetching business list:", err);
@@ -519,33 +494,24 @@ function App() {
   const updateBusinessSelection = async () => {
     if (!selectedBusiness) return alert("Select business first!");
 
-    setAccountId(selectedBusiness.account_id || "");
-    setBusinessId(selectedBusiness.business_id || "");
-    setBusinessUUID(selectedBusiness.business_uuid || "");
-
-    localStorage.setItem("account", selectedBusiness.account_id || "");
-    localStorage.setItem("business_id", selectedBusiness.business_id || "");
-    localStorage.setItem("business_uuid", selectedBusiness.business_uuid || "");
     const fileName = toFileName(selectedBusiness.name || "export", selectedBusiness.business_id);
 
     setBizLoading(true);
     setProgress("💾 Updating business...");
 
     try {
-      await axios.post(
-        `${backend}/api/update-tokens`,
+      const session = await api.selectBusiness(
         {
-          access_token: localStorage.getItem("access"),
-          refresh_token: localStorage.getItem("refresh"),
           account_id: selectedBusiness.account_id,
           business_id: selectedBusiness.business_id,
           business_uuid: selectedBusiness.business_uuid,
           file_name: fileName,
           business_name: selectedBusiness.name,
         },
-        { timeout: 20000, headers: { "x-user-name": customUserName } }
+        customUserName
       );
 
+      applySession(session);
       setProgress(`✅ Updated to: ${selectedBusiness.name}`);
       await fetchHistory();
     } catch (err) {
@@ -566,16 +532,13 @@ function App() {
     setProgress("⏳ Testing endpoints...");
 
     try {
-      const res = await axios.get(`${backend}/api/test-endpoints`, {
-        params: {
-          account_id: accountId,
-          business_id: businessId,
-          business_uuid: businessUUID,
-        },
-        timeout: 120000,
+      const results = await api.testEndpoints({
+        account_id: accountId,
+        business_id: businessId,
+        business_uuid: businessUUID,
       });
 
-      setEndpointStatus(res.data?.results || {});
+      setEndpointStatus(results);
       setProgress("✅ Endpoints tested!");
     } catch (err) {
       console.error("❌ Endpoint test failed:", err);
@@ -585,6 +548,159 @@ function App() {
     setTesting(false);
   };
 
+  /* ---------------- BACKGROUND EXTRACT JOB ---------------- */
+  const showJobProgress = ({ page = 0, records = 0, totalPages = null }) => {
+    if (!page) return;
+    setProgress(`⏳ Page ${page}${totalPages ? ` of ${totalPages}` : ""} • ${records} records`);
+    if (totalPages) setProgressPercent(Math.min(95, Math.round((page / totalPages) * 100)));
+  };
+
+  // Live progress over SSE; resolves with the finished job, rejects if the stream drops
+  const watchJobEvents = (jobId) =>
+    new Promise((resolve, reject) => {
+      const source = new EventSource(api.jobEventsUrl(jobId), { withCredentials: true });
+      const parse = (e) => {
+        try {
+          return JSON.parse(e.data);
+        } catch {
+          return {};
+        }
+      };
+      const finish = (e) => {
+        source.close();
+        resolve(parse(e).job);
+      };
+
+      source.addEventListener("page", (e) => {
+        const evt = parse(e);
+        showJobProgress({ page: evt.page, records: evt.count, totalPages: evt.total_pages });
+      });
+      source.addEventListener("resume", (e) => {
+        const evt = parse(e);
+        setProgress(`↻ Resuming from page ${evt.page} (${evt.count} records kept)...`);
+      });
+      source.addEventListener("alt_url", (e) => {
+        const evt = parse(e);
+        setProgress(`↪ Endpoint returned ${evt.status}, switching to fallback URL...`);
+      });
+      source.addEventListener("retry", (e) => {
+        const evt = parse(e);
+        const reason = evt.status || evt.code || "network error";
+        setProgress(
+          `⏳ FreshBooks ${reason} on page ${evt.page}, retry ${evt.attempt} in ${Math.ceil(evt.delay_ms / 1000)}s...`
+        );
+      });
+      source.addEventListener("done", finish);
+      source.addEventListener("failed", finish);
+      source.onerror = () => {
+        source.close();
+        reject(new Error("Progress stream lost"));
+      };
+    });
+
+  // Polling fallback (stream blocked by a proxy, tunnel drop, backend restart)
+  const pollJob = async (initialJob) => {
+    let job = initialJob;
+    let misses = 0;
+    while (job && job.state !== "done" && job.state !== "failed") {
+      await new Promise((resolve) => setTimeout(resolve, JOB_POLL_MS));
+      try {
+        job = await api.getJob(job.id);
+        misses = 0;
+      } catch (err) {
+        misses += 1;
+        if (misses >= JOB_MAX_POLL_MISSES) throw err;
+        continue;
+      }
+
+      // Backend restarted mid-run → continue from the checkpoint
+      if (job?.state === "interrupted") {
+        job = await api.resumeJob(job.id);
+      }
+
+      const { page, records, total_pages: totalPages } = job?.progress || {};
+      showJobProgress({ page, records, totalPages });
+    }
+    return job;
+  };
+
+  // Starts (or resumes) a backend job and follows it, so a dropped request/tunnel
+  // doesn't lose the pages already fetched. Resolves with { data: payload } like the old axios call.
+  const runExtractJob = async (params) => {
+    // Local copy: backend only asks FreshBooks for records changed since the last sync
+    const syncable = entities.find((e) => e.type === params.type)?.syncable;
+    if (useLocalCopy && syncable) params = { ...params, sync: true };
+    return followExtractJob(await api.startExtractJob(params, customUserName), params.type);
+  };
+
+  // Follows a started job (POST /api/jobs or a history re-run) until its payload is ready
+  const followExtractJob = async (started, extractType) => {
+    let job = started.job;
+    if (started.resumed && job?.resume_page) {
+      setProgress(`↻ Resuming ${toTitle(extractType)} from page ${job.resume_page}...`);
+    }
+
+    try {
+      job = (await watchJobEvents(job.id)) || job;
+    } catch (err) {
+      console.warn("⚠️ Progress stream unavailable, polling instead:", err.message);
+    }
+    if (job && job.state !== "done" && job.state !== "failed") job = await pollJob(job);
+
+    if (!job || job.state === "failed") {
+      const err = new Error("Extraction job failed");
+      err.response = { status: job?.error?.status, data: { error: job?.error?.error || err.message } };
+      throw err;
+    }
+
+    return { data: await api.getJobResult(job.id) };
+  };
+
+  // Extract payload → data table (shared by "Extract Summary" and history re-runs)
+  const showExtraction = (payload, extractType, rangeStart, rangeEnd) => {
+    const dataset = Array.isArray(payload.data) ? payload.data : [];
+    const hasDateValues = dataset.some((item) => Boolean(pickDateValue(item)));
+    // Some datasets (e.g., chart_of_accounts) do not carry date fields; skip date filtering for them.
+    const filtered = hasDateValues ? filterByDateRange(dataset, rangeStart, rangeEnd) : dataset;
+    setRaw({ ...payload, data: filtered });
+    setData({ ...payload, data: filtered, total: filtered.length });
+    const label = toTitle(extractType);
+    updateCount(setTypeCounts, label, filtered.length);
+    const syncNote = payload.sync
+      ? ` (${payload.sync.mode} sync: ${payload.sync.fetched} changed, ${payload.sync.local_total} stored)`
+      : "";
+    setProgress(`✅ ${label} ready: ${filtered.length} rows${syncNote}`);
+  };
+
+  /* ---------------- RE-RUN FROM HISTORY ---------------- */
+  // Backend restores the action's params (switching business if needed) and starts the job
+  const rerunAction = async (action) => {
+    if (!action?.id) return;
+    setLoading(true);
+    setData(null);
+    const range = `${action.start_date || "start"} → ${action.end_date || "latest"}`;
+    setProgress(`↻ Re-running ${toTitle(action.type)} (${range})...`);
+    setProgressPercent(5);
+    try {
+      const started = await api.rerunHistoryAction(action.id, customUserName);
+      if (started.session) applySession(started.session);
+      setType(action.type || "");
+      setStart(action.start_date || "");
+      setEnd(action.end_date || "");
+      const res = await followExtractJob(started, action.type);
+      setProgressPercent(100);
+      // Same view the original run used: line items or the summary table
+      const show = action.line_mode ? showLineExtraction : showExtraction;
+      show(res.data || {}, action.type, action.start_date, action.end_date);
+      await fetchHistory();
+    } catch (err) {
+      console.error("❌ Re-run failed:", err);
+      setProgress(`❌ Re-run failed: ${formatAxiosError(err)}`);
+    }
+    setLoading(false);
+    setTimeout(() => setProgressPercent(0), 2000);
+  };
+
   /* ---------------- EXTRACT SUMMARY DATA ---------------- */
   const extractData = async () => {
     if (!businessId || !accountId || !businessUUID)
@@ -599,35 +715,20 @@ function App() {
     setProgressPercent(5);
 
     try {
-      const res = await axios.get(`${backend}/api/extract`, {
-        params: {
-          start_date: toDateParam(start),
-          end_date: toDateParam(end),
-          type,
-          account_id: accountId,
-          business_id: businessId,
-          business_uuid: businessUUID,
-          include_raw: true,
-          file_name: toFileName(type, businessId),
-        },
-        headers: {
-          "x-user-name": customUserName,
-        },
-        timeout: 180000,
+      const res = await runExtractJob({
+        start_date: toDateParam(start),
+        end_date: toDateParam(end),
+        type,
+        account_id: accountId,
+        business_id: businessId,
+        business_uuid: businessUUID,
+        include_raw: true,
+        file_name: toFileName(type, businessId),
       });
 
       setProgressPercent(100);
       setProgress("✅ Extraction complete!");
-      const payload = res.data || {};
-      const dataset = Array.isArray(payload.data) ? payload.data : [];
-      const hasDateValues = dataset.some((item) => Boolean(pickDateValue(item)));
-      // Some datasets (e.g., chart_of_accounts) do not carry date fields; skip date filtering for them.
-      const filtered = hasDateValues ? filterByDateRange(dataset, start, end) : dataset;
-      setRaw({ ...payload, data: filtered });
-      setData({ ...payload, data: filtered, total: filtered.length });
-      const label = toTitle(type);
-      updateCount(setTypeCounts, label, filtered.length);
-      setProgress(`✅ ${label} ready: ${filtered.length} rows`);
+      showExtraction(res.data || {}, type, start, end);
       await fetchHistory();
     } catch (err) {
       console.error("❌ Extraction failed:", err);
@@ -638,272 +739,118 @@ function App() {
     setTimeout(() => setProgressPercent(0), 2000);
   };
 
-  /* ---------------- EXTRACT LINE ITEM DATA ---------------- */
-  const extractLineData = async () => {
-    if (!type) return alert("Select type first!");
-    if (!accountId) return alert("Account ID missing. Update business first.");
-    if (!start || !end) return alert("Select date range!");
-
-    setLoading(true);
-    setProgress("Fetching line items...");
-    setData(null);
-    const finishLineExtraction = async () => {
-      await fetchHistory();
-      setLoading(false);
-    };
-
-    try {
-      const res = await axios.get(`${backend}/api/extract`, {
-        params: {
-          start_date: toDateParam(start),
-          end_date: toDateParam(end),
-          type,
-          account_id: accountId,
-          business_id: businessId,
-          business_uuid: businessUUID,
-          line_mode: type === "credit_notes" ? "true" : undefined,
-          max_pages: type === "journal_entries" ? 150 : undefined,
-          include_raw: true,
-          file_name: toFileName(type, businessId),
-        },
-        headers: { "x-user-name": customUserName },
-        timeout: ["journal_entries", "invoices", "estimates"].includes(type) ? 300000 : 180000,
-      });
-
-      setRaw(res.data);
-      const raw = res.data?.data || [];
-      const hasDateValues = Array.isArray(raw) && raw.some((item) => Boolean(pickDateValue(item)));
-      const parents = hasDateValues ? filterByDateRange(raw, start, end) : raw;
-
-      // --- Bills one-sheet ---
-      if (type === "bills") {
-        const resolveLineArray = (parent) => {
-          if (!parent) return [];
-          if (Array.isArray(parent.line_items_array)) return parent.line_items_array;
-          if (Array.isArray(parent.line_items_raw)) return parent.line_items_raw;
-          if (Array.isArray(parent.line_items)) return parent.line_items;
-          if (Array.isArray(parent.bill_lines_raw)) return parent.bill_lines_raw;
-          if (Array.isArray(parent.bill_lines)) return parent.bill_lines;
-          if (Array.isArray(parent.lines)) return parent.lines;
-          return extractLineItems("bills", [parent]) || [];
-        };
-        const toAmount = (value) => {
-          if (value && typeof value === "object") return Number(value.amount ?? value.total ?? value.value ?? 0);
-          return Number(value ?? 0);
-        };
-        const parseDate = (value) => {
-          if (!value) return null;
-          const normalized = String(value).trim();
-          const isoLike = /^(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{2}):(\d{2})(?::(\d{2}))?)?/;
-          const isoMatch = isoLike.exec(normalized);
-          if (isoMatch) {
-            const [, y, m, d, hh = "0", mm = "0", ss = "0"] = isoMatch;
-            return new Date(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm), Number(ss));
-          }
-          const match = /(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}))?/.exec(normalized);
-          if (match) {
-            const [, month, day, year, hour = "0", minute = "0"] = match;
-            return new Date(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute));
-          }
-          const direct = new Date(normalized);
-          if (!Number.isNaN(direct.getTime())) return direct;
-          return null;
-        };
-        const formatDate = (value, withTime = false) => {
-          const d = parseDate(value);
-          if (!d) return "";
-          const datePart = `${d.getMonth() + 1}/${d.getDate()}/${d.getFullYear()}`;
-          if (!withTime) return datePart;
-          const hh = String(d.getHours()).padStart(2, "0");
-          const mm = String(d.getMinutes()).padStart(2, "0");
-          return `${datePart} ${hh}:${mm}`;
-        };
-
-        const columns = [
-          "amount",
-          "bill_number",
-          "created_at",
-          "currency_code",
-          "due_date",
-          "due_offset_days",
-          "issue_date",
-          "outstanding",
-          "overall_category",
-          "paid",
-          "status",
-          "tax_amount",
-          "total_amount",
-          "line_items",
-          "parent_id",
-          "vendorid",
-          "description",
-          "line_description",
-          "quantity",
-          "category",
-          "tax_amount1",
-          "tax_amount2",
-          "tax_name1",
-          "tax_name2",
-          "tax_percent1",
-          "tax_percent2",
-          "line_total_amount",
-          "unit_cost",
-          "line_date",
-        ];
-
-        if (!parents.length) {
-          setData({ success: true, total: 0, data: [] });
-          setProgress("No bills found for the selected range/account.");
-          updateCount(setTypeCounts, "Bill sheet", 0);
-          await finishLineExtraction();
-          return;
+  /* ---------------- LINE ITEM VIEWS ---------------- */
+  // Line extraction payload → one sheet per type (shared by "Extract Line Items" and history re-runs)
+  const showLineExtraction = (payload, lineType, rangeStart, rangeEnd) => {
+    setRaw(payload);
+    const raw = payload?.data || [];
+    const hasDateValues = Array.isArray(raw) && raw.some((item) => Boolean(pickDateValue(item)));
+    const parents = hasDateValues ? filterByDateRange(raw, rangeStart, rangeEnd) : raw;
+
+    // --- Bills one-sheet ---
+    if (lineType === "bills") {
+      const resolveLineArray = (parent) => {
+        if (!parent) return [];
+        if (Array.isArray(parent.line_items_array)) return parent.line_items_array;
+        if (Array.isArray(parent.line_items_raw)) return parent.line_items_raw;
+        if (Array.isArray(parent.line_items)) return parent.line_items;
+        if (Array.isArray(parent.bill_lines_raw)) return parent.bill_lines_raw;
+        if (Array.isArray(parent.bill_lines)) return parent.bill_lines;
+        if (Array.isArray(parent.lines)) return parent.lines;
+        return extractLineItems("bills", [parent]) || [];
+      };
+      const toAmount = (value) => {
+        if (value && typeof value === "object") return Number(value.amount ?? value.total ?? value.value ?? 0);
+        return Number(value ?? 0);
+      };
+      const parseDate = (value) => {
+        if (!value) return null;
+        const normalized = String(value).trim();
+        const isoLike = /^(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{2}):(\d{2})(?::(\d{2}))?)?/;
+        const isoMatch = isoLike.exec(normalized);
+        if (isoMatch) {
+          const [, y, m, d, hh = "0", mm = "0", ss = "0"] = isoMatch;
+          return new Date(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm), Number(ss));
         }
-
-        const rows = [];
-        parents.forEach((parent) => {
-          const parentLines = resolveLineArray(parent);
-          parentLines.forEach((line) => {
-            rows.push({
-              amount: toAmount(parent.amount),
-              bill_number: parent.bill_number,
-              created_at: formatDate(parent.created_at || parent.create_date, true),
-              currency_code: parent.currency_code,
-              due_date: formatDate(parent.due_date),
-              due_offset_days: Number(parent.due_offset_days ?? 0),
-              issue_date: formatDate(parent.issue_date),
-              outstanding: toAmount(parent.outstanding),
-              overall_category: parent.overall_category || line.category?.category || line.category || "",
-              paid: toAmount(parent.paid),
-              status: parent.status,
-              tax_amount: toAmount(parent.tax_amount),
-              total_amount: toAmount(parent.total_amount),
-              line_items: parentLines.length,
-              parent_id: parent.id ?? parent.billid ?? parent.bill_id,
-              vendorid:
-                parent.vendorid ||
-                parent.vendor_id ||
-                parent.vendor?.id ||
-                parent.vendor?.vendorid ||
-                parent.vendor?.vendor_id ||
-                parent.vendor?.accountid ||
-                parent.vendor?.account_id ||
-                parent.vendor?.userid ||
-                parent.vendor?.uuid ||
-                parent.bill_vendor?.id ||
-                parent.bill_vendor?.vendor_id ||
-                "",
-              description: parent.description || "",
-              line_description: line.description || line.name || "",
-              quantity: line.quantity || line.qty || 1,
-              category: line.category?.category || line.category || "",
-              tax_amount1: line.tax_amount1 ?? "",
-              tax_amount2: line.tax_amount2 ?? "",
-              tax_name1: line.tax_name1 ?? "",
-              tax_name2: line.tax_name2 ?? "",
-              tax_percent1: line.tax_percent1 ?? "",
-              tax_percent2: line.tax_percent2 ?? "",
-              line_total_amount: toAmount(line.total_amount ?? line.total),
-              unit_cost: toAmount(line.unit_cost),
-              line_date: formatDate(line.date || parent.issue_date),
-            });
-          });
-        });
-
-        setData({ success: true, total: rows.length, data: rows, headers: columns });
-        setProgress(`Bills ready: ${rows.length} rows`);
-        updateCount(setTypeCounts, "Bill sheet", rows.length);
-        await finishLineExtraction();
+        const match = /(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}))?/.exec(normalized);
+        if (match) {
+          const [, month, day, year, hour = "0", minute = "0"] = match;
+          return new Date(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute));
+        }
+        const direct = new Date(normalized);
+        if (!Number.isNaN(direct.getTime())) return direct;
+        return null;
+      };
+      const formatDate = (value, withTime = false) => {
+        const d = parseDate(value);
+        if (!d) return "";
+        const datePart = `${d.getMonth() + 1}/${d.getDate()}/${d.getFullYear()}`;
+        if (!withTime) return datePart;
+        const hh = String(d.getHours()).padStart(2, "0");
+        const mm = String(d.getMinutes()).padStart(2, "0");
+        return `${datePart} ${hh}:${mm}`;
+      };
+
+      const columns = [
+        "amount",
+        "bill_number",
+        "created_at",
+        "currency_code",
+        "due_date",
+        "due_offset_days",
+        "issue_date",
+        "outstanding",
+        "overall_category",
+        "paid",
+        "status",
+        "tax_amount",
+        "total_amount",
+        "line_items",
+        "parent_id",
+        "vendorid",
+        "description",
+        "line_description",
+        "quantity",
+        "category",
+        "tax_amount1",
+        "tax_amount2",
+        "tax_name1",
+        "tax_name2",
+        "tax_percent1",
+        "tax_percent2",
+        "line_total_amount",
+        "unit_cost",
+        "line_date",
+      ];
+
+      if (!parents.length) {
+        setData({ success: true, total: 0, data: [] });
+        setProgress("No bills found for the selected range/account.");
+        updateCount(setTypeCounts, "Bill sheet", 0);
         return;
       }
 
-      // --- Expenses one-sheet ---
-      if (type === "expenses") {
-        const resolveLineArray = (parent) => {
-          if (!parent) return [];
-          if (Array.isArray(parent.line_items_array)) return parent.line_items_array;
-          if (Array.isArray(parent.bill_lines)) return parent.bill_lines;
-          if (Array.isArray(parent.line_items)) return parent.line_items;
-          if (Array.isArray(parent.lines)) return parent.lines;
-          return [];
-        };
-        const toAmount = (value) => {
-          if (value && typeof value === "object") return Number(value.amount ?? value.total ?? value.value ?? 0);
-          return Number(value ?? 0);
-        };
-        const amtOrBlank = (v) => (v === null || v === undefined || v === "" ? "" : toAmount(v));
-
-        const columns = [
-          "vendor",
-          "vendorid",
-          "category",
-          "categoryid",
-          "date",
-          "line_date",
-          "taxAmount1",
-          "taxAmount2",
-          "taxName1",
-          "taxName2",
-          "taxPercent1",
-          "taxPercent2",
-          "amount",
-          "notes",
-        ];
-
-        const rows = [];
-
-        const taxTuple = (line, parent, idx) => {
-          const taxesArr =
-            (Array.isArray(line.taxes) && line.taxes) ||
-            (Array.isArray(line.tax_summary) && line.tax_summary) ||
-            (Array.isArray(parent.tax_summary) && parent.tax_summary) ||
-            [];
-          const t = taxesArr[idx] || {};
-          const amount = t.amount ?? t.tax_amount ?? t.value ?? null;
-          const percent = t.percent ?? t.rate ?? null;
-          const name = t.name ?? t.tax_name ?? "";
-          return { amount, percent, name };
-        };
-
-        parents.forEach((parent) => {
-          const parentLines = resolveLineArray(parent);
-          parentLines.forEach((line) => {
-            const t1 = taxTuple(line, parent, 0);
-            const t2 = taxTuple(line, parent, 1);
-
-            const taxAmount1 =
-              t1.amount != null
-                ? amtOrBlank(t1.amount)
-                : amtOrBlank(line.tax_amount1 ?? line.taxAmount1 ?? parent.tax_amount1 ?? "");
-            const taxAmount2 =
-              t2.amount != null
-                ? amtOrBlank(t2.amount)
-                : amtOrBlank(line.tax_amount2 ?? line.taxAmount2 ?? parent.tax_amount2 ?? "");
-            const taxName1 = t1.name || line.tax_name1 || line.taxName1 || parent.tax_name1 || "";
-            const taxName2 = t2.name || line.tax_name2 || line.taxName2 || parent.tax_name2 || "";
-            const taxPercent1 = t1.percent ?? line.tax_percent1 ?? line.taxPercent1 ?? parent.tax_percent1 ?? "";
-            const taxPercent2 = t2.percent ?? line.tax_percent2 ?? line.taxPercent2 ?? parent.tax_percent2 ?? "";
-            const amount = toAmount(line.total ?? line.total_amount ?? line.amount ?? parent.amount);
-            const category =
-              parent.category_name ||
-              line.category?.category ||
-              line.category ||
-              parent.overall_category ||
-              "";
-            const lineDesc = line.name || line.description || parent.notes || category || "";
-            const categoryId =
-              line.category_id ||
-              line.categoryid ||
-              line.category?.categoryid ||
-              line.category?.id ||
-              line.category?.category_id ||
-              parent.category?.id ||
-              parent.category?.categoryid ||
-              parent.categoryid ||
-              parent.category_id ||
-              parent.overall_category_id ||
-              parent.overall_categoryid ||
-              "";
-            const vendorId =
+      const rows = [];
+      parents.forEach((parent) => {
+        const parentLines = resolveLineArray(parent);
+        parentLines.forEach((line) => {
+          rows.push({
+            amount: toAmount(parent.amount),
+            bill_number: parent.bill_number,
+            created_at: formatDate(parent.created_at || parent.create_date, true),
+            currency_code: parent.currency_code,
+            due_date: formatDate(parent.due_date),
+            due_offset_days: Number(parent.due_offset_days ?? 0),
+            issue_date: formatDate(parent.issue_date),
+            outstanding: toAmount(parent.outstanding),
+            overall_category: parent.overall_category || line.category?.category || line.category || "",
+            paid: toAmount(parent.paid),
+            status: parent.status,
+            tax_amount: toAmount(parent.tax_amount),
+            total_amount: toAmount(parent.total_amount),
+            line_items: parentLines.length,
+            parent_id: parent.id ?? parent.billid ?? parent.bill_id,
+            vendorid:
               parent.vendorid ||
               parent.vendor_id ||
               parent.vendor?.id ||
@@ -913,353 +860,498 @@ function App() {
               parent.vendor?.account_id ||
               parent.vendor?.userid ||
               parent.vendor?.uuid ||
-              "";
-            const dateVal =
-              line.date ||
-              parent.date ||
-              parent.created_at ||
-              parent.updated_at ||
-              parent.create_date ||
-              parent.transaction_date ||
-              "";
-            const lineDate = line.date || parent.date || "";
-            const notes = parent.notes || lineDesc || "";
-
-            rows.push({
-              vendor: parent.vendor || "",
-              vendorid: vendorId,
-              category,
-              categoryid: categoryId,
-              date: dateVal,
-              line_date: lineDate,
-              taxAmount1,
-              taxAmount2,
-              taxName1,
-              taxName2,
-              taxPercent1,
-              taxPercent2,
-              amount,
-              notes,
-            });
+              parent.bill_vendor?.id ||
+              parent.bill_vendor?.vendor_id ||
+              "",
+            description: parent.description || "",
+            line_description: line.description || line.name || "",
+            quantity: line.quantity || line.qty || 1,
+            category: line.category?.category || line.category || "",
+            tax_amount1: line.tax_amount1 ?? "",
+            tax_amount2: line.tax_amount2 ?? "",
+            tax_name1: line.tax_name1 ?? "",
+            tax_name2: line.tax_name2 ?? "",
+            tax_percent1: line.tax_percent1 ?? "",
+            tax_percent2: line.tax_percent2 ?? "",
+            line_total_amount: toAmount(line.total_amount ?? line.total),
+            unit_cost: toAmount(line.unit_cost),
+            line_date: formatDate(line.date || parent.issue_date),
           });
         });
+      });
 
-        setData({ success: true, total: rows.length, data: rows, headers: columns });
-        setProgress(`Expenses ready: ${rows.length} rows`);
-        updateCount(setTypeCounts, "Expense sheet", rows.length);
-        await finishLineExtraction();
-        return;
-      }
-
-      // --- Bill payments (per payment row) ---
-      if (type === "bill_payments") {
-        const toAmount = (value) => {
-          if (value && typeof value === "object") return Number(value.amount ?? value.total ?? value.value ?? 0);
-          return Number(value ?? 0);
-        };
-        const toDate = (val) => {
-          if (!val) return "";
-          const d = new Date(val);
-          if (Number.isNaN(d.getTime())) return "";
-          return `${d.getMonth() + 1}/${d.getDate()}/${d.getFullYear()}`;
-        };
+      setData({ success: true, total: rows.length, data: rows, headers: columns });
+      setProgress(`Bills ready: ${rows.length} rows`);
+      updateCount(setTypeCounts, "Bill sheet", rows.length);
+      return;
+    }
 
-        const rows = parents.map((p) => {
-          const amount = toAmount(p.amount);
-          const billNum =
-            p.bill_number ||
-            p.bill?.bill_number ||
-            p.bill?.number ||
-            p.bill?.id ||
-            p.billid ||
+    // --- Expenses one-sheet ---
+    if (lineType === "expenses") {
+      const resolveLineArray = (parent) => {
+        if (!parent) return [];
+        if (Array.isArray(parent.line_items_array)) return parent.line_items_array;
+        if (Array.isArray(parent.bill_lines)) return parent.bill_lines;
+        if (Array.isArray(parent.line_items)) return parent.line_items;
+        if (Array.isArray(parent.lines)) return parent.lines;
+        return [];
+      };
+      const toAmount = (value) => {
+        if (value && typeof value === "object") return Number(value.amount ?? value.total ?? value.value ?? 0);
+        return Number(value ?? 0);
+      };
+      const amtOrBlank = (v) => (v === null || v === undefined || v === "" ? "" : toAmount(v));
+
+      const columns = [
+        "vendor",
+        "vendorid",
+        "category",
+        "categoryid",
+        "date",
+        "line_date",
+        "taxAmount1",
+        "taxAmount2",
+        "taxName1",
+        "taxName2",
+        "taxPercent1",
+        "taxPercent2",
+        "amount",
+        "notes",
+      ];
+
+      const rows = [];
+
+      const taxTuple = (line, parent, idx) => {
+        const taxesArr =
+          (Array.isArray(line.taxes) && line.taxes) ||
+          (Array.isArray(line.tax_summary) && line.tax_summary) ||
+          (Array.isArray(parent.tax_summary) && parent.tax_summary) ||
+          [];
+        const t = taxesArr[idx] || {};
+        const amount = t.amount ?? t.tax_amount ?? t.value ?? null;
+        const percent = t.percent ?? t.rate ?? null;
+        const name = t.name ?? t.tax_name ?? "";
+        return { amount, percent, name };
+      };
+
+      parents.forEach((parent) => {
+        const parentLines = resolveLineArray(parent);
+        parentLines.forEach((line) => {
+          const t1 = taxTuple(line, parent, 0);
+          const t2 = taxTuple(line, parent, 1);
+
+          const taxAmount1 =
+            t1.amount != null
+              ? amtOrBlank(t1.amount)
+              : amtOrBlank(line.tax_amount1 ?? line.taxAmount1 ?? parent.tax_amount1 ?? "");
+          const taxAmount2 =
+            t2.amount != null
+              ? amtOrBlank(t2.amount)
+              : amtOrBlank(line.tax_amount2 ?? line.taxAmount2 ?? parent.tax_amount2 ?? "");
+          const taxName1 = t1.name || line.tax_name1 || line.taxName1 || parent.tax_name1 || "";
+          const taxName2 = t2.name || line.tax_name2 || line.taxName2 || parent.tax_name2 || "";
+          const taxPercent1 = t1.percent ?? line.tax_percent1 ?? line.taxPercent1 ?? parent.tax_percent1 ?? "";
+          const taxPercent2 = t2.percent ?? line.tax_percent2 ?? line.taxPercent2 ?? parent.tax_percent2 ?? "";
+          const amount = toAmount(line.total ?? line.total_amount ?? line.amount ?? parent.amount);
+          const category =
+            parent.category_name ||
+            line.category?.category ||
+            line.category ||
+            parent.overall_category ||
             "";
-          return {
-            payment_id: p.id || p.paymentid || "",
-            bill_number: billNum,
+          const lineDesc = line.name || line.description || parent.notes || category || "";
+          const categoryId =
+            line.category_id ||
+            line.categoryid ||
+            line.category?.categoryid ||
+            line.category?.id ||
+            line.category?.category_id ||
+            parent.category?.id ||
+            parent.category?.categoryid ||
+            parent.categoryid ||
+            parent.category_id ||
+            parent.overall_category_id ||
+            parent.overall_categoryid ||
+            "";
+          const vendorId =
+            parent.vendorid ||
+            parent.vendor_id ||
+            parent.vendor?.id ||
+            parent.vendor?.vendorid ||
+            parent.vendor?.vendor_id ||
+            parent.vendor?.accountid ||
+            parent.vendor?.account_id ||
+            parent.vendor?.userid ||
+            parent.vendor?.uuid ||
+            "";
+          const dateVal =
+            line.date ||
+            parent.date ||
+            parent.created_at ||
+            parent.updated_at ||
+            parent.create_date ||
+            parent.transaction_date ||
+            "";
+          const lineDate = line.date || parent.date || "";
+          const notes = parent.notes || lineDesc || "";
+
+          rows.push({
+            vendor: parent.vendor || "",
+            vendorid: vendorId,
+            category,
+            categoryid: categoryId,
+            date: dateVal,
+            line_date: lineDate,
+            taxAmount1,
+            taxAmount2,
+            taxName1,
+            taxName2,
+            taxPercent1,
+            taxPercent2,
             amount,
-            currency_code: p.amount?.code || p.currency_code || "",
-            payment_date: toDate(p.payment_date || p.date || p.created_at),
-            status: p.status || "",
-            method: p.payment_method || p.method || "",
-            notes: p.notes || "",
-            bill_id: p.bill?.id || p.bill_id || "",
-          };
+            notes,
+          });
         });
+      });
 
-        setData({ success: true, total: rows.length, data: rows });
-        setProgress(`Bill payments ready: ${rows.length} rows`);
-        updateCount(setTypeCounts, "Bill payments", rows.length);
-        await finishLineExtraction();
-        return;
-      }
+      setData({ success: true, total: rows.length, data: rows, headers: columns });
+      setProgress(`Expenses ready: ${rows.length} rows`);
+      updateCount(setTypeCounts, "Expense sheet", rows.length);
+      return;
+    }
 
-      // --- Invoices one-sheet ---
-      if (type === "invoices") {
-        const resolveLineArray = (parent) => {
-          if (!parent) return [];
-          if (Array.isArray(parent.line_items)) return parent.line_items;
-          if (Array.isArray(parent.lines)) return parent.lines;
-          return [];
-        };
-        const toAmount = (value) => {
-          if (value && typeof value === "object") return Number(value.amount ?? value.total ?? value.value ?? 0);
-          return Number(value ?? 0);
+    // --- Bill payments (per payment row) ---
+    if (lineType === "bill_payments") {
+      const toAmount = (value) => {
+        if (value && typeof value === "object") return Number(value.amount ?? value.total ?? value.value ?? 0);
+        return Number(value ?? 0);
+      };
+      const toDate = (val) => {
+        if (!val) return "";
+        const d = new Date(val);
+        if (Number.isNaN(d.getTime())) return "";
+        return `${d.getMonth() + 1}/${d.getDate()}/${d.getFullYear()}`;
+      };
+
+      const rows = parents.map((p) => {
+        const amount = toAmount(p.amount);
+        const billNum =
+          p.bill_number ||
+          p.bill?.bill_number ||
+          p.bill?.number ||
+          p.bill?.id ||
+          p.billid ||
+          "";
+        return {
+          payment_id: p.id || p.paymentid || "",
+          bill_number: billNum,
+          amount,
+          currency_code: p.amount?.code || p.currency_code || "",
+          payment_date: toDate(p.payment_date || p.date || p.created_at),
+          status: p.status || "",
+          method: p.payment_method || p.method || "",
+          notes: p.notes || "",
+          bill_id: p.bill?.id || p.bill_id || "",
         };
+      });
 
-        const toDate = (val) => {
-          if (!val) return "";
-          const d = new Date(val);
-          if (Number.isNaN(d.getTime())) return "";
-          return `${d.getMonth() + 1}/${d.getDate()}/${d.getFullYear()}`;
-        };
+      setData({ success: true, total: rows.length, data: rows });
+      setProgress(`Bill payments ready: ${rows.length} rows`);
+      updateCount(setTypeCounts, "Bill payments", rows.length);
+      return;
+    }
 
-        const columns = [
-          "Invoice ID",
-          "id",
-          "fname",
-          "Invoice Number",
-          "Client/Organization",
-          "Date",
-          "Due Date",
-          "Item Name",
-          "Item Description",
-          "Qty",
-          "Unit cost",
-          "Total Amount",
-          "Tax Name 1",
-          "Tax Amount 1",
-          "Tax Percentage1",
-          "Tax Name 2",
-          "Tax Amount 2",
-          "Tax Percentage2",
-          "discount_rate",
-          "discount_type",
-          "Total",
-        ];
-
-        const rows = [];
-
-        parents.forEach((parent) => {
-          const parentLines = resolveLineArray(parent);
-          const parentTax1 =
-            (Array.isArray(parent.taxes) && parent.taxes[0]) || parent.tax_summary?.[0] || null;
-          const parentTax2 =
-            (Array.isArray(parent.taxes) && parent.taxes[1]) || parent.tax_summary?.[1] || null;
-          const parentDiscount = toNumberOrZero(
-            parent.discount?.amount ??
-              parent.discount?.rate ??
-              parent.discount_value ??
-              parent.discount_total?.amount ??
-              parent.discount_total ??
-              parent.discount ??
-              0
+    // --- Invoices one-sheet ---
+    if (lineType === "invoices") {
+      const resolveLineArray = (parent) => {
+        if (!parent) return [];
+        if (Array.isArray(parent.line_items)) return parent.line_items;
+        if (Array.isArray(parent.lines)) return parent.lines;
+        return [];
+      };
+      const toAmount = (value) => {
+        if (value && typeof value === "object") return Number(value.amount ?? value.total ?? value.value ?? 0);
+        return Number(value ?? 0);
+      };
+
+      const toDate = (val) => {
+        if (!val) return "";
+        const d = new Date(val);
+        if (Number.isNaN(d.getTime())) return "";
+        return `${d.getMonth() + 1}/${d.getDate()}/${d.getFullYear()}`;
+      };
+
+      const columns = [
+        "Invoice ID",
+        "id",
+        "fname",
+        "Invoice Number",
+        "Client/Organization",
+        "Date",
+        "Due Date",
+        "Item Name",
+        "Item Description",
+        "Qty",
+        "Unit cost",
+        "Total Amount",
+        "Tax Name 1",
+        "Tax Amount 1",
+        "Tax Percentage1",
+        "Tax Name 2",
+        "Tax Amount 2",
+        "Tax Percentage2",
+        "discount_rate",
+        "discount_type",
+        "Total",
+      ];
+
+      const rows = [];
+
+      parents.forEach((parent) => {
+        const parentLines = resolveLineArray(parent);
+        const parentTax1 =
+          (Array.isArray(parent.taxes) && parent.taxes[0]) || parent.tax_summary?.[0] || null;
+        const parentTax2 =
+          (Array.isArray(parent.taxes) && parent.taxes[1]) || parent.tax_summary?.[1] || null;
+        const parentDiscount = toNumberOrZero(
+          parent.discount?.amount ??
+            parent.discount?.rate ??
+            parent.discount_value ??
+            parent.discount_total?.amount ??
+            parent.discount_total ??
+            parent.discount ??
+            0
+        );
+        parentLines.forEach((line) => {
+          const lineDiscount = toNumberOrZero(
+            line.discount?.amount ?? line.discount?.rate ?? line.discount ?? 0
           );
-          parentLines.forEach((line) => {
-            const lineDiscount = toNumberOrZero(
-              line.discount?.amount ?? line.discount?.rate ?? line.discount ?? 0
-            );
-            const qty = line.qty || line.quantity || 1;
-            const unitCost = toAmount(line.unit_cost);
-            const lineTotal = toAmount(line.amount) || Number(unitCost * qty) || 0;
-
-            const rawTaxAmt1 =
-              line.tax_amount1 ?? line.taxAmount1 ?? parent.tax_amount1 ?? parentTax1?.amount ?? parentTax1?.tax_amount ?? "";
-            let taxPerc1 = line.tax_percent1 ?? line.taxPercent1 ?? parentTax1?.percent ?? parentTax1?.rate ?? "";
-            if (!taxPerc1 && rawTaxAmt1 !== "" && rawTaxAmt1 !== null && lineTotal > 0) {
-              const candidate = Number(rawTaxAmt1);
-              if (!Number.isNaN(candidate) && candidate > 0 && candidate <= 100) {
-                taxPerc1 = candidate;
-              }
+          const qty = line.qty || line.quantity || 1;
+          const unitCost = toAmount(line.unit_cost);
+          const lineTotal = toAmount(line.amount) || Number(unitCost * qty) || 0;
+
+          const rawTaxAmt1 =
+            line.tax_amount1 ?? line.taxAmount1 ?? parent.tax_amount1 ?? parentTax1?.amount ?? parentTax1?.tax_amount ?? "";
+          let taxPerc1 = line.tax_percent1 ?? line.taxPercent1 ?? parentTax1?.percent ?? parentTax1?.rate ?? "";
+          if (!taxPerc1 && rawTaxAmt1 !== "" && rawTaxAmt1 !== null && lineTotal > 0) {
+            const candidate = Number(rawTaxAmt1);
+            if (!Number.isNaN(candidate) && candidate > 0 && candidate <= 100) {
+              taxPerc1 = candidate;
             }
-            const taxAmt1 =
-              taxPerc1 !== ""
-                ? round2((lineTotal * (Number(taxPerc1) || 0)) / 100)
-                : rawTaxAmt1 !== "" && rawTaxAmt1 !== null
-                ? toNumberOrZero(rawTaxAmt1)
-                : "";
-
-            const rawTaxAmt2 =
-              line.tax_amount2 ?? line.taxAmount2 ?? parent.tax_amount2 ?? parentTax2?.amount ?? parentTax2?.tax_amount ?? "";
-            let taxPerc2 = line.tax_percent2 ?? line.taxPercent2 ?? parentTax2?.percent ?? parentTax2?.rate ?? "";
-            if (!taxPerc2 && rawTaxAmt2 !== "" && rawTaxAmt2 !== null && lineTotal > 0) {
-              const candidate = Number(rawTaxAmt2);
-              if (!Number.isNaN(candidate) && candidate > 0 && candidate <= 100) {
-                taxPerc2 = candidate;
-              }
+          }
+          const taxAmt1 =
+            taxPerc1 !== ""
+              ? round2((lineTotal * (Number(taxPerc1) || 0)) / 100)
+              : rawTaxAmt1 !== "" && rawTaxAmt1 !== null
+              ? toNumberOrZero(rawTaxAmt1)
+              : "";
+
+          const rawTaxAmt2 =
+            line.tax_amount2 ?? line.taxAmount2 ?? parent.tax_amount2 ?? parentTax2?.amount ?? parentTax2?.tax_amount ?? "";
+          let taxPerc2 = line.tax_percent2 ?? line.taxPercent2 ?? parentTax2?.percent ?? parentTax2?.rate ?? "";
+          if (!taxPerc2 && rawTaxAmt2 !== "" && rawTaxAmt2 !== null && lineTotal > 0) {
+            const candidate = Number(rawTaxAmt2);
+            if (!Number.isNaN(candidate) && candidate > 0 && candidate <= 100) {
+              taxPerc2 = candidate;
             }
-            const taxAmt2 =
-              taxPerc2 !== ""
-                ? round2((lineTotal * (Number(taxPerc2) || 0)) / 100)
-                : rawTaxAmt2 !== "" && rawTaxAmt2 !== null
-                ? toNumberOrZero(rawTaxAmt2)
-                : "";
-
-            const clientOrg =
-              parent.client_name ||
-              parent.organization ||
-              parent.current_organization ||
-              parent.client?.organization ||
-              parent.client?.display_name ||
+          }
+          const taxAmt2 =
+            taxPerc2 !== ""
+              ? round2((lineTotal * (Number(taxPerc2) || 0)) / 100)
+              : rawTaxAmt2 !== "" && rawTaxAmt2 !== null
+              ? toNumberOrZero(rawTaxAmt2)
+              : "";
+
+          const clientOrg =
+            parent.client_name ||
+            parent.organization ||
+            parent.current_organization ||
+            parent.client?.organization ||
+            parent.client?.display_name ||
+            parent.client?.name ||
+            parent.customer?.organization ||
+            "";
+
+          rows.push({
+            "Invoice ID": parent.invoiceid || parent.id || "",
+            id: parent.id || parent.invoiceid || "",
+            fname:
+              parent.fname ||
+              parent.client?.fname ||
               parent.client?.name ||
-              parent.customer?.organization ||
-              "";
-
-            rows.push({
-              "Invoice ID": parent.invoiceid || parent.id || "",
-              id: parent.id || parent.invoiceid || "",
-              fname:
-                parent.fname ||
-                parent.client?.fname ||
-                parent.client?.name ||
-                parent.customer?.fname ||
-                "",
-              "Invoice Number": parent.invoice_number || parent.number || "",
-              "Client/Organization": clientOrg,
-              "Date": toDate(parent.create_date),
-              "Due Date": toDate(parent.due_date),
-              "Item Name": line.name || "",
-              "Item Description": line.description || parent.description || "",
-              Qty: qty,
-              "Unit cost": unitCost,
-              "Total Amount": lineTotal,
-              "Tax Name 1":
-                line.taxName1 ??
-                line.tax_name1 ??
-                parent.tax_name1 ??
-                parentTax1?.name ??
-                parentTax1?.tax_name ??
-                "",
-              "Tax Amount 1": taxAmt1,
-              "Tax Percentage1": taxPerc1,
-              "Tax Name 2":
-                line.taxName2 ??
-                line.tax_name2 ??
-                parent.tax_name2 ??
-                parentTax2?.name ??
-                parentTax2?.tax_name ??
-                "",
-              "Tax Amount 2": taxAmt2,
-              "Tax Percentage2": taxPerc2,
-              discount_rate: (line.discount?.rate ?? parent.discount?.rate ?? lineDiscount) || "",
-              discount_type: line.discount?.type ?? parent.discount?.type ?? "",
-              Total: toAmount(parent.amount),
-            });
+              parent.customer?.fname ||
+              "",
+            "Invoice Number": parent.invoice_number || parent.number || "",
+            "Client/Organization": clientOrg,
+            "Date": toDate(parent.create_date),
+            "Due Date": toDate(parent.due_date),
+            "Item Name": line.name || "",
+            "Item Description": line.description || parent.description || "",
+            Qty: qty,
+            "Unit cost": unitCost,
+            "Total Amount": lineTotal,
+            "Tax Name 1":
+              line.taxName1 ??
+              line.tax_name1 ??
+              parent.tax_name1 ??
+              parentTax1?.name ??
+              parentTax1?.tax_name ??
+              "",
+            "Tax Amount 1": taxAmt1,
+            "Tax Percentage1": taxPerc1,
+            "Tax Name 2":
+              line.taxName2 ??
+              line.tax_name2 ??
+              parent.tax_name2 ??
+              parentTax2?.name ??
+              parentTax2?.tax_name ??
+              "",
+            "Tax Amount 2": taxAmt2,
+            "Tax Percentage2": taxPerc2,
+            discount_rate: (line.discount?.rate ?? parent.discount?.rate ?? lineDiscount) || "",
+            discount_type: line.discount?.type ?? parent.discount?.type ?? "",
+            Total: toAmount(parent.amount),
           });
         });
+      });
 
-        setData({ success: true, total: rows.length, data: rows });
-        setProgress(`Invoices ready: ${rows.length} rows`);
-        updateCount(setTypeCounts, "Invoice sheet", rows.length);
-        await finishLineExtraction();
-        return;
-      }
-
-      // --- Estimates one-sheet ---
-      if (type === "estimates") {
-        const columns = [
-          "accepted",
-          "amount",
-          "code",
-          "create_date",
-          "currency_code",
-          "current_organization",
-          "customerid",
-          "description",
-          "discount_total",
-          "discount_value",
-          "display_status",
-          "estimate_number",
-          "estimateid",
-          "id",
-          "notes",
-          "organization",
-          "ownerid",
-          "po_number",
-          "rich_proposal",
-          "status",
-          "terms",
-          "line_items",
-          "parent_id",
-          "parent_number",
-          "line_date",
-          "line_description",
-          "qty",
-          "unit_cost",
-          "total",
-          "Tax Amount 1",
-          "Tax Amount 2",
-          "Tax Name 1",
-          "Tax Name 2",
-          "Line item",
-        ];
-
-        const lines = extractLineItems("estimates", parents);
-        const parentById = Object.fromEntries(
-          parents
-            .filter((p) => p && (p.estimateid || p.id))
-            .map((p) => [p.estimateid || p.id, p])
-        );
+      setData({ success: true, total: rows.length, data: rows });
+      setProgress(`Invoices ready: ${rows.length} rows`);
+      updateCount(setTypeCounts, "Invoice sheet", rows.length);
+      return;
+    }
 
-        const rows = lines.map((line) => {
-          const parent = parentById[line.parent_id] || {};
-          const parentLines = Array.isArray(parent.line_items)
-            ? parent.line_items
-            : Array.isArray(parent.lines)
-            ? parent.lines
-            : [];
-
-          return {
-            accepted: parent.accepted,
-            amount: parent.amount?.amount ?? parent.amount ?? "",
-            code: parent.amount?.code ?? parent.currency_code ?? "",
-            create_date: parent.create_date,
-            currency_code: parent.currency_code,
-            current_organization: parent.current_organization,
-            customerid: parent.customerid,
-            description: parent.description,
-            discount_total: parent.discount_total?.amount ?? parent.discount_total ?? "",
-            discount_value: parent.discount_value,
-            display_status: parent.display_status,
-            estimate_number: parent.estimate_number,
-            estimateid: parent.estimateid,
-            id: parent.id,
-            notes: parent.notes,
-            organization: parent.organization,
-            ownerid: parent.ownerid,
-            po_number: parent.po_number,
-            rich_proposal: parent.rich_proposal,
-            status: parent.status,
-            terms: parent.terms,
-            line_items: parentLines.length,
-            parent_id: line.parent_id,
-            parent_number: line.parent_number,
-            line_date: line.date,
-            line_description: line.description,
-            qty: line.qty,
-            unit_cost: line.unit_cost,
-            total: line.total,
-            "Tax Amount 1": line.tax1 ?? "",
-            "Tax Amount 2": line.tax2 ?? "",
-            "Tax Name 1": line.taxName1 ?? line.tax_name1 ?? "",
-            "Tax Name 2": line.taxName2 ?? line.tax_name2 ?? "",
-            "Line item": line.name || line.description || "",
-          };
-        });
+    // --- Estimates one-sheet ---
+    if (lineType === "estimates") {
+      const columns = [
+        "accepted",
+        "amount",
+        "code",
+        "create_date",
+        "currency_code",
+        "current_organization",
+        "customerid",
+        "description",
+        "discount_total",
+        "discount_value",
+        "display_status",
+        "estimate_number",
+        "estimateid",
+        "id",
+        "notes",
+        "organization",
+        "ownerid",
+        "po_number",
+        "rich_proposal",
+        "status",
+        "terms",
+        "line_items",
+        "parent_id",
+        "parent_number",
+        "line_date",
+        "line_description",
+        "qty",
+        "unit_cost",
+        "total",
+        "Tax Amount 1",
+        "Tax Amount 2",
+        "Tax Name 1",
+        "Tax Name 2",
+        "Line item",
+      ];
+
+      const lines = extractLineItems("estimates", parents);
+      const parentById = Object.fromEntries(
+        parents
+          .filter((p) => p && (p.estimateid || p.id))
+          .map((p) => [p.estimateid || p.id, p])
+      );
 
-        setData({ success: true, total: rows.length, data: rows });
-        setProgress(`Estimates ready: ${rows.length} rows`);
-        updateCount(setTypeCounts, "Estimate sheet", rows.length);
-        await finishLineExtraction();
-        return;
-      }
+      const rows = lines.map((line) => {
+        const parent = parentById[line.parent_id] || {};
+        const parentLines = Array.isArray(parent.line_items)
+          ? parent.line_items
+          : Array.isArray(parent.lines)
+          ? parent.lines
+          : [];
+
+        return {
+          accepted: parent.accepted,
+          amount: parent.amount?.amount ?? parent.amount ?? "",
+          code: parent.amount?.code ?? parent.currency_code ?? "",
+          create_date: parent.create_date,
+          currency_code: parent.currency_code,
+          current_organization: parent.current_organization,
+          customerid: parent.customerid,
+          description: parent.description,
+          discount_total: parent.discount_total?.amount ?? parent.discount_total ?? "",
+          discount_value: parent.discount_value,
+          display_status: parent.display_status,
+          estimate_number: parent.estimate_number,
+          estimateid: parent.estimateid,
+          id: parent.id,
+          notes: parent.notes,
+          organization: parent.organization,
+          ownerid: parent.ownerid,
+          po_number: parent.po_number,
+          rich_proposal: parent.rich_proposal,
+          status: parent.status,
+          terms: parent.terms,
+          line_items: parentLines.length,
+          parent_id: line.parent_id,
+          parent_number: line.parent_number,
+          line_date: line.date,
+          line_description: line.description,
+          qty: line.qty,
+          unit_cost: line.unit_cost,
+          total: line.total,
+          "Tax Amount 1": line.tax1 ?? "",
+          "Tax Amount 2": line.tax2 ?? "",
+          "Tax Name 1": line.taxName1 ?? line.tax_name1 ?? "",
+          "Tax Name 2": line.taxName2 ?? line.tax_name2 ?? "",
+          "Line item": line.name || line.description || "",
+        };
+      });
 
-      // Default: generic line item extraction
-      const lines = extractLineItems(type, parents);
-      setData({ success: true, total: lines.length, data: lines });
-      setProgress(`${toTitle(type)} line items: ${lines.length} rows`);
-      updateCount(setTypeCounts, `${toTitle(type)} line items`, lines.length);
-      await finishLineExtraction();
+      setData({ success: true, total: rows.length, data: rows });
+      setProgress(`Estimates ready: ${rows.length} rows`);
+      updateCount(setTypeCounts, "Estimate sheet", rows.length);
       return;
+    }
+
+    // Default: generic line item extraction
+    const lines = extractLineItems(lineType, parents);
+    setData({ success: true, total: lines.length, data: lines });
+    setProgress(`${toTitle(lineType)} line items: ${lines.length} rows`);
+    updateCount(setTypeCounts, `${toTitle(lineType)} line items`, lines.length);
+  };
+
+  /* ---------------- EXTRACT LINE ITEM DATA ---------------- */
+  const extractLineData = async () => {
+    if (!type) return alert("Select type first!");
+    if (!accountId) return alert("Account ID missing. Update business first.");
+    if (!start || !end) return alert("Select date range!");
+
+    setLoading(true);
+    setProgress("Fetching line items...");
+    setData(null);
+
+    try {
+      const res = await runExtractJob({
+        start_date: toDateParam(start),
+        end_date: toDateParam(end),
+        type,
+        account_id: accountId,
+        business_id: businessId,
+        business_uuid: businessUUID,
+        line_mode: "true",
+        max_pages: type === "journal_entries" ? 150 : undefined,
+        include_raw: true,
+        file_name: toFileName(type, businessId),
+      });
+
+      showLineExtraction(res.data, type, start, end);
+      await fetchHistory();
     } catch (err) {
       console.error("Line item extract failed:", err);
       alert(`Line item extract failed: ${formatAxiosError(err)}`);
@@ -1269,25 +1361,140 @@ function App() {
   };
 
   /* ---------------- CSV DOWNLOAD ---------------- */
+  // Shared RFC 4180 writer (same as the backend bundle): union of columns, nested values as dotted columns
   const downloadCSV = () => {
     if (!data?.data?.length) return alert("No data!");
 
-    const headers = Array.isArray(data.headers) && data.headers.length
-      ? data.headers
-      : Object.keys(data.data[0]);
-
-    const rows = [
-      headers.join(","),
-      ...data.data.map((r) => headers.map((h) => JSON.stringify(r[h] ?? "")).join(",")),
-    ].join("\n");
-
-    const blob = new Blob([rows], { type: "text/csv" });
+    const csv = toCsv(data.data, csvOptions);
+    const blob = new Blob([csv], { type: "text/csv;charset=utf-8" });
     const a = document.createElement("a");
     a.href = URL.createObjectURL(blob);
-    a.download = `${type}_${data?.business_name || "export"}.csv`;
+    a.download = `${reportFileName(data) || type}_${data?.business_name || "export"}.csv`;
     a.click();
   };
 
+  /* ---------------- XLSX DOWNLOAD ---------------- */
+  // Built by the backend from the record store the extraction was just saved to, not from
+  // the rows on screen (labelled as such). Accounting reports aren't kept in the record
+  // store → fetched live
+  const xlsxSource =
+    data?.report || entities.find((e) => e.type === type)?.mode === "report" ? "freshbooks" : "store";
+
+  const downloadXLSX = async () => {
+    if (!data?.data?.length || (!type && !data?.report)) return alert("No data!");
+    try {
+      const blob =
+        data.report === "comparison"
+          ? await api.exportComparison(data.from.id, data.to.id)
+          : data.report
+          ? await api.exportReport(data.report, reportQuery(data.report))
+          : await api.exportWorkbook({
+              types: [type],
+              start_date: toDateParam(start),
+              end_date: toDateParam(end),
+              source: xlsxSource,
+            });
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(blob);
+      a.download = `${data.report || type}_${data?.business_name || "export"}.xlsx`;
+      a.click();
+    } catch (err) {
+      console.error("❌ XLSX export failed:", err);
+      alert(`XLSX export failed: ${formatAxiosError(err)}`);
+    }
+  };
+
+  /* ---------------- REPORTS ---------------- */
+  // Computed by the backend from extracted data (see REPORTS for the dates each one uses)
+  const reportQuery = (report) =>
+    REPORTS[report].dates === "as_of"
+      ? { as_of: toDateParam(end) || undefined }
+      : { start_date: toDateParam(start) || undefined, end_date: toDateParam(end) || undefined };
+
+  const runReport = async (report, extra = {}) => {
+    if (!accountId) return alert("Account ID missing. Update business first.");
+    const { label } = REPORTS[report];
+    setLoading(true);
+    setProgress(`📒 Building ${label}...`);
+    try {
+      const payload = await api.getReport(report, { ...reportQuery(report), ...extra });
+      setData(payload);
+      setRaw(payload);
+      updateCount(setTypeCounts, payload.view ? `${label} (${payload.view})` : label, payload.total);
+      const notes = [];
+      if (payload.totals?.balanced === false) notes.push("⚠️ debits and credits differ");
+      if (payload.unlabelled?.length)
+        notes.push(`⚠️ ${payload.unlabelled.length} account(s) not in the chart of accounts`);
+      if (payload.unmatched_payments?.length)
+        notes.push(`⚠️ ${payload.unmatched_payments.length} payment(s) match no extracted document`);
+      if (payload.report === "reconciliation")
+        notes.push(`${payload.reconciled}/${payload.invoices} invoice(s) reconcile`);
+      const failed = Object.entries(payload.sources || {}).filter(([, s]) => s.error);
+      if (failed.length) notes.push(`⚠️ unavailable: ${failed.map(([t]) => t).join(", ")}`);
+      setProgress(`✅ ${label}: ${payload.total} rows` + (notes.length ? ` — ${notes.join(", ")}` : ""));
+    } catch (err) {
+      console.error(`❌ ${label} failed:`, err);
+      setProgress(`❌ ${label} failed: ${formatAxiosError(err)}`);
+    }
+    setLoading(false);
+  };
+
+  /* ---------------- COMPARE TWO EXTRACTIONS ---------------- */
+  // Select up to two extract actions of the same entity; the older one is the baseline
+  const toggleCompare = (action) =>
+    setCompareSelection((prev) => {
+      if (prev.some((a) => a.snapshot_id === action.snapshot_id))
+        return prev.filter((a) => a.snapshot_id !== action.snapshot_id);
+      const sameType = prev.filter((a) => a.type === action.type);
+      return [...sameType, action].slice(-2);
+    });
+
+  const compareSelected = async () => {
+    if (compareSelection.length !== 2) return alert("Select two extractions of the same data type.");
+    const [from, to] = [...compareSelection].sort((a, b) => String(a.at).localeCompare(String(b.at)));
+    setLoading(true);
+    setProgress(`🔀 Comparing ${toTitle(from.type)} extractions...`);
+    try {
+      const payload = await api.compareExtractions(from.snapshot_id, to.snapshot_id);
+      setData(payload);
+      setRaw(payload);
+      const { added, removed, modified, unchanged, same_range } = payload.summary;
+      updateCount(setTypeCounts, `${toTitle(payload.type)} changes`, payload.total);
+      setProgress(
+        `✅ ${toTitle(payload.type)}: ${added} added, ${removed} removed, ${modified} modified, ${unchanged} unchanged` +
+          (same_range ? "" : " — ⚠️ date ranges differ, so some records may only fall in one range")
+      );
+    } catch (err) {
+      console.error("❌ Comparison failed:", err);
+      setProgress(`❌ Comparison failed: ${formatAxiosError(err)}`);
+    }
+    setLoading(false);
+  };
+
+  /* ---------------- EXPORT EVERYTHING (ZIP) ---------------- */
+  const downloadBundle = async () => {
+    if (!accountId) return alert("Account ID missing. Update business first.");
+    setLoading(true);
+    setProgress("📦 Exporting every entity... this can take a while.");
+    try {
+      const blob = await api.exportBundle({
+        start_date: toDateParam(start),
+        end_date: toDateParam(end),
+        delimiter: csvOptions.delimiter,
+        bom: csvOptions.bom || undefined,
+      });
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(blob);
+      a.download = `freshbooks_${businessId || accountId}_export.zip`;
+      a.click();
+      setProgress("✅ Export bundle downloaded (see manifest.json for per-entity counts and errors).");
+    } catch (err) {
+      console.error("❌ Export bundle failed:", err);
+      setProgress(`❌ Export bundle failed: ${formatAxiosError(err)}`);
+    }
+    setLoading(false);
+  };
+
   /* ---------------- PARSE TEST RESULTS ---------------- */
   const parsed = useMemo(
     () => Object.fromEntries(Object.entries(endpointsForUI).map(([k, v]) => [k, parseResult(v)])),
@@ -1358,15 +1565,23 @@ function App() {
 
   const grouped = useMemo(() => {
     const result = {};
-    Object.entries(GROUPS).forEach(([group, keys]) => {
+    Object.entries(groups).forEach(([group, keys]) => {
       result[group] = keys.filter((k) => filteredKeys.includes(k));
     });
-    const extra = filteredKeys.filter((k) => !Object.values(GROUPS).flat().includes(k));
+    const extra = filteredKeys.filter((k) => !Object.values(groups).flat().includes(k));
     if (extra.length) result["Other"] = extra;
     return result;
-  }, [filteredKeys]);
+  }, [filteredKeys, groups]);
 
   /* ================= LOGIN SCREEN ================= */
+  if (!sessionChecked) {
+    return (
+      <div className="login-container">
+        <p className="tagline">⏳ Checking session...</p>
+      </div>
+    );
+  }
+
   if (!isLoggedIn) {
     return (
       <div className="login-container">
@@ -1477,6 +1692,15 @@ function App() {
             </select>
           </div>
 
+          <label className="status-text">
+            <input
+              type="checkbox"
+              checked={useLocalCopy}
+              onChange={(e) => setUseLocalCopy(e.target.checked)}
+            />{" "}
+            Use local copy (incremental sync — only changed records are fetched)
+          </label>
+
           <button onClick={extractData} className="primary-btn" disabled={loading}>
             {loading ? `Extracting... ${progressPercent}%` : "Extract Summary"}
           </button>
@@ -1489,6 +1713,62 @@ function App() {
           >
             📄 Extract Line Items
           </button>
+
+          <button
+            onClick={downloadBundle}
+            className="secondary-btn"
+            style={{ marginTop: 10 }}
+            disabled={loading}
+          >
+            📦 Export Everything (ZIP)
+          </button>
+
+          <div className="flex-row" style={{ marginTop: 10, gap: 10 }}>
+            <button
+              onClick={() => runReport("trial_balance")}
+              className="secondary-btn"
+              disabled={loading}
+            >
+              📒 Trial Balance
+            </button>
+            <button
+              onClick={() => runReport("general_ledger")}
+              className="secondary-btn"
+              disabled={loading}
+            >
+              📚 General Ledger
+            </button>
+            <button onClick={() => runReport("ar_aging")} className="secondary-btn" disabled={loading}>
+              ⏳ AR Aging
+            </button>
+            <button
+              onClick={() => runReport("ar_aging", { view: "detail" })}
+              className="secondary-btn"
+              disabled={loading}
+            >
+              ⏳ AR Aging by Invoice
+            </button>
+            <button onClick={() => runReport("ap_aging")} className="secondary-btn" disabled={loading}>
+              ⌛ AP Aging
+            </button>
+            <button
+              onClick={() => runReport("ap_aging", { view: "detail" })}
+              className="secondary-btn"
+              disabled={loading}
+            >
+              ⌛ AP Aging by Bill
+            </button>
+            <button onClick={() => runReport("reconciliation")} className="secondary-btn" disabled={loading}>
+              🧾 Reconcile Payments
+            </button>
+            <button
+              onClick={() => runReport("reconciliation", { view: "invoices" })}
+              className="secondary-btn"
+              disabled={loading}
+            >
+              🧾 Reconciliation by Invoice
+            </button>
+          </div>
           <p>{progress}</p>
         </section>
       </div>
@@ -1564,6 +1844,9 @@ function App() {
         )}
       </section>
 
+      {/* JOURNAL ACCOUNT MAPPING */}
+      <MappingEditor accountId={accountId} businessId={businessId} startDate={start} endDate={end} />
+
       {/* EXTRACTED COUNTS */}
       {Object.keys(typeCounts).length > 0 && (
         <section className="card">
@@ -1643,6 +1926,20 @@ function App() {
                 ? selectedHistory.actions.filter((a) => a.kind === "extract").length
                 : 0}
             </p>
+            {compareSelection.length > 0 && (
+              <div className="flex-row">
+                <span className="status-text">
+                  {compareSelection.length}/2 {toTitle(compareSelection[0].type)} extraction(s) selected
+                </span>
+                <button
+                  className="secondary-btn"
+                  onClick={compareSelected}
+                  disabled={loading || compareSelection.length !== 2}
+                >
+                  🔀 Compare Selected
+                </button>
+              </div>
+            )}
             {Array.isArray(selectedHistory.actions) && selectedHistory.actions.length > 0 && (
               <div className="action-list">
                 {selectedHistory.actions
@@ -1672,6 +1969,23 @@ function App() {
                         <div style={{ color: "#cbd5e1" }}>
                           Rows: {action.total ?? "—"} • {range} • {formatDateTime(action.at)}
                         </div>
+                        <button
+                          className="secondary-btn"
+                          onClick={() => rerunAction(action)}
+                          disabled={loading || !action.id}
+                        >
+                          ↻ Re-run
+                        </button>{" "}
+                        {action.snapshot_id && (
+                          <label className="status-text">
+                            <input
+                              type="checkbox"
+                              checked={compareSelection.some((a) => a.snapshot_id === action.snapshot_id)}
+                              onChange={() => toggleCompare(action)}
+                            />{" "}
+                            Compare
+                          </label>
+                        )}
                       </div>
                     );
                   })}
@@ -1690,6 +2004,33 @@ function App() {
             <button className="secondary-btn" onClick={downloadCSV}>
               ⬇️ Download CSV
             </button>
+            <select
+              value={csvOptions.delimiter}
+              onChange={(e) => setCsvOptions((prev) => ({ ...prev, delimiter: e.target.value }))}
+              title="CSV delimiter"
+            >
+              <option value=",">Comma (,)</option>
+              <option value=";">Semicolon (;)</option>
+            </select>
+            <label className="status-text">
+              <input
+                type="checkbox"
+                checked={csvOptions.bom}
+                onChange={(e) => setCsvOptions((prev) => ({ ...prev, bom: e.target.checked }))}
+              />{" "}
+              Excel (UTF-8 BOM)
+            </label>
+            <button
+              className="secondary-btn"
+              onClick={downloadXLSX}
+              title={
+                xlsxSource === "store"
+                  ? "Workbook built from the local record store for this entity and date range, not from the table on screen"
+                  : undefined
+              }
+            >
+              📗 Download XLSX{xlsxSource === "store" ? " (from local store)" : ""}
+            </button>
             <button
               className="secondary-btn"
               onClick={() => {
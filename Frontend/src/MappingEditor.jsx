@@ -0,0 +1,259 @@
+import { useEffect, useState } from "react";
+import * as api from "./api";
+
+const CONTROL_ACCOUNTS = [
+  ["receivable", "Accounts Receivable"],
+  ["payable", "Accounts Payable"],
+  ["revenue", "Sales Income"],
+  ["discounts", "Sales Discounts"],
+  ["cash", "Cash/Bank"],
+  ["expense", "Purchase Expense"],
+  ["customer_credits", "Customer Credits"],
+  ["tax_payable", "Sales Tax Payable"],
+  ["tax_recoverable", "Sales Tax Recoverable"],
+  ["rounding", "Rounding Differences"],
+];
+
+const SECTIONS = [
+  ["expense_categories", "Expense categories"],
+  ["income_accounts", "Income accounts / items"],
+  ["taxes", "Taxes"],
+  ["payment_types", "Payment types"],
+];
+
+const rowStyle = { display: "flex", gap: 8, marginBottom: 6, alignItems: "center" };
+const inputStyle = { flex: 1, minWidth: 0 };
+
+// Profile object ↔ editable rows ({ from, to } or { from, payable, recoverable } for taxes)
+const toRows = (profile) =>
+  Object.fromEntries(
+    SECTIONS.map(([section]) => [
+      section,
+      Object.entries(profile?.[section] || {}).map(([from, to]) =>
+        section === "taxes" ? { from, payable: to.payable || "", recoverable: to.recoverable || "" } : { from, to }
+      ),
+    ])
+  );
+
+const fromRows = (name, accounts, rows) => ({
+  name,
+  accounts,
+  ...Object.fromEntries(
+    SECTIONS.map(([section]) => [
+      section,
+      Object.fromEntries(
+        rows[section]
+          .filter((r) => r.from.trim())
+          .map((r) =>
+            section === "taxes" ? [r.from, { payable: r.payable, recoverable: r.recoverable }] : [r.from, r.to]
+          )
+      ),
+    ])
+  ),
+});
+
+const emptyRow = (section) => (section === "taxes" ? { from: "", payable: "", recoverable: "" } : { from: "", to: "" });
+
+function MappingEditor({ accountId, businessId, startDate, endDate }) {
+  const [name, setName] = useState("Default");
+  const [accounts, setAccounts] = useState({});
+  const [rows, setRows] = useState(toRows(null));
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [unmapped, setUnmapped] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState("");
+
+  const applyProfile = (profile) => {
+    setName(profile?.name || "Default");
+    setAccounts(profile?.accounts || {});
+    setRows(toRows(profile));
+    setUpdatedAt(profile?.updated_at || null);
+  };
+
+  useEffect(() => {
+    if (!accountId) return;
+    setUnmapped(null);
+    api
+      .getMappingProfile()
+      .then((profile) => {
+        applyProfile(profile);
+        setStatus(profile ? "" : "No mapping profile yet — the journal uses the built-in account names.");
+      })
+      .catch((err) => setStatus(`❌ ${err.response?.data?.error || err.message}`));
+  }, [accountId]);
+
+  const updateRow = (section, index, patch) =>
+    setRows((prev) => ({
+      ...prev,
+      [section]: prev[section].map((r, i) => (i === index ? { ...r, ...patch } : r)),
+    }));
+
+  const addRow = (section, from = "") =>
+    setRows((prev) => ({ ...prev, [section]: [...prev[section], { ...emptyRow(section), from }] }));
+
+  const removeRow = (section, index) =>
+    setRows((prev) => ({ ...prev, [section]: prev[section].filter((_, i) => i !== index) }));
+
+  const save = async () => {
+    setBusy(true);
+    try {
+      const saved = await api.saveMappingProfile(fromRows(name, accounts, rows));
+      applyProfile(saved);
+      setStatus(`✅ Saved "${saved.name}"`);
+    } catch (err) {
+      setStatus(`❌ ${err.response?.data?.error || err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const remove = async () => {
+    if (!confirm("Delete the mapping profile for this business?")) return;
+    setBusy(true);
+    try {
+      await api.deleteMappingProfile();
+      applyProfile(null);
+      setStatus("🗑️ Profile deleted — the journal uses the built-in account names.");
+    } catch (err) {
+      setStatus(`❌ ${err.response?.data?.error || err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Generate the journal for the selected range and add a row for every value it could not map
+  const findUnmapped = async () => {
+    if (!accountId || !businessId) return alert("Account ID missing. Update business first.");
+    setBusy(true);
+    setStatus("⏳ Generating journal to find unmapped values...");
+    try {
+      const journal = await api.generateJournal({
+        account_id: accountId,
+        business_id: businessId,
+        start_date: startDate || undefined,
+        end_date: endDate || undefined,
+      });
+      const found = journal.unmapped || {};
+      setUnmapped(found);
+      setRows((prev) => {
+        const next = { ...prev };
+        for (const [section] of SECTIONS) {
+          const known = new Set(prev[section].map((r) => r.from));
+          const missing = (found[section] || [])
+            .map((u) => u.value)
+            .filter((value) => value !== "(none)" && !known.has(value));
+          next[section] = [...prev[section], ...missing.map((from) => ({ ...emptyRow(section), from }))];
+        }
+        return next;
+      });
+      const total = Object.values(found).reduce((sum, list) => sum + list.length, 0);
+      setStatus(total ? `⚠️ ${total} unmapped value(s) — fill in the new rows and save.` : "✅ Every source value is mapped.");
+    } catch (err) {
+      setStatus(`❌ ${err.response?.data?.error || err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!accountId) return null;
+
+  return (
+    <section className="card">
+      <div className="flex-row">
+        <h2>🗺️ Journal Account Mapping</h2>
+        <button className="secondary-btn" onClick={findUnmapped} disabled={busy}>
+          🔍 Find Unmapped Values
+        </button>
+      </div>
+
+      <input
+        type="text"
+        placeholder="Profile name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        style={{ display: "block", marginBottom: "10px", width: "100%" }}
+      />
+      {updatedAt && <p className="status-text">Last saved {new Date(updatedAt).toLocaleString()}</p>}
+
+      <h3>Control accounts</h3>
+      {CONTROL_ACCOUNTS.map(([key, fallback]) => (
+        <div key={key} style={rowStyle}>
+          <span style={{ width: 160 }}>{key}</span>
+          <input
+            type="text"
+            placeholder={fallback}
+            value={accounts[key] || ""}
+            onChange={(e) => setAccounts((prev) => ({ ...prev, [key]: e.target.value }))}
+            style={inputStyle}
+          />
+        </div>
+      ))}
+
+      {SECTIONS.map(([section, label]) => (
+        <div key={section}>
+          <h3>{label}</h3>
+          {unmapped?.[section]?.length > 0 && (
+            <p className="status-text">
+              Unmapped: {unmapped[section].map((u) => `${u.value} (${u.postings})`).join(", ")}
+            </p>
+          )}
+          {rows[section].map((row, index) => (
+            <div key={index} style={rowStyle}>
+              <input
+                type="text"
+                placeholder="FreshBooks value"
+                value={row.from}
+                onChange={(e) => updateRow(section, index, { from: e.target.value })}
+                style={inputStyle}
+              />
+              {section === "taxes" ? (
+                <>
+                  <input
+                    type="text"
+                    placeholder="Payable account"
+                    value={row.payable}
+                    onChange={(e) => updateRow(section, index, { payable: e.target.value })}
+                    style={inputStyle}
+                  />
+                  <input
+                    type="text"
+                    placeholder="Recoverable account"
+                    value={row.recoverable}
+                    onChange={(e) => updateRow(section, index, { recoverable: e.target.value })}
+                    style={inputStyle}
+                  />
+                </>
+              ) : (
+                <input
+                  type="text"
+                  placeholder="Target account"
+                  value={row.to}
+                  onChange={(e) => updateRow(section, index, { to: e.target.value })}
+                  style={inputStyle}
+                />
+              )}
+              <button className="secondary-btn" onClick={() => removeRow(section, index)}>
+                ✖
+              </button>
+            </div>
+          ))}
+          <button className="secondary-btn" onClick={() => addRow(section)}>
+            ➕ Add
+          </button>
+        </div>
+      ))}
+
+      <div style={{ ...rowStyle, marginTop: 16 }}>
+        <button className="primary-btn" onClick={save} disabled={busy}>
+          💾 Save Mapping
+        </button>
+        <button className="secondary-btn" onClick={remove} disabled={busy || !updatedAt}>
+          🗑️ Delete Profile
+        </button>
+      </div>
+      <p className="status-text">{status}</p>
+    </section>
+  );
+}
+
+export default MappingEditor;
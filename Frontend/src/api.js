@@ -1,57 +1,553 @@
+// api.js
+// Backend API client. Every OAuth and FreshBooks call goes through the backend:
+// tokens and the client secret stay server-side, the browser only holds the
+// httpOnly session cookie (sent with every request via withCredentials).
 import axios from "axios";
 
-const API_BASE = import.meta.env.VITE_API_BASE;
-const CLIENT_ID = import.meta.env.VITE_CLIENT_ID;
-const CLIENT_SECRET = import.meta.env.VITE_CLIENT_SECRET;
-const REDIRECT_URI = import.meta.env.VITE_REDIRECT_URI;
-
-// ✅ Correct FreshBooks OAuth URL
-export const getAuthURL = () => {
-  const url = `https://auth.freshbooks.com/oauth/authorize?client_id=${CLIENT_ID}&response_type=code&redirect_uri=${encodeURIComponent(
-    REDIRECT_URI
-  )}&scope=${encodeURIComponent(
-    "user:profile:read user:business:read user:clients:read user:invoices:read user:expenses:read user:payments:read user:bills:read"
-  )}`;
-  console.log("Generated Auth URL:", url);
-  return url;
-};
+/**
+ * @typedef {Object} SessionInfo
+ * @property {boolean} signed_in
+ * @property {string} user_name
+ * @property {string} account_id
+ * @property {string} business_id
+ * @property {string} business_uuid
+ * @property {string[]} scopes
+ * @property {string|null} expires_at ISO time the access token expires
+ */
+
+/**
+ * @typedef {Object} EntityDescriptor
+ * @property {string} type
+ * @property {string} group
+ * @property {"account"|"business_id"|"business_uuid"|"none"} idType
+ * @property {string|null} key
+ * @property {boolean} allowDates
+ * @property {string[]} include
+ * @property {number|null} perPage
+ * @property {string|null} apiVersion
+ * @property {"direct"|"single"|"journal"|"paged"|"report"} mode
+ * @property {number} fallbacks
+ * @property {boolean} syncable can be served from a local copy (sync=true)
+ * @property {boolean} asOf report for a single date (end_date / as_of), no start date
+ * @property {boolean} incremental sync fetches only records changed since the last sync
+ */
+
+/**
+ * @typedef {Object} BusinessLink
+ * @property {string} name
+ * @property {string} account_id
+ * @property {number|string|null} business_id
+ * @property {string|null} business_uuid
+ */
+
+/**
+ * @typedef {Object} BusinessSelection
+ * @property {string} account_id
+ * @property {number|string} business_id
+ * @property {string} business_uuid
+ * @property {string} [file_name]
+ * @property {string} [business_name]
+ */
+
+/**
+ * @typedef {Object} BusinessIds
+ * @property {string} [account_id]
+ * @property {number|string} [business_id]
+ * @property {string} [business_uuid]
+ */
+
+/**
+ * @typedef {BusinessIds & {
+ *   type: string,
+ *   start_date?: string,
+ *   end_date?: string,
+ *   line_mode?: string,
+ *   max_pages?: number,
+ *   include_raw?: boolean,
+ *   file_name?: string,
+ *   fresh?: boolean,
+ *   sync?: boolean,
+ *   full_sync?: boolean,
+ * }} ExtractParams
+ */
+
+/**
+ * @typedef {Object} SyncState
+ * @property {string} type
+ * @property {string} key local copy folder (id type + business id)
+ * @property {"full"|"incremental"} mode how the last sync ran
+ * @property {string|null} last_synced_at start time of the last complete sync
+ * @property {boolean} complete
+ * @property {string|null} since changed-since filter the last sync used
+ * @property {number} fetched records FreshBooks returned in the last sync
+ * @property {number} local_total records in the local copy
+ * @property {string} updated_at
+ * @property {boolean} [incremental] entity supports changed-since fetches
+ */
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id
+ * @property {"queued"|"running"|"done"|"failed"|"interrupted"} state
+ * @property {ExtractParams} params
+ * @property {string} user_name
+ * @property {{ page: number, records: number, total_pages: number|null, retries: number }} progress
+ * @property {number|null} resumed_from_page
+ * @property {number|null} total
+ * @property {boolean} truncated
+ * @property {{ status: number, error: any, url: string }|null} error
+ * @property {boolean} resumable
+ * @property {number|null} resume_page
+ * @property {string} created_at
+ * @property {string} updated_at
+ * @property {string|null} finished_at
+ */
+
+/**
+ * @typedef {Object} ExtractPayload
+ * @property {boolean} success
+ * @property {number} total
+ * @property {Object[]} data
+ * @property {string[]|null} [headers]
+ * @property {boolean} [truncated]
+ * @property {{ page: number, retries: number }[]} [page_retries]
+ * @property {Object[]} [raw]
+ * @property {SyncState} [sync] present when served from the local copy
+ * @property {number} [stored] rows written to the backend record store
+ */
+
+/**
+ * @typedef {Object} StoredEntity
+ * @property {string} type
+ * @property {number} rows
+ * @property {number} records
+ * @property {string} last_extracted_at
+ */
+
+/**
+ * @typedef {Object} MappingProfile
+ * @property {string} name
+ * @property {Object<string, string>} accounts control accounts: receivable, payable, revenue,
+ *   discounts, cash, expense, customer_credits, tax_payable, tax_recoverable
+ * @property {Object<string, string>} expense_categories FreshBooks category → account
+ * @property {Object<string, string>} income_accounts income account (or item name) → account
+ * @property {Object<string, { payable: string, recoverable: string }>} taxes tax name → accounts
+ * @property {Object<string, string>} payment_types payment type → cash / bank account
+ * @property {string} [updated_at]
+ */
+
+/**
+ * @typedef {Object} JournalPayload
+ * @property {boolean} success
+ * @property {number} total_entries
+ * @property {boolean} balanced
+ * @property {boolean} complete
+ * @property {{ name: string, updated_at: string|null }|null} mapping_profile
+ * @property {Object<string, { value: string, postings: number }[]>} unmapped source values
+ *   per mapping section that the profile (or the built-in names) did not cover
+ * @property {Object[]} data one row per posting
+ */
+
+/**
+ * @typedef {Object} ReportPayload
+ * @property {boolean} success
+ * @property {"trial_balance"|"general_ledger"|"ar_aging"|"ap_aging"|"reconciliation"} report
+ * @property {number} total rows in data
+ * @property {Object<string, { count: number, error: Object|null }>} sources report inputs
+ * @property {number} [journal_entries] ledger reports: journal entries the report was built from
+ * @property {string[]} [unlabelled] ledger reports: accounts not in the chart of accounts / ledger accounts
+ * @property {Object} [totals] trial balance: { debit, credit, balanced }; aging: per currency
+ * @property {Object[]} [accounts] general ledger only: opening / closing balance per account
+ * @property {"summary"|"detail"|"discrepancies"|"invoices"} [view] aging: per-client summary or per-document
+ *   detail; reconciliation: one row per discrepancy or per invoice
+ * @property {Object[]} [unmatched_payments] aging: payments that match no extracted document
+ * @property {Object<string, number>} [counts] reconciliation: discrepancies per reason code
+ * @property {Object<string, string>} [reason_codes] reconciliation: reason code → description
+ * @property {number} [reconciled] reconciliation: reported invoices with no discrepancy
+ * @property {number} [invoices] reconciliation: invoices in the range
+ * @property {Object[]} data report rows
+ */
+
+/**
+ * @typedef {Object} SnapshotMeta
+ * @property {string} id
+ * @property {string} type
+ * @property {string} created_at
+ * @property {string|null} start_date
+ * @property {string|null} end_date
+ * @property {number} total records in the extraction
+ */
+
+/**
+ * @typedef {Object} ComparisonPayload
+ * @property {boolean} success
+ * @property {"comparison"} report
+ * @property {string} type
+ * @property {SnapshotMeta} from
+ * @property {SnapshotMeta} to
+ * @property {{ added: number, removed: number, modified: number, unchanged: number, categories: Object<string, number>, same_range: boolean }} summary
+ * @property {number} total rows in data
+ * @property {Object[]} data one row per added / removed record and per changed field
+ */
+
+/**
+ * @typedef {Object} HistoryAction
+ * @property {string} id used by rerunHistoryAction
+ * @property {"extract"} kind
+ * @property {string} type
+ * @property {string} start_date
+ * @property {string} end_date
+ * @property {string} account_id
+ * @property {string} business_id
+ * @property {string} business_uuid
+ * @property {number|null} total
+ * @property {boolean} line_mode true for "Extract Line Items" runs
+ * @property {number|null} max_pages
+ * @property {string|null} file_name
+ * @property {string|null} snapshot_id see compareExtractions
+ * @property {string} at
+ */
 
-// ✅ Exchange code for access token
-export const fetchAccessToken = async (code) => {
-  const res = await axios.post(`${API_BASE}/auth/oauth/token`, {
-    grant_type: "authorization_code",
-    client_id: CLIENT_ID,
-    client_secret: CLIENT_SECRET,
-    redirect_uri: REDIRECT_URI,
-    code,
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id
+ * @property {string} event
+ * @property {{ id: number|null, name: string, email: string|null }} user
+ * @property {string} timestamp
+ * @property {HistoryAction[]} actions
+ * @property {Object} meta
+ */
+
+/** Backend origin: local backend while developing on localhost, else VITE_BACKEND */
+export const BACKEND = (() => {
+  const envBackend = import.meta.env.VITE_BACKEND;
+  const localDefault = `${window.location.protocol}//${window.location.hostname}:5050`;
+  // If developing on localhost, prefer hitting local backend directly to bypass ngrok/browser warning.
+  if (window.location.hostname === "localhost") return localDefault;
+  return envBackend || localDefault;
+})();
+
+const http = axios.create({
+  baseURL: BACKEND,
+  withCredentials: true,
+  // Skip ngrok browser warning for API calls
+  headers: { "ngrok-skip-browser-warning": "true" },
+});
+
+const userHeader = (userName) => (userName ? { "x-user-name": userName } : {});
+
+/* ------------------------------ auth / session ------------------------------ */
+
+/**
+ * Browser navigation target that starts the FreshBooks login.
+ * @param {string} userName
+ * @returns {string}
+ */
+export const authUrl = (userName) => `${BACKEND}/auth?user_name=${encodeURIComponent(userName)}`;
+
+/** @returns {Promise<SessionInfo>} */
+export async function getSession() {
+  const res = await http.get("/api/session", { timeout: 20000 });
+  return res.data?.session;
+}
+
+/**
+ * Exchange the one-time login code from the OAuth redirect for this browser's session.
+ * @param {string} code
+ * @returns {Promise<SessionInfo>}
+ */
+export async function claimLogin(code) {
+  const res = await http.post("/api/session/claim", { code }, { timeout: 20000 });
+  return res.data?.session;
+}
+
+/**
+ * @param {BusinessSelection} selection
+ * @param {string} [userName]
+ * @returns {Promise<SessionInfo>}
+ */
+export async function selectBusiness(selection, userName) {
+  const res = await http.post("/api/session/business", selection, {
+    timeout: 20000,
+    headers: userHeader(userName),
   });
-  return res.data.access_token;
-};
+  return res.data?.session;
+}
+
+/** @returns {Promise<void>} */
+export async function resetSession() {
+  await http.post("/api/reset-session", {}, { timeout: 10000 });
+}
+
+/** @returns {Promise<Object>} FreshBooks users/me payload */
+export async function getWhoami() {
+  const res = await http.get("/api/whoami", { timeout: 20000 });
+  return res.data;
+}
+
+/* ------------------------------ lookups ------------------------------ */
+
+/** @returns {Promise<EntityDescriptor[]>} */
+export async function getEntities() {
+  const res = await http.get("/api/entities", { timeout: 20000 });
+  return res.data?.entities || [];
+}
+
+/** @returns {Promise<BusinessLink[]>} */
+export async function getBusinessMap() {
+  const res = await http.get("/api/business-map", { timeout: 20000 });
+  return res.data?.businesses || [];
+}
+
+/**
+ * @param {number} [limit]
+ * @returns {Promise<HistoryEntry[]>}
+ */
+export async function getHistory(limit = 200) {
+  const res = await http.get("/api/history", { params: { limit } });
+  return res.data?.history || [];
+}
+
+/**
+ * @param {BusinessIds} ids
+ * @returns {Promise<Object<string, string>>} entity type → status text
+ */
+export async function testEndpoints(ids) {
+  const res = await http.get("/api/test-endpoints", { params: ids, timeout: 120000 });
+  return res.data?.results || {};
+}
 
-// ✅ Fetch FreshBooks data
-export const fetchFreshbooksData = async (
-  accessToken,
-  type,
-  start,
-  end,
-  accountId,
-  businessId
-) => {
-  const endpoints = {
-    invoices: `/accounting/account/${accountId}/invoices/invoices`,
-    expenses: `/accounting/account/${accountId}/expenses/expenses`,
-    payments: `/accounting/account/${accountId}/payments/payments`,
-    bills: `/accounting/account/${accountId}/bills/bills`,
-    clients: `/accounting/account/${accountId}/clients/clients`,
-    projects: `/projects/business/${businessId}/projects`,
-  };
-
-  const endpoint = endpoints[type];
-  if (!endpoint) throw new Error("Invalid data type selected");
-
-  const url = `${API_BASE}${endpoint}?search[start_date]=${start}&search[end_date]=${end}`;
-  const response = await axios.get(url, {
-    headers: { Authorization: `Bearer ${accessToken}` },
+/* ------------------------------ extraction jobs ------------------------------ */
+
+/**
+ * Start (or resume a matching failed / interrupted) background extraction.
+ * @param {ExtractParams} params
+ * @param {string} [userName]
+ * @returns {Promise<{ job: Job, resumed: boolean }>}
+ */
+export async function startExtractJob(params, userName) {
+  const res = await http.post("/api/jobs", params, { timeout: 30000, headers: userHeader(userName) });
+  return { job: res.data?.job, resumed: Boolean(res.data?.resumed) };
+}
+
+/**
+ * Re-run a logged extraction (history action id) as a fresh job; the session switches to
+ * the action's business first.
+ * @param {string} id history action id
+ * @param {string} [userName]
+ * @returns {Promise<{ job: Job, resumed: boolean, switched_business: boolean, action: Object, session: Object }>}
+ */
+export async function rerunHistoryAction(id, userName) {
+  const res = await http.post(`/api/history/actions/${encodeURIComponent(id)}/rerun`, {}, {
+    timeout: 30000,
+    headers: userHeader(userName),
+  });
+  return res.data;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Job>}
+ */
+export async function getJob(id) {
+  const res = await http.get(`/api/jobs/${id}`, { timeout: 20000 });
+  return res.data?.job;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Job>}
+ */
+export async function resumeJob(id) {
+  const res = await http.post(`/api/jobs/${id}/resume`, {}, { timeout: 20000 });
+  return res.data?.job;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<ExtractPayload>}
+ */
+export async function getJobResult(id) {
+  const res = await http.get(`/api/jobs/${id}/result`, { timeout: 120000 });
+  return res.data;
+}
+
+/**
+ * Server-Sent Events stream of job progress (use with EventSource + withCredentials).
+ * @param {string} id
+ * @returns {string}
+ */
+export const jobEventsUrl = (id) => `${BACKEND}/api/jobs/${id}/events`;
+
+/* ------------------------------ incremental sync ------------------------------ */
+
+/** @returns {Promise<SyncState[]>} local copies for the selected business */
+export async function getSyncState() {
+  const res = await http.get("/api/sync/state", { timeout: 20000 });
+  return res.data?.sync || [];
+}
+
+/**
+ * Drop one entity's local copy; its next sync is a full fetch.
+ * @param {string} type
+ * @returns {Promise<SyncState[]>}
+ */
+export async function resetSync(type) {
+  const res = await http.post("/api/sync/reset", { type }, { timeout: 20000 });
+  return res.data?.sync || [];
+}
+
+/* ------------------------------ record store ------------------------------ */
+
+/** @returns {Promise<StoredEntity[]>} entities stored for the selected business */
+export async function getStoredEntities() {
+  const res = await http.get("/api/store", { timeout: 20000 });
+  return res.data?.entities || [];
+}
+
+/**
+ * Rows from the backend record store (no FreshBooks call).
+ * @param {string} type
+ * @param {{ start_date?: string, end_date?: string, limit?: number, offset?: number, include_raw?: boolean }} [query]
+ * @returns {Promise<{ total: number, data: Object[], raw?: Object[] }>}
+ */
+export async function queryStore(type, query = {}) {
+  const res = await http.get(`/api/store/${type}`, { params: query, timeout: 60000 });
+  return res.data;
+}
+
+/* ------------------------------ exports ------------------------------ */
+
+/**
+ * XLSX workbook with one sheet per entity (+ line sheets for invoices, bills, ...).
+ * @param {{ types: string[], start_date?: string, end_date?: string, source?: "freshbooks"|"store", file_name?: string }} query
+ * @returns {Promise<Blob>}
+ */
+export async function exportWorkbook({ types, ...query }) {
+  const res = await http.get("/api/export/xlsx", {
+    params: { ...query, types: types.join(",") },
+    responseType: "blob",
+    timeout: 600000,
   });
-  return response.data;
+  return res.data;
+}
+
+/**
+ * ZIP of every entity (CSV + JSON each, plus manifest.json) for the selected business.
+ * @param {{ start_date?: string, end_date?: string, types?: string[], delimiter?: ","|";"|"tab", bom?: boolean }} [query]
+ * @returns {Promise<Blob>}
+ */
+export async function exportBundle({ types, ...query } = {}) {
+  const res = await http.get("/api/export/bundle", {
+    params: { ...query, types: types?.length ? types.join(",") : undefined },
+    responseType: "blob",
+    timeout: 0,
+  });
+  return res.data;
+}
+
+/* ------------------------------ journal account mapping ------------------------------ */
+
+/** @returns {Promise<MappingProfile|null>} profile for the selected business */
+export async function getMappingProfile() {
+  const res = await http.get("/api/mappings", { timeout: 20000 });
+  return res.data?.profile || null;
+}
+
+/**
+ * Replace the selected business's mapping profile.
+ * @param {MappingProfile} profile
+ * @returns {Promise<MappingProfile>}
+ */
+export async function saveMappingProfile(profile) {
+  const res = await http.put("/api/mappings", { profile }, { timeout: 20000 });
+  return res.data?.profile;
+}
+
+/** @returns {Promise<boolean>} true when a profile was removed */
+export async function deleteMappingProfile() {
+  const res = await http.delete("/api/mappings", { timeout: 20000 });
+  return Boolean(res.data?.removed);
+}
+
+/**
+ * Double-entry journal for a business, with the mapping profile applied.
+ * @param {{ account_id: string, business_id: string, start_date?: string, end_date?: string }} query
+ * @returns {Promise<JournalPayload>}
+ */
+export async function generateJournal(query) {
+  const res = await http.get("/api/generate-journal", { params: query, timeout: 600000 });
+  return res.data;
+}
+
+/* ------------------------------ reports ------------------------------ */
+
+const REPORT_ROUTES = {
+  trial_balance: "/api/reports/trial-balance",
+  general_ledger: "/api/reports/general-ledger",
+  ar_aging: "/api/reports/ar-aging",
+  ap_aging: "/api/reports/ap-aging",
+  reconciliation: "/api/reports/reconciliation",
 };
+
+/**
+ * Report computed by the backend from extracted data.
+ * @param {"trial_balance"|"general_ledger"|"ar_aging"|"ap_aging"|"reconciliation"} report
+ * @param {{ as_of?: string, start_date?: string, end_date?: string, account?: string, view?: "summary"|"detail"|"discrepancies"|"invoices", source?: "freshbooks"|"store" }} [query]
+ * @returns {Promise<ReportPayload>}
+ */
+export async function getReport(report, query = {}) {
+  const res = await http.get(REPORT_ROUTES[report], { params: query, timeout: 600000 });
+  return res.data;
+}
+
+/**
+ * Same report as an XLSX workbook (every view of the report as its own sheet).
+ * @param {"trial_balance"|"general_ledger"|"ar_aging"|"ap_aging"|"reconciliation"} report
+ * @param {Object} [query] see getReport
+ * @returns {Promise<Blob>}
+ */
+export async function exportReport(report, query = {}) {
+  const res = await http.get(REPORT_ROUTES[report], {
+    params: { ...query, format: "xlsx" },
+    responseType: "blob",
+    timeout: 600000,
+  });
+  return res.data;
+}
+
+/**
+ * Kept extractions (snapshots) of one entity for the selected business, newest first.
+ * @param {string} type
+ * @returns {Promise<SnapshotMeta[]>}
+ */
+export async function listSnapshots(type) {
+  const res = await http.get("/api/snapshots", { params: { type } });
+  return res.data?.snapshots || [];
+}
+
+/**
+ * Added / removed / modified records between two extractions (history actions carry snapshot_id).
+ * @param {string} from older snapshot id
+ * @param {string} to newer snapshot id
+ * @returns {Promise<ComparisonPayload>}
+ */
+export async function compareExtractions(from, to) {
+  const res = await http.get("/api/compare", { params: { from, to }, timeout: 120000 });
+  return res.data;
+}
+
+/**
+ * Same comparison as an XLSX workbook.
+ * @param {string} from
+ * @param {string} to
+ * @returns {Promise<Blob>}
+ */
+export async function exportComparison(from, to) {
+  const res = await http.get("/api/compare", {
+    params: { from, to, format: "xlsx" },
+    responseType: "blob",
+    timeout: 120000,
+  });
+  return res.data;
+}
@@ -7,6 +7,8 @@ export default defineConfig({
   plugins: [react()],
   server: {
     port: 5173,
+    // shared/ (e.g. the CSV writer) lives next to Frontend/ and backend/
+    fs: { allow: [".."] },
     proxy: {
       "/api": {
         target: "http://localhost:5050",
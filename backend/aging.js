@@ -0,0 +1,349 @@
+// aging.js
+// --------------------------------------------------
+// Receivables (invoices) and payables (bills) aging as of a date
+// - open balance per document as of the date = today's `outstanding` plus payments dated
+//   after it (FreshBooks only reports the current balance), capped at the document amount
+// - due date = due_date, else issue date + due_offset_days; dates that aren't real
+//   calendar dates count as missing (no readable issue date → the document is not aged)
+// - buckets by days past due: current (not yet due), 1–30, 31–60, 61–90, 90+
+// - summary rows are per party (client / vendor) and currency, so balances in different
+//   currencies are never added together; totals are per currency
+// - payments that match no extracted document cannot be added back; they are listed in
+//   unmatched_payments (the balances they settled may be understated)
+// - payments match by document id; the number is only used when a payment carries no id,
+//   so a payment whose id points at a document that wasn't extracted is always unmatched
+// - receivables: payments match by invoiceid (else invoice_number); unapplied
+//   credits = credit note amount − credit payments (creditid) dated on or before the
+//   date, shown per client next to the open balance, never bucketed
+// - payables: bill payments match by billid (else the included bill_number);
+//   vendor names come from the bill's vendor include, else bill_vendors
+// --------------------------------------------------
+
+export const AGING_BUCKETS = [
+  { key: "current", label: "Current", max: 0 },
+  { key: "days_1_30", label: "1–30", max: 30 },
+  { key: "days_31_60", label: "31–60", max: 60 },
+  { key: "days_61_90", label: "61–90", max: 90 },
+  { key: "days_90_plus", label: "90+", max: Infinity },
+];
+
+const CLOSED_STATUSES = /^(draft|void|voided|deleted|cancelled)$/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toCents = (value) => {
+  if (value && typeof value === "object") value = value.amount ?? value.value;
+  const n = Number(value ?? 0);
+  return Number.isFinite(n) ? Math.round(n * 100) : 0;
+};
+const fromCents = (cents) => Math.round(cents) / 100;
+// YYYY-MM-DD, or "" when the value isn't a real calendar date ("n/a", "2025-13-45", ...)
+const dateOf = (value) => {
+  const day = value ? String(value).slice(0, 10) : "";
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) return "";
+  const ms = Date.parse(day);
+  return Number.isFinite(ms) && new Date(ms).toISOString().slice(0, 10) === day ? day : "";
+};
+const today = () => new Date().toISOString().slice(0, 10);
+const present = (value) => value !== undefined && value !== null && value !== "";
+
+export const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+// A day count that isn't a number (unreadable dates) ages as current rather than failing the report
+export const bucketFor = (daysOverdue) =>
+  Number.isFinite(daysOverdue) ? AGING_BUCKETS.find((b) => daysOverdue <= b.max).key : "current";
+
+const addDays = (date, days) => new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+
+export function dueDateOf(doc, issued) {
+  const due = dateOf(doc.due_date);
+  if (due) return due;
+  const offset = Number(doc.due_offset_days);
+  return issued && Number.isFinite(offset) ? addDays(issued, offset) : issued;
+}
+
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, 0]));
+
+// ---------------------------
+// Shared core
+// - documents: [{ id, number, party_id, party_name, currency, issued, due, amount,
+//   outstanding, closed }] (amounts in cents)
+// - payments:  [{ doc_id, doc_number, date, amount, row }] (row is echoed when unmatched)
+// - returns { parties, detail, unmatched, partyFor }
+// ---------------------------
+function ageDocuments(documents, payments, asOf) {
+  const keysOf = (id, number) => [
+    ...(present(id) ? [`id:${id}`] : []),
+    ...(present(number) ? [`no:${number}`] : []),
+  ];
+  const known = new Set(documents.flatMap((d) => keysOf(d.id, d.number)));
+
+  const paidLater = new Map();
+  const unmatched = [];
+  for (const pay of payments) {
+    const key = present(pay.doc_id) ? `id:${pay.doc_id}` : keysOf(null, pay.doc_number)[0];
+    if (!key || !known.has(key)) {
+      unmatched.push(pay.row);
+      continue;
+    }
+    if (pay.date && pay.date > asOf) paidLater.set(key, (paidLater.get(key) || 0) + pay.amount);
+  }
+
+  const parties = new Map();
+  const partyFor = (doc) => {
+    const key = `${doc.party_id || doc.party_name}|${doc.currency}`;
+    if (!parties.has(key))
+      parties.set(key, {
+        party_id: doc.party_id,
+        party_name: doc.party_name,
+        currency: doc.currency,
+        buckets: emptyBuckets(),
+        open: 0,
+        credits: 0,
+        documents: 0,
+        oldest_due_date: "",
+      });
+    const party = parties.get(key);
+    if (!party.party_name) party.party_name = doc.party_name;
+    return party;
+  };
+
+  const detail = [];
+  for (const doc of documents) {
+    if (!doc.issued || doc.issued > asOf || doc.closed) continue;
+    const later = keysOf(doc.id, doc.number).reduce((sum, k) => sum + (paidLater.get(k) || 0), 0);
+    const open = Math.min(doc.amount, doc.outstanding + later);
+    if (open <= 0) continue;
+
+    const days = doc.due ? daysBetween(doc.due, asOf) : 0;
+    const daysOverdue = Number.isFinite(days) ? days : 0;
+    const bucket = bucketFor(daysOverdue);
+    const party = partyFor(doc);
+    party.buckets[bucket] += open;
+    party.open += open;
+    party.documents += 1;
+    if (doc.due && (!party.oldest_due_date || doc.due < party.oldest_due_date)) party.oldest_due_date = doc.due;
+
+    detail.push({
+      doc,
+      party,
+      days_overdue: Math.max(daysOverdue, 0),
+      bucket: AGING_BUCKETS.find((b) => b.key === bucket).label,
+      open,
+      later,
+    });
+  }
+  return { parties, detail, unmatched, partyFor };
+}
+
+const bucketColumns = (buckets) =>
+  Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, fromCents(buckets[b.key])]));
+
+function currencyTotals(summary, keys) {
+  const totals = {};
+  for (const row of summary) {
+    const currency = row.currency || "(none)";
+    if (!totals[currency]) totals[currency] = Object.fromEntries(keys.map((key) => [key, 0]));
+    for (const key of keys) totals[currency][key] = fromCents(toCents(totals[currency][key]) + toCents(row[key]));
+  }
+  return totals;
+}
+
+const byPartyThenDue = (a, b) =>
+  a.party.party_name.localeCompare(b.party.party_name) || String(a.doc.due).localeCompare(String(b.doc.due));
+const byPartyThenCurrency = (a, b) =>
+  a.party_name.localeCompare(b.party_name) || a.currency.localeCompare(b.currency);
+
+// ---------------------------
+// Receivables
+// - sources: { invoices, payments, credit_notes } raw FreshBooks records
+// - returns { as_of, summary, detail, totals, unmatched_payments }
+// ---------------------------
+const clientNameOf = (doc) => {
+  const c = doc.client || {};
+  const person = [doc.fname ?? c.fname, doc.lname ?? c.lname].filter(Boolean).join(" ");
+  return doc.organization || doc.current_organization || c.organization || person || doc.client_name || "";
+};
+
+export function buildReceivablesAging({ invoices = [], payments = [], credit_notes = [] }, { as_of = "" } = {}) {
+  const asOf = as_of || today();
+
+  const documents = invoices.map((inv) => {
+    const issued = dateOf(inv.create_date ?? inv.date);
+    return {
+      id: inv.invoiceid ?? inv.id,
+      number: inv.invoice_number,
+      party_id: String(inv.customerid ?? inv.clientid ?? inv.client_id ?? ""),
+      party_name: clientNameOf(inv),
+      currency: inv.currency_code || inv.amount?.code || "",
+      issued,
+      due: dueDateOf(inv, issued),
+      amount: toCents(inv.amount),
+      outstanding: toCents(inv.outstanding),
+      closed: CLOSED_STATUSES.test(String(inv.v3_status ?? inv.status ?? inv.display_status ?? "")),
+    };
+  });
+
+  const creditApplied = new Map();
+  const invoicePayments = payments.map((pay) => {
+    const date = dateOf(pay.date);
+    const amount = toCents(pay.amount);
+    if (pay.creditid && date && date <= asOf)
+      creditApplied.set(String(pay.creditid), (creditApplied.get(String(pay.creditid)) || 0) + amount);
+    return {
+      doc_id: pay.invoiceid,
+      doc_number: pay.invoice?.invoice_number ?? pay.invoice_number,
+      date,
+      amount,
+      row: {
+        payment_id: pay.id ?? pay.paymentid ?? null,
+        invoiceid: pay.invoiceid ?? null,
+        invoice_number: pay.invoice?.invoice_number ?? pay.invoice_number ?? null,
+        date: date || null,
+        amount: fromCents(amount),
+        type: pay.type ?? null,
+      },
+    };
+  });
+
+  const { parties, detail, unmatched, partyFor } = ageDocuments(documents, invoicePayments, asOf);
+
+  for (const note of credit_notes) {
+    const created = dateOf(note.create_date ?? note.created_at);
+    if (!created || created > asOf || CLOSED_STATUSES.test(String(note.display_status ?? note.status ?? "")))
+      continue;
+    const unapplied = toCents(note.amount) - (creditApplied.get(String(note.creditid ?? note.id)) || 0);
+    if (unapplied <= 0) continue;
+    partyFor({
+      party_id: String(note.clientid ?? note.customerid ?? note.client_id ?? ""),
+      party_name: clientNameOf(note),
+      currency: note.currency_code || note.amount?.code || "",
+    }).credits += unapplied;
+  }
+
+  const summary = [...parties.values()].sort(byPartyThenCurrency).map((c) => ({
+    client_id: c.party_id,
+    client_name: c.party_name,
+    currency: c.currency,
+    ...bucketColumns(c.buckets),
+    total_outstanding: fromCents(c.open),
+    unapplied_credits: fromCents(c.credits),
+    net_balance: fromCents(c.open - c.credits),
+    open_invoices: c.documents,
+    oldest_due_date: c.oldest_due_date || null,
+  }));
+
+  const rows = detail.sort(byPartyThenDue).map(({ doc, party, days_overdue, bucket, open, later }) => ({
+    client_id: party.party_id,
+    client_name: party.party_name,
+    invoice_number: doc.number ?? null,
+    invoice_id: doc.id ?? null,
+    create_date: doc.issued,
+    due_date: doc.due,
+    days_overdue,
+    bucket,
+    currency: doc.currency,
+    amount: fromCents(doc.amount),
+    paid_as_of: fromCents(doc.amount - open),
+    outstanding: fromCents(open),
+    paid_after_as_of: fromCents(later),
+  }));
+
+  return {
+    as_of: asOf,
+    summary,
+    detail: rows,
+    totals: currencyTotals(summary, [
+      ...AGING_BUCKETS.map((b) => b.key),
+      "total_outstanding",
+      "unapplied_credits",
+      "net_balance",
+    ]),
+    unmatched_payments: unmatched,
+  };
+}
+
+// ---------------------------
+// Payables
+// - sources: { bills, bill_payments, bill_vendors } raw FreshBooks records
+// - returns { as_of, summary, detail, totals, unmatched_payments }
+// ---------------------------
+export function buildPayablesAging({ bills = [], bill_payments = [], bill_vendors = [] }, { as_of = "" } = {}) {
+  const asOf = as_of || today();
+  const vendorNames = new Map(
+    bill_vendors.map((v) => [String(v.vendorid ?? v.id), v.vendor_name || v.name || v.organization || ""])
+  );
+
+  const documents = bills.map((bill) => {
+    const issued = dateOf(bill.issue_date ?? bill.create_date ?? bill.created_at);
+    const vendorId = String(bill.vendorid ?? bill.vendor?.vendorid ?? bill.vendor?.id ?? "");
+    const total = bill.total_amount ?? bill.amount;
+    const amount = toCents(total);
+    return {
+      id: bill.id ?? bill.billid,
+      number: bill.bill_number,
+      party_id: vendorId,
+      party_name: bill.vendor?.vendor_name || vendorNames.get(vendorId) || bill.vendor_name || "",
+      currency: bill.currency_code || total?.code || "",
+      issued,
+      due: dueDateOf(bill, issued),
+      amount,
+      outstanding: present(bill.outstanding) ? toCents(bill.outstanding) : amount - toCents(bill.paid),
+      closed: CLOSED_STATUSES.test(String(bill.status ?? bill.display_status ?? "")),
+    };
+  });
+
+  const billPayments = bill_payments.map((pay) => {
+    const date = dateOf(pay.paid_date ?? pay.date);
+    const amount = toCents(pay.amount);
+    return {
+      doc_id: pay.billid ?? pay.bill?.id,
+      doc_number: pay.bill?.bill_number ?? pay.bill_number,
+      date,
+      amount,
+      row: {
+        payment_id: pay.id ?? null,
+        billid: pay.billid ?? pay.bill?.id ?? null,
+        bill_number: pay.bill?.bill_number ?? pay.bill_number ?? null,
+        paid_date: date || null,
+        amount: fromCents(amount),
+        payment_type: pay.payment_type ?? null,
+      },
+    };
+  });
+
+  const { parties, detail, unmatched } = ageDocuments(documents, billPayments, asOf);
+
+  const summary = [...parties.values()].sort(byPartyThenCurrency).map((v) => ({
+    vendor_id: v.party_id,
+    vendor_name: v.party_name,
+    currency: v.currency,
+    ...bucketColumns(v.buckets),
+    total_outstanding: fromCents(v.open),
+    open_bills: v.documents,
+    oldest_due_date: v.oldest_due_date || null,
+  }));
+
+  const rows = detail.sort(byPartyThenDue).map(({ doc, party, days_overdue, bucket, open, later }) => ({
+    vendor_id: party.party_id,
+    vendor_name: party.party_name,
+    bill_number: doc.number ?? null,
+    bill_id: doc.id ?? null,
+    issue_date: doc.issued,
+    due_date: doc.due,
+    days_overdue,
+    bucket,
+    currency: doc.currency,
+    amount: fromCents(doc.amount),
+    paid_as_of: fromCents(doc.amount - open),
+    outstanding: fromCents(open),
+    paid_after_as_of: fromCents(later),
+  }));
+
+  return {
+    as_of: asOf,
+    summary,
+    detail: rows,
+    totals: currencyTotals(summary, [...AGING_BUCKETS.map((b) => b.key), "total_outstanding"]),
+    unmatched_payments: unmatched,
+  };
+}
@@ -0,0 +1,157 @@
+// compare.js
+// --------------------------------------------------
+// Diff of two extractions (snapshots) of the same entity and business
+// - records are matched by id (store.js recordId); a record only in `to` is added,
+//   only in `from` removed, in both with a field change modified
+// - field diffs cover top-level values and line items; each change is tagged with
+//   a category: amount | date | status | line_items | field
+// - amounts compare in cents (money objects { amount, code } included) so "10" and
+//   "10.00" are not a change; nested objects other than money and lines are ignored
+// - bookkeeping timestamps (updated, updated_at, ...) never count as a change
+// --------------------------------------------------
+import { extractLineItems, recordDate } from "./extractor.js";
+import { recordId } from "./store.js";
+
+const IGNORED_FIELDS = new Set(["updated", "updated_at", "last_activity", "last_login", "lines", "line_items"]);
+const AMOUNT_FIELD = /(amount|total|paid|outstanding|balance|discount_value|^amt$|unit_cost|^tax\d?$)/i;
+const DATE_FIELD = /(date|_at)$/i;
+const STATUS_FIELD = /status$/i;
+const LINE_FIELDS = ["name", "description", "qty", "quantity", "unit_cost", "amount", "total", "taxName1", "taxName2"];
+
+const isMoney = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value) && "amount" in value;
+const toCents = (value) => {
+  const n = Number(isMoney(value) ? value.amount : value);
+  return Number.isFinite(n) ? Math.round(n * 100) : null;
+};
+const plain = (value) => (isMoney(value) ? value.amount : value ?? null);
+
+const categoryOf = (field, value) => {
+  if (STATUS_FIELD.test(field)) return "status";
+  if (DATE_FIELD.test(field)) return "date";
+  if (isMoney(value) || AMOUNT_FIELD.test(field)) return "amount";
+  return "field";
+};
+
+// Equal after normalising: money / amounts by cents, dates by day, the rest as text
+function sameValue(category, before, after) {
+  if (category === "amount") {
+    const [a, b] = [toCents(before), toCents(after)];
+    if (a !== null && b !== null) return a === b;
+  }
+  if (category === "date" && before && after) return String(before).slice(0, 10) === String(after).slice(0, 10);
+  return String(plain(before) ?? "") === String(plain(after) ?? "");
+}
+
+function fieldChanges(before, after) {
+  const changes = [];
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    const [a, b] = [before[field], after[field]];
+    const nested = (v) => v !== null && typeof v === "object" && !isMoney(v);
+    if (nested(a) || nested(b)) continue;
+    const category = categoryOf(field, a ?? b);
+    if (!sameValue(category, a, b)) changes.push({ field, category, before: plain(a), after: plain(b) });
+  }
+  return changes;
+}
+
+// Lines match by their own id, falling back to position
+const lineKey = (line, index) => String(line.lineid ?? line.id ?? `#${index + 1}`);
+
+function lineChanges(type, before, after) {
+  const index = (record) => new Map(extractLineItems(type, record).map((line, i) => [lineKey(line, i), line]));
+  const [from, to] = [index(before), index(after)];
+  const changes = [];
+  for (const [key, line] of to) {
+    const old = from.get(key);
+    if (!old) {
+      changes.push({ field: `line ${key}`, category: "line_items", before: null, after: "added" });
+      continue;
+    }
+    for (const field of LINE_FIELDS) {
+      if (!(field in line) && !(field in old)) continue;
+      const category = AMOUNT_FIELD.test(field) || field === "qty" || field === "quantity" ? "amount" : "field";
+      if (!sameValue(category, old[field], line[field]))
+        changes.push({
+          field: `line ${key}.${field}`,
+          category: "line_items",
+          before: plain(old[field]),
+          after: plain(line[field]),
+        });
+    }
+  }
+  for (const key of from.keys())
+    if (!to.has(key)) changes.push({ field: `line ${key}`, category: "line_items", before: "removed", after: null });
+  return changes;
+}
+
+const recordRef = (record) => ({
+  number:
+    record.invoice_number ??
+    record.bill_number ??
+    record.estimate_number ??
+    record.credit_number ??
+    record.name ??
+    null,
+  date: recordDate(record) || null,
+});
+
+// ---------------------------
+// Compare
+// - from / to: { meta, records } as returned by store.loadSnapshot
+// - returns { summary, records (one per added / removed / modified record), rows (flat) }
+// ---------------------------
+export function compareSnapshots(type, from, to) {
+  const byId = (records) => {
+    const map = new Map();
+    for (const record of records) {
+      const id = recordId(record);
+      if (id) map.set(id, record);
+    }
+    return map;
+  };
+  const [before, after] = [byId(from.records), byId(to.records)];
+
+  const records = [];
+  let unchanged = 0;
+  for (const [id, record] of after) {
+    const old = before.get(id);
+    if (!old) {
+      records.push({ record_id: id, change: "added", ...recordRef(record), changes: [] });
+      continue;
+    }
+    const changes = [...fieldChanges(old, record), ...lineChanges(type, old, record)];
+    if (changes.length) records.push({ record_id: id, change: "modified", ...recordRef(record), changes });
+    else unchanged++;
+  }
+  for (const [id, record] of before)
+    if (!after.has(id)) records.push({ record_id: id, change: "removed", ...recordRef(record), changes: [] });
+
+  const count = (change) => records.filter((r) => r.change === change).length;
+  const categories = {};
+  for (const record of records)
+    for (const { category } of record.changes) categories[category] = (categories[category] || 0) + 1;
+
+  // One row per added / removed record and per changed field, for the table / CSV
+  const rows = records.flatMap(({ changes, ...record }) =>
+    changes.length
+      ? changes.map((change) => ({ ...record, ...change }))
+      : [{ ...record, field: null, category: null, before: null, after: null }]
+  );
+
+  return {
+    summary: {
+      added: count("added"),
+      removed: count("removed"),
+      modified: count("modified"),
+      unchanged,
+      categories,
+      // Records outside the overlap of two different ranges show up as added / removed
+      same_range: from.meta.start_date === to.meta.start_date && from.meta.end_date === to.meta.end_date,
+    },
+    records,
+    rows,
+  };
+}
@@ -0,0 +1,383 @@
+// entities.js
+// --------------------------------------------------
+// FreshBooks entity registry
+// - one descriptor per extract type; /api/extract, /api/test-endpoints and
+//   the frontend endpoint picker (via /api/entities) all read from here
+// - url(ids) returns the path (no host) for the given account/business ids
+// - idType says which id the url needs: account | business_id | business_uuid | none
+// - key is the array name inside response.result (pickRecords falls back to
+//   the first array it finds when FreshBooks uses a different name)
+// - direct: single object, no list; singleCall: one list call, no pagination;
+//   forcePagination: journal-style paging (page_number/page_size on business urls)
+// - updatedParam: query filter for "changed since" (incremental sync); entities
+//   without one are re-fetched in full by sync.js
+// - report: one nested report object per call (pickReport), flattened into rows by
+//   formatRecord; not stored or synced, since the figures depend on the dates asked for
+// - asOf: the end date is the report's as-of date (start_date is not sent)
+// --------------------------------------------------
+
+const accountPath = (suffix) => (ids) => `/accounting/account/${ids.account_id}${suffix}`;
+const businessUuidPath = (suffix) => (ids) =>
+  `/accounting/businesses/${ids.business_uuid}${suffix}`;
+
+export const ENTITIES = {
+  profile: {
+    group: "Meta",
+    url: () => `/auth/api/v1/users/me`,
+    key: null,
+    idType: "none",
+    direct: true,
+  },
+  business: {
+    group: "Meta",
+    url: (ids) => `/auth/api/v1/businesses/${ids.business_id}`,
+    key: null,
+    idType: "business_id",
+    direct: true,
+    fallback: "whoami", // use the matching whoami membership when scope / id is off
+  },
+  invoices: {
+    group: "Accounting & Billing",
+    url: accountPath("/invoices/invoices"),
+    key: "invoices",
+    idType: "account",
+    allowDates: true,
+    updatedParam: "search[updated_min]",
+    include: ["lines", "taxes", "client"],
+  },
+  credit_notes: {
+    group: "Accounting & Billing",
+    url: accountPath("/credit_notes/credit_notes"),
+    key: "credit_notes",
+    idType: "account",
+    allowDates: true,
+    updatedParam: "search[updated_min]",
+    include: ["lines", "client"],
+  },
+  bill_payments: {
+    group: "Accounting & Billing",
+    url: accountPath("/bill_payments/bill_payments"),
+    key: "bill_payments",
+    idType: "account",
+    allowDates: true,
+    perPage: 15, // observed max per page
+    include: ["bill"], // include bill to expose bill_number
+  },
+  billable_items: {
+    group: "Accounting & Billing",
+    url: accountPath("/billable_items/billable_items"),
+    key: "billable_items",
+    idType: "account",
+    allowDates: false,
+  },
+  bill_vendors: {
+    group: "Contacts",
+    url: accountPath("/bill_vendors/bill_vendors"),
+    key: "bill_vendors",
+    idType: "account",
+    allowDates: false,
+    perPage: 15,
+  },
+  other_income: {
+    group: "Accounting & Billing",
+    // Official path: /other_incomes/other_incomes
+    url: accountPath("/other_incomes/other_incomes"),
+    key: "other_income",
+    idType: "account",
+    allowDates: true,
+  },
+  payments: {
+    group: "Accounting & Billing",
+    url: accountPath("/payments/payments"),
+    key: "payments",
+    idType: "account",
+    allowDates: true,
+    updatedParam: "search[updated_min]",
+    include: ["invoice", "client"],
+  },
+  expenses: {
+    group: "Accounting & Billing",
+    url: accountPath("/expenses/expenses"),
+    key: "expenses",
+    idType: "account",
+    allowDates: true,
+    updatedParam: "search[updated_min]",
+    include: ["category"],
+  },
+  bills: {
+    group: "Accounting & Billing",
+    url: accountPath("/bills/bills"),
+    key: "bills",
+    idType: "account",
+    allowDates: true,
+    updatedParam: "search[updated_min]",
+    perPage: 100, // API cap
+    include: ["lines", "bill_lines", "vendor"],
+  },
+  estimates: {
+    group: "Sales & Documents",
+    url: accountPath("/estimates/estimates"),
+    key: "estimates",
+    idType: "account",
+    allowDates: true,
+    updatedParam: "search[updated_min]",
+    include: ["lines"],
+  },
+  retainers: {
+    group: "Sales & Documents",
+    url: accountPath("/retainers/retainers"),
+    key: "retainers",
+    idType: "account",
+    allowDates: false,
+  },
+  clients: {
+    group: "Contacts",
+    url: accountPath("/users/clients"),
+    key: "clients",
+    idType: "account",
+    allowDates: false,
+    updatedParam: "search[updated_min]",
+  },
+  taxes: {
+    group: "Accounting & Billing",
+    url: accountPath("/taxes/taxes"),
+    key: "taxes",
+    idType: "account",
+    allowDates: false,
+  },
+  accounts: {
+    group: "Accounting & Billing",
+    url: accountPath("/accounts/accounts"),
+    key: "accounts",
+    idType: "account",
+    allowDates: false,
+  },
+  projects: {
+    group: "Projects & Time",
+    url: (ids) => `/projects/business/${ids.business_id}/projects`,
+    key: "projects",
+    idType: "business_id",
+    allowDates: false,
+    updatedParam: "updated_since",
+  },
+  time_entries: {
+    group: "Projects & Time",
+    url: (ids) => `/comments/business/${ids.business_id}/time_entries`,
+    key: "time_entries",
+    idType: "business_id",
+    allowDates: false,
+    updatedParam: "updated_since",
+  },
+  teams: {
+    group: "Projects & Time",
+    url: accountPath("/teams/teams"),
+    key: "teams",
+    idType: "account",
+    allowDates: false,
+  },
+  journal_entries: {
+    group: "Accounting & Billing",
+    // Adjustment journal entries (business-level)
+    url: businessUuidPath("/journal_entries"),
+    key: "manualJournalEntries", // per API docs
+    idType: "business_uuid",
+    allowDates: true, // we still accept dates; FB may ignore for adjustment list
+    forcePagination: true,
+    perPage: 15, // API caps at 15 for adjustment journals
+    apiVersion: "2023-09-25",
+    altUrls: [
+      // Fallback: account-scoped "journal entries by account"
+      accountPath("/journal_entries/journal_entries"),
+    ],
+  },
+  ledger_accounts: {
+    group: "Accounting & Billing",
+    url: businessUuidPath("/ledger_accounts/accounts"),
+    key: "accounts",
+    idType: "business_uuid",
+    allowDates: false,
+    singleCall: true,
+  },
+  chart_of_accounts: {
+    group: "Accounting & Billing",
+    url: businessUuidPath("/reports/chart_of_accounts"),
+    params: { use_ledger_entries: "true", state: "active", sort: "account_number_asc" },
+    key: "accounts",
+    idType: "business_uuid",
+    allowDates: true,
+    singleCall: true,
+  },
+  profit_and_loss: {
+    group: "Accounting Reports",
+    url: businessUuidPath("/reports/profit_and_loss"),
+    key: "profitloss",
+    idType: "business_uuid",
+    allowDates: true,
+    singleCall: true,
+    report: true,
+    altUrls: [accountPath("/reports/accounting/profitloss")],
+  },
+  balance_sheet: {
+    group: "Accounting Reports",
+    url: businessUuidPath("/reports/balance_sheet"),
+    key: "balance_sheet",
+    idType: "business_uuid",
+    allowDates: true,
+    asOf: true,
+    singleCall: true,
+    report: true,
+  },
+  cash_flow: {
+    group: "Accounting Reports",
+    url: businessUuidPath("/reports/cash_flow"),
+    key: "cash_flow",
+    idType: "business_uuid",
+    allowDates: true,
+    singleCall: true,
+    report: true,
+  },
+  tax_summary: {
+    group: "Accounting Reports",
+    url: businessUuidPath("/reports/tax_summary"),
+    key: "taxsummary",
+    idType: "business_uuid",
+    allowDates: true,
+    singleCall: true,
+    report: true,
+    altUrls: [accountPath("/reports/accounting/taxsummary")],
+  },
+};
+
+// Which id a descriptor needs, and whether the caller supplied it
+export function missingIdFor(entity, ids) {
+  if (entity.idType === "account" && !ids.account_id) return "account_id";
+  if (entity.idType === "business_id" && !ids.business_id) return "business_id";
+  if (entity.idType === "business_uuid" && !ids.business_uuid) return "business_uuid";
+  return null;
+}
+
+// Stable per-business key for stored data (sync copies, record store):
+// the id the entity's url is built from, e.g. account_abc12 / business_uuid_…
+const ID_PARAM = { account: "account_id", business_id: "business_id", business_uuid: "business_uuid" };
+export function businessKey(entity, ids) {
+  const idName = ID_PARAM[entity.idType];
+  const value = idName ? ids[idName] : "user";
+  return `${entity.idType}_${String(value || "").replace(/[^\w-]/g, "_")}`;
+}
+
+// Ordered list of url builders: primary first, then fallbacks
+export function entityUrlChain(entity) {
+  return [entity.url, ...(Array.isArray(entity.altUrls) ? entity.altUrls : [])];
+}
+
+// Build a full URL object for one call (host + path + static params + includes + dates)
+// - updated_since (ISO time) → entity.updatedParam; search[updated_min] only takes a date
+export function buildEntityUrl(
+  base,
+  entity,
+  urlFn,
+  ids,
+  { start_date, end_date, updated_since } = {}
+) {
+  const urlObj = new URL(`${base}${urlFn(ids)}`);
+  Object.entries(entity.params || {}).forEach(([k, v]) => urlObj.searchParams.set(k, v));
+  if (entity.include?.length) {
+    const includes = Array.isArray(entity.include) ? entity.include : [entity.include];
+    includes.forEach((inc) => {
+      urlObj.searchParams.append("include", inc);
+      urlObj.searchParams.append("include[]", inc);
+    });
+  }
+  if (entity.allowDates) {
+    if (start_date && !entity.asOf) {
+      urlObj.searchParams.set("start_date", start_date);
+      urlObj.searchParams.set("search[start_date]", start_date);
+    }
+    if (end_date) {
+      urlObj.searchParams.set("end_date", end_date);
+      urlObj.searchParams.set("search[end_date]", end_date);
+      if (entity.asOf) urlObj.searchParams.set("as_of", end_date);
+    }
+  }
+  if (entity.updatedParam && updated_since) {
+    const value = entity.updatedParam === "updated_since" ? updated_since : updated_since.slice(0, 10);
+    urlObj.searchParams.set(entity.updatedParam, value);
+  }
+  return urlObj;
+}
+
+// Page params differ: adjustment journals use page_number/page_size,
+// everything else page/per_page (account journals also need ledger flags)
+export function applyPageParams(urlObj, page, perPage) {
+  const href = urlObj.toString();
+  const isAdjJournal =
+    href.includes("/businesses/") &&
+    href.includes("/journal_entries") &&
+    !href.includes("/reports/");
+  const isAccountJournal =
+    href.includes("/account/") && href.includes("/journal_entries/journal_entries");
+  if (isAdjJournal) {
+    urlObj.searchParams.set("page_number", String(page));
+    urlObj.searchParams.set("page_size", String(perPage));
+    return;
+  }
+  urlObj.searchParams.set("page", String(page));
+  urlObj.searchParams.set("per_page", String(perPage));
+  if (isAccountJournal) {
+    // Required for ledger-style journal entries
+    urlObj.searchParams.set("use_ledger_entries", "true");
+    urlObj.searchParams.set("include_children", "true");
+  }
+}
+
+export function entityHeaders(entity, token) {
+  const headers = { Authorization: `Bearer ${token}` };
+  if (entity.apiVersion) headers["x-api-version"] = entity.apiVersion;
+  return headers;
+}
+
+// FreshBooks wraps lists in varying shapes; find the records array
+export function pickRecords(data, key) {
+  const body = data?.response?.result || data?.response || data || {};
+  const arr =
+    (key && body[key]) ||
+    (key && body.result?.[key]) ||
+    Object.values(body.result || {}).find((v) => Array.isArray(v)) ||
+    Object.values(body).find((v) => Array.isArray(v)) ||
+    [];
+  return { body, records: Array.isArray(arr) ? arr : [] };
+}
+
+// Accounting reports come back as one object (sometimes under its report key)
+export function pickReport(data, key) {
+  const body = data?.response?.result || data?.response || data?.data || data || {};
+  const report = (key && body[key]) || body.report || body;
+  return report && typeof report === "object" && !Array.isArray(report) ? report : {};
+}
+
+// Public shape for /api/entities (no functions)
+export function describeEntities() {
+  return Object.entries(ENTITIES).map(([type, e]) => ({
+    type,
+    group: e.group,
+    idType: e.idType,
+    key: e.key,
+    allowDates: Boolean(e.allowDates),
+    include: e.include || [],
+    perPage: e.perPage ?? null,
+    apiVersion: e.apiVersion || null,
+    mode: e.report
+      ? "report"
+      : e.direct
+      ? "direct"
+      : e.singleCall
+      ? "single"
+      : e.forcePagination
+      ? "journal"
+      : "paged",
+    fallbacks: (e.altUrls?.length || 0) + (e.fallback ? 1 : 0),
+    syncable: !e.direct && !e.report,
+    asOf: Boolean(e.asOf),
+    incremental: Boolean(e.updatedParam),
+  }));
+}
@@ -0,0 +1,866 @@
+// extractor.js
+// --------------------------------------------------
+// Extraction core shared by /api/extract and background jobs
+// - extractLineItems / formatRecord trim FreshBooks payloads into export rows
+// - fetchEntityRecords runs the direct / single / paginated fetch for one
+//   registry entity and returns the same payload /api/extract responds with
+// - pagination can resume from a checkpoint (next page, url index, records so far)
+// - onEvent receives progress events: resume, page, alt_url
+// - updatedSince limits the fetch to records changed since then (incremental sync)
+// --------------------------------------------------
+import {
+  ENTITIES,
+  applyPageParams,
+  buildEntityUrl,
+  entityHeaders,
+  entityUrlChain,
+  pickRecords,
+  pickReport,
+} from "./entities.js";
+import { freshbooksGet } from "./freshbooks.js";
+
+const DEFAULT_MAX_PAGES = 500;
+const DATE_FIELDS = ["create_date", "issue_date", "date", "started_at", "created_at"];
+
+// ---------------------------
+// Line Item Extractor
+// ---------------------------
+export function extractLineItems(type, record) {
+  if (!record) return [];
+
+  const pickLinesArray = (candidate, depth = 0) => {
+    if (!candidate || depth > 3) return [];
+
+    if (Array.isArray(candidate)) return candidate;
+
+    if (typeof candidate === "object") {
+      const knownKeys = ["invoice_lines", "estimate_lines", "bill_lines", "lines", "line_items"];
+      for (const key of knownKeys) {
+        const val = candidate[key];
+        if (Array.isArray(val)) return val;
+      }
+
+      for (const val of Object.values(candidate)) {
+        const found = pickLinesArray(val, depth + 1);
+        if (found.length) return found;
+      }
+    }
+
+    return [];
+  };
+
+  switch (type) {
+    case "invoices":
+      return pickLinesArray(record.line_items || record.lines || record);
+
+    case "estimates":
+      return pickLinesArray(record.line_items || record.lines || record);
+
+    case "bills":
+      return pickLinesArray(record.line_items || record.lines || record);
+
+    case "credit_notes":
+      return pickLinesArray(record.line_items || record.lines || record);
+
+    case "expenses":
+      return [
+        {
+          name: record.notes || record.category_name,
+          qty: 1,
+          unit_cost: record.amount?.amount || 0,
+          total: record.amount?.amount || 0,
+        },
+      ];
+
+    case "payments":
+      return [
+        {
+          name: "Payment",
+          qty: 1,
+          unit_cost: record.amount?.amount || 0,
+          total: record.amount?.amount || 0,
+        },
+      ];
+
+    default:
+      return [];
+  }
+}
+
+// ---------------------------
+// Accounting report flattener (profit_and_loss, balance_sheet, cash_flow, tax_summary)
+// - FreshBooks returns one nested object per report: sections (income, assets, ...)
+//   whose rows hold sub-rows, with money as { amount, code }
+// - like chart_of_accounts parent / sub-account rows, every section, account and total
+//   becomes its own row; section, depth and the " > " path keep the hierarchy in a CSV
+// - scalar and money fields of a row become columns (money → number); an array of
+//   money values (one per period) becomes <field>_1, <field>_2, ...
+// ---------------------------
+const REPORT_META_FIELDS = [
+  "currency_code",
+  "start_date",
+  "end_date",
+  "as_of",
+  "dates",
+  "company_name",
+  "download_token",
+];
+const REPORT_LABEL_FIELDS = ["description", "name", "account_name", "tax_name", "title", "label"];
+const REPORT_CHILD_FIELDS = ["rows", "children", "sub_accounts", "subaccounts", "accounts", "entries", "lines", "items"];
+
+const isMoney = (value) =>
+  Boolean(value) &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  "amount" in value &&
+  Object.keys(value).every((k) => k === "amount" || k === "code");
+const humanize = (key) => String(key).replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+
+function flattenReport(report) {
+  const currency = report.currency_code ?? null;
+  const period = {
+    report_start_date: report.start_date ?? report.dates?.[0]?.start_date ?? null,
+    report_end_date: report.end_date ?? report.as_of ?? report.dates?.[0]?.end_date ?? null,
+  };
+  const rows = [];
+  const push = (section, path, depth, rowType, label, values) =>
+    rows.push({
+      section,
+      path: path.join(" > "),
+      depth,
+      row_type: rowType,
+      label,
+      ...values,
+      currency_code: values.currency_code ?? currency,
+      ...period,
+    });
+
+  const walk = (node, path, section, depth) => {
+    if (Array.isArray(node)) return node.forEach((child) => walk(child, path, section, depth));
+    if (!node || typeof node !== "object") return;
+
+    const labelField = REPORT_LABEL_FIELDS.find((f) => typeof node[f] === "string" && node[f]);
+    const label = labelField ? node[labelField] : null;
+    const here = label ? [...path, label] : path;
+    const values = {};
+    const nested = [];
+    for (const [key, value] of Object.entries(node)) {
+      if (key === labelField) continue;
+      if (isMoney(value)) {
+        values[key] = Number(value.amount ?? 0);
+        if (value.code && !values.currency_code) values.currency_code = value.code;
+      } else if (Array.isArray(value) && value.length && value.every(isMoney)) {
+        value.forEach((m, i) => (values[`${key}_${i + 1}`] = Number(m.amount ?? 0)));
+      } else if (value && typeof value === "object") {
+        nested.push([key, value]);
+      } else {
+        values[key] = value;
+      }
+    }
+
+    // Unlabelled nodes with figures (a named sub-section's totals) take the path's last name
+    const hasRow = Boolean(label || Object.keys(values).length);
+    if (hasRow) {
+      const rowType = nested.length ? "section" : "account";
+      push(section, here, depth, rowType, label ?? here[here.length - 1], values);
+    }
+    // Child lists continue the same path; other nested objects are named sub-sections
+    for (const [key, value] of nested) {
+      const childPath = REPORT_CHILD_FIELDS.includes(key) ? here : [...here, humanize(key)];
+      walk(value, childPath, section, hasRow ? depth + 1 : depth);
+    }
+  };
+
+  for (const [key, value] of Object.entries(report)) {
+    if (REPORT_META_FIELDS.includes(key)) continue;
+    if (isMoney(value)) {
+      push(key, [humanize(key)], 0, "total", humanize(key), {
+        amount: Number(value.amount ?? 0),
+        currency_code: value.code ?? null,
+      });
+    } else if (value && typeof value === "object") {
+      push(key, [humanize(key)], 0, "section", humanize(key), {});
+      walk(value, [humanize(key)], key, 1);
+    } else if (value !== "" && value !== null && !Number.isNaN(Number(value))) {
+      push(key, [humanize(key)], 0, "total", humanize(key), { amount: Number(value) });
+    }
+  }
+  return rows;
+}
+
+// ---------------------------
+// Record formatter (trim noisy payloads)
+// ---------------------------
+export function formatRecord(recordType, item, { lineMode = false } = {}) {
+  const toAmount = (val) => {
+    if (val && typeof val === "object") return Number(val.amount ?? val.total ?? val.value ?? 0);
+    return Number(val ?? 0);
+  };
+
+  // One report object → one row per section / account / total
+  if (ENTITIES[recordType]?.report) return flattenReport(item);
+
+  if (recordType === "bill_payments") {
+    return {
+      amount: item.amount?.amount ?? item.amount ?? null,
+      billid: item.billid ?? item.bill_id ?? item.bill?.id ?? null,
+      payment_id: item.id ?? null,
+      paid_date: item.paid_date ?? item.date ?? null,
+      payment_type: item.payment_type ?? item.payment_type_name ?? item.payment_method ?? null,
+      bill_number: item.bill?.bill_number ?? item.bill_number ?? item.billid ?? null,
+    };
+  }
+
+  if (recordType === "payments") {
+    const lines = extractLineItems(recordType, item) || [];
+    const clientObj = item.client || item.invoice?.client || {};
+    const clientName =
+      clientObj.organization ||
+      (clientObj.fname && clientObj.lname && `${clientObj.fname} ${clientObj.lname}`.trim()) ||
+      clientObj.fname ||
+      clientObj.lname ||
+      clientObj.name ||
+      item.client_name ||
+      null;
+    return {
+      amount: toAmount(item.amount),
+      clientid: item.clientid ?? item.client_id ?? null,
+      client_name: clientName,
+      creditid: item.creditid ?? null,
+      date: item.date ?? null,
+      invoice_number: item.invoice?.invoice_number ?? item.invoice_number ?? null,
+    };
+  }
+
+  if (recordType === "credit_notes") {
+    const linesRaw =
+      item.lines ||
+      item.line_items ||
+      (Array.isArray(item.items) ? item.items : []) ||
+      [];
+    const line_items = linesRaw
+      .map((ln) => ({
+        description: ln.description || ln.name || null,
+        name: ln.name || null,
+        qty: ln.qty ?? ln.quantity ?? ln.qty_delta ?? 1,
+        taskno: ln.taskno ?? ln.task_no ?? null,
+        taxAmount1: ln.taxAmount1 ?? ln.tax_amount1 ?? ln.tax1_amount ?? null,
+        taxAmount2: ln.taxAmount2 ?? ln.tax_amount2 ?? ln.tax2_amount ?? null,
+        taxName1: ln.taxName1 ?? ln.tax_name1 ?? null,
+        taxName2: ln.taxName2 ?? ln.tax_name2 ?? null,
+        unit_cost: toAmount(ln.unit_cost ?? ln.unitcost ?? ln.unit_cost_amount),
+        amount: toAmount(ln.amount),
+      }))
+      .filter((l) => {
+        const meaningful =
+          (l.description && l.description.trim()) ||
+          (l.name && l.name.trim()) ||
+          (Number(l.amount) || Number(l.unit_cost));
+        return meaningful;
+      });
+    const firstLine = line_items[0] || {};
+
+    const amt = toAmount(item.amount);
+    const currency = item.currency_code || item.amount?.code || null;
+    const clientObj = item.client || item.clientinfo || item.client_info || {};
+    const clientName =
+      clientObj.organization ||
+      (clientObj.fname && clientObj.lname && `${clientObj.fname} ${clientObj.lname}`.trim()) ||
+      clientObj.fname ||
+      clientObj.lname ||
+      clientObj.name ||
+      item.client_name ||
+      null;
+
+    const result = {
+      accounting_systemid: item.accounting_systemid ?? null,
+      amount: amt,
+      city: item.city ?? null,
+      clientid: item.clientid ?? item.client_id ?? null,
+      code: item.code ?? currency ?? null,
+      country: item.country ?? null,
+      create_date: item.create_date ?? item.created_at ?? null,
+      credit_number: item.credit_number ?? item.number ?? null,
+      credit_type: item.credit_type ?? item.type ?? null,
+      creditid: item.creditid ?? item.credit_id ?? item.id ?? null,
+      currency_code: currency,
+      current_organization: item.current_organization ?? item.organization ?? null,
+      client_name: clientName,
+      description: item.description ?? null,
+      display_status: item.display_status ?? item.status ?? null,
+      dispute_status: item.dispute_status ?? null,
+      ext_archive: item.ext_archive ?? null,
+      fname: item.fname ?? item.first_name ?? null,
+      id: item.id ?? item.creditid ?? null,
+      language: item.language ?? null,
+      last_order_status: item.last_order_status ?? null,
+      lines: Array.isArray(line_items) ? line_items.length : 0,
+      lname: item.lname ?? item.last_name ?? null,
+      notes: item.notes ?? item.note ?? null,
+      organization: item.organization ?? item.current_organization ?? null,
+      paid: toAmount(item.paid),
+      payment_status: item.payment_status ?? null,
+      payment_type: item.payment_type ?? null,
+      province: item.province ?? null,
+      sentid: item.sentid ?? null,
+      status: item.status ?? item.display_status ?? null,
+      street: item.street ?? null,
+      street2: item.street2 ?? null,
+      template: item.template ?? null,
+      terms: item.terms ?? null,
+      vat_name: item.vat_name ?? null,
+      vat_number: item.vat_number ?? null,
+      vis_state: item.vis_state ?? null,
+      // Primary line fields flattened for CSV
+      line_items: firstLine.description || firstLine.name || null,
+      qty: firstLine.qty ?? null,
+      unit: firstLine.unit_cost ?? null,
+      amt: firstLine.amount ?? null,
+      tax1: firstLine.taxAmount1 ?? null,
+      tax2: firstLine.taxAmount2 ?? null,
+    };
+
+    // Keep full lines only when explicitly asked (line_mode=true)
+    if (lineMode) {
+      result.line_items_array = line_items;
+      result.line_items_count = line_items.length || 0;
+    }
+
+    return result;
+  }
+
+  if (recordType === "other_income") {
+    const lines = extractLineItems(recordType, item) || [];
+    const firstLine = lines[0] || {};
+    return {
+      amount: toAmount(item.amount),
+      currency_code: item.amount?.code ?? item.currency_code ?? null,
+      category: item.category ?? item.type ?? item.income_type ?? null,
+      created_at: item.created_at ?? item.updated ?? item.date ?? null,
+      date: item.date ?? item.created_at ?? null,
+      description: item.description ?? item.notes ?? firstLine.description ?? firstLine.name ?? null,
+      reference: item.reference ?? item.bank_transaction_id ?? item.bank_entry_id ?? null,
+      source: item.source ?? item.bank_account_name ?? item.bank_account ?? null,
+      status: item.status ?? item.state ?? null,
+      transaction_number:
+        item.transaction_number ?? item.accounting_systemid ?? item.accounting_system_id ?? null,
+      line_items: lines.length,
+      line_items_raw: lines,
+      line_description: firstLine.description ?? firstLine.name ?? "",
+      line_qty: firstLine.qty ?? firstLine.quantity ?? 1,
+      line_unit_cost: toAmount(firstLine.unit_cost),
+      line_total: toAmount(firstLine.total ?? firstLine.amount),
+    };
+  }
+
+  if (recordType === "bills") {
+    const lines = extractLineItems(recordType, item) || [];
+    const firstLine = lines[0] || {};
+
+    const toDate = (val, withTime = false) => {
+      if (!val) return null;
+      const d = new Date(val);
+      if (Number.isNaN(d.getTime())) return null;
+      const datePart = `${d.getMonth() + 1}/${d.getDate()}/${d.getFullYear()}`;
+      if (!withTime) return datePart;
+      const hh = String(d.getHours()).padStart(2, "0");
+      const mm = String(d.getMinutes()).padStart(2, "0");
+      return `${datePart} ${hh}:${mm}`;
+    };
+
+    return {
+      amount: toAmount(item.amount),
+      bill_number: item.bill_number ?? null,
+      created_at: toDate(item.created_at || item.create_date, true),
+      currency_code: item.currency_code ?? null,
+      due_date: toDate(item.due_date),
+      due_offset_days: Number(item.due_offset_days ?? 0),
+      issue_date: toDate(item.issue_date),
+      outstanding: toAmount(item.outstanding),
+      overall_category:
+        item.overall_category ?? firstLine?.category?.category ?? firstLine?.category ?? null,
+      paid: toAmount(item.paid),
+      status: item.status ?? null,
+      tax_amount: toAmount(item.tax_amount),
+      total_amount: toAmount(item.total_amount),
+      line_items: lines.length,
+      parent_id: item.id ?? item.billid ?? item.bill_id ?? null,
+      line_description: firstLine.description || firstLine.name || "",
+      quantity: firstLine.quantity || firstLine.qty || 1,
+      category: firstLine.category?.category || firstLine.category || "",
+      tax_amount1: firstLine.tax_amount1 ?? "",
+      tax_amount2: firstLine.tax_amount2 ?? "",
+      tax_name1: firstLine.tax_name1 ?? "",
+      tax_name2: firstLine.tax_name2 ?? "",
+      tax_percent1: firstLine.tax_percent1 ?? "",
+      tax_percent2: firstLine.tax_percent2 ?? "",
+      line_total_amount: toAmount(firstLine.total_amount ?? firstLine.total),
+      unit_cost: toAmount(firstLine.unit_cost),
+      line_date: toDate(firstLine.date || item.issue_date),
+      description: item.description ?? item.notes ?? firstLine.description ?? firstLine.name ?? null,
+      vendor:
+        item.vendor?.vendor_name ??
+        item.vendor?.name ??
+        item.vendor?.display_name ??
+        item.vendor?.organization ??
+        item.vendor ??
+        item.vendorname ??
+        item.vendor_name ??
+        item.vendor_display_name ??
+        item.bill_vendor?.vendor_name ??
+        item.bill_vendor?.name ??
+        item.vendorid ??
+        item.vendor_id ??
+        null,
+      vendorid:
+        item.vendorid ??
+        item.vendor_id ??
+        item.vendor?.id ??
+        item.vendor?.vendorid ??
+        item.vendor?.vendor_id ??
+        item.vendor?.accountid ??
+        item.vendor?.account_id ??
+        item.vendor?.userid ??
+        item.vendor?.uuid ??
+        item.bill_vendor?.vendor_id ??
+        item.bill_vendor?.id ??
+        null,
+      // keep full lines for combined sheet + line extract
+      line_items_array: lines,
+    };
+  }
+
+  if (recordType === "bill_vendors") {
+    return {
+      city: item.city ?? null,
+      country: item.country ?? null,
+      currency_code: item.currency_code ?? null,
+      phone: item.phone ?? item.phone_number ?? null,
+      postal_code: item.postal_code ?? item.zip_code ?? null,
+      primary_contact_email: item.primary_contact_email ?? item.email ?? null,
+      primary_contact_first_name: item.primary_contact_first_name ?? item.fname ?? null,
+      primary_contact_last_name: item.primary_contact_last_name ?? item.lname ?? null,
+      province: item.province ?? null,
+      street: item.street ?? null,
+      street2: item.street2 ?? null,
+      vendor_name: item.vendor_name ?? item.name ?? null,
+      website: item.website ?? null,
+    };
+  }
+
+  if (recordType === "journal_entries") {
+    // Adjustment journal entries (manualJournalEntries)
+    return {
+      name: item.name ?? null,
+      journalEntryNumber: item.journalEntryNumber ?? item.journal_entry_number ?? null,
+      description: item.description ?? null,
+      reverseDepth: item.reverseDepth ?? item.reverse_depth ?? null,
+      details: item.details ?? [],
+      line_items: item.line_items ?? [],
+    };
+  }
+
+  if (recordType === "clients") {
+    return {
+      currency_code: item.currency_code ?? null,
+      email: item.email ?? null,
+      fname: item.fname ?? item.first_name ?? null,
+      lname: item.lname ?? item.last_name ?? null,
+      mob_phone: item.mob_phone ?? item.mobile_phone ?? item.phone_mobile ?? null,
+      note: item.note ?? item.notes ?? null,
+      organization: item.organization ?? item.company ?? null,
+      p_city: item.p_city ?? item.primary_city ?? null,
+      p_code: item.p_code ?? item.primary_postal_code ?? null,
+      p_country: item.p_country ?? item.primary_country ?? null,
+      p_province: item.p_province ?? item.primary_province ?? null,
+      p_street: item.p_street ?? item.primary_street ?? null,
+      p_street2: item.p_street2 ?? item.primary_street2 ?? null,
+      s_city: item.s_city ?? item.secondary_city ?? null,
+      s_code: item.s_code ?? item.secondary_postal_code ?? null,
+      s_country: item.s_country ?? item.secondary_country ?? null,
+      s_province: item.s_province ?? item.secondary_province ?? null,
+      s_street: item.s_street ?? item.secondary_street ?? null,
+      s_street2: item.s_street2 ?? item.secondary_street2 ?? null,
+      username: item.username ?? null,
+    };
+  }
+
+  if (recordType === "chart_of_accounts") {
+    const subs =
+      (Array.isArray(item.sub_accounts) && item.sub_accounts) ||
+      (Array.isArray(item.subaccounts) && item.subaccounts) ||
+      [];
+
+    const currencyFromSubs = subs.find((s) => s.currency_code)?.currency_code || null;
+    const parentRow = {
+      account_name: item.account_name ?? item.name ?? null,
+      account_number: item.account_number ?? null,
+      account_type: item.account_type ?? item.type ?? null,
+      account_sub_type: item.account_sub_type ?? item.sub_type ?? item.subtype ?? null,
+      currency_code: item.currency_code ?? currencyFromSubs ?? null,
+      sub_accounts: subs
+        .map((s) => s.account_name || s.name || s.system_account_name)
+        .filter(Boolean)
+        .join(", ") || null,
+      is_sub_account: false,
+      parent_account_name: null,
+      parent_account_number: null,
+    };
+
+    const subRows = subs.map((s) => ({
+      account_name: s.account_name || s.name || s.system_account_name || null,
+      account_number: s.account_number ?? s.number ?? s.accountnumber ?? null,
+      account_type: s.account_type ?? s.type ?? parentRow.account_type ?? null,
+      account_sub_type: s.account_sub_type ?? s.sub_type ?? s.subtype ?? parentRow.account_sub_type ?? null,
+      currency_code: s.currency_code ?? parentRow.currency_code ?? null,
+      sub_accounts: null,
+      is_sub_account: true,
+      parent_account_name: parentRow.account_name,
+      parent_account_number: parentRow.account_number,
+    }));
+
+    // Return parent + each sub-account as its own row for "line-wise" export
+    return [parentRow, ...subRows];
+  }
+
+  if (recordType === "expenses") {
+    // 🔹 Category object se naam nikalna (Cost of Sales - Sub Contractor etc.)
+    const categoryObj = item.category || {};
+    const categoryName =
+      item.category_name ||               // agar kabhi direct aaye
+      categoryObj.category ||             // common FreshBooks field
+      categoryObj.name ||
+      categoryObj.fullname ||
+      null;
+
+    const lines = extractLineItems(recordType, item) || [];
+    const line_items = lines.map((line) => ({
+      line_date: item.date ?? line.date ?? null,
+      line_description:
+        line.name ??
+        line.description ??
+        item.notes ??
+        categoryName ??
+        null,
+      qty: line.qty ?? line.quantity ?? 1,
+      unit_cost: toAmount(line.unit_cost),
+      line_total: toAmount(line.total ?? line.total_amount ?? line.amount),
+      category: line.category ?? categoryName ?? null,
+    }));
+
+    return {
+      account_name: item.account_name ?? null,
+      amount: item.amount?.amount ?? item.amount ?? null,
+      bank_name: item.bank_name ?? null,
+      taxAmount1: item.tax_amount1 ?? null,
+      taxAmount2: item.tax_amount2 ?? null,
+      taxName1: item.tax_name1 ?? null,
+      taxName2: item.tax_name2 ?? null,
+      taxPercent1: item.tax_percent1 ?? null,
+      taxPercent2: item.tax_percent2 ?? null,
+      vendor: item.vendor ?? null,
+      notes: item.notes ?? null,
+      line_items,
+      line_date: item.date ?? null,
+      qty: line_items[0]?.qty ?? 1,
+      unit_cost: line_items[0]?.unit_cost ?? null,
+      line_total:
+        line_items.reduce((sum, l) => sum + toAmount(l.line_total), 0) || null,
+      category: categoryName, // 👈 yahan final category aa jayegi
+      categoryid:
+        item.categoryid ??
+        item.category_id ??
+        categoryObj.categoryid ??
+        categoryObj.id ??
+        null,
+      vendorid:
+        item.vendorid ??
+        item.vendor_id ??
+        item.vendor?.id ??
+        item.vendor?.vendorid ??
+        item.vendor?.vendor_id ??
+        null,
+      date: item.date ?? null,
+    };
+  }
+
+  return {
+    ...item,
+    line_items: extractLineItems(recordType, item),
+  };
+}
+
+// Day (YYYY-MM-DD) a raw record belongs to, "" when it carries no date
+export const recordDate = (record) => {
+  const field = DATE_FIELDS.find((f) => record?.[f]);
+  return field ? String(record[field]).slice(0, 10) : "";
+};
+
+// Raw records → export rows (chart_of_accounts expands to one row per sub-account,
+// accounting reports to one row per section / account / total)
+export const formatRecords = (type, records, opts) =>
+  records.flatMap((item) => {
+    const rec = formatRecord(type, item, opts);
+    if (rec === null || rec === undefined) return [];
+    return Array.isArray(rec) ? rec : [rec];
+  });
+
+// ---------------------------
+// Fetch one entity type
+// - resume: { page, urlIndex, lastFirstId, records, pageRetries } from a previous checkpoint
+// - onPage(checkpoint) runs after every completed page (jobs persist it)
+// - onEvent({ type, ... }) streams progress (jobs forward it over SSE)
+// - loadWhoami() is used for the business → whoami fallback
+// - 429 / 5xx / resets are retried by the shared client; page_retries in the
+//   result lists how many retries each page needed
+// - a 401 is refreshed + replayed by the client; later pages use the new token
+// ---------------------------
+export async function fetchEntityRecords({
+  base,
+  type,
+  ids,
+  dateRange = {},
+  token,
+  maxPages = null,
+  includeRaw = false,
+  lineMode = false,
+  updatedSince = null,
+  resume = null,
+  onPage = null,
+  onEvent = null,
+  loadWhoami = null,
+}) {
+  const endpoint = ENTITIES[type];
+  const filters = updatedSince ? { ...dateRange, updated_since: updatedSince } : dateRange;
+  if (!endpoint) throw new Error(`Invalid type: ${type}`);
+
+  const urls = entityUrlChain(endpoint);
+  let urlIndex = resume?.urlIndex ?? 0;
+  let headers = entityHeaders(endpoint, token);
+  const formatOpts = { lineMode };
+  const emit = (event) => {
+    if (!onEvent) return;
+    try {
+      onEvent({ entity: type, ...event });
+    } catch (err) {
+      console.warn("[Extract] progress listener failed:", err.message);
+    }
+  };
+  const retryHook = (page) => ({
+    onRetry: (info) => emit({ type: "retry", page, ...info }),
+  });
+  // A 401 was recovered inside the client → keep using the fresh token
+  const adoptToken = (r, page) => {
+    if (!r.refreshedToken) return;
+    headers = entityHeaders(endpoint, r.refreshedToken);
+    emit({ type: "token_refreshed", page });
+  };
+
+  // ---------------------------
+  // DIRECT CALL
+  // ---------------------------
+  if (endpoint.direct) {
+    const url = buildEntityUrl(base, endpoint, urls[urlIndex], ids).toString();
+
+    try {
+      const r = await freshbooksGet(url, { headers }, retryHook(1));
+      adoptToken(r, 1);
+
+      return {
+        success: true,
+        total: 1,
+        page_retries: [{ page: 1, retries: r.retries }],
+        data: [
+          {
+            ...r.data,
+            line_items: extractLineItems(type, r.data),
+          },
+        ],
+      };
+    } catch (err) {
+      // Fallback for business details when scope / ID is off
+      if (endpoint.fallback === "whoami" && loadWhoami) {
+        try {
+          const whoami = await loadWhoami();
+          const memberships = whoami?.business_memberships || [];
+          const match =
+            memberships.find((m) => String(m.business?.id) === String(ids.business_id)) ||
+            memberships[0];
+          if (match?.business) {
+            return {
+              success: true,
+              total: 1,
+              data: [match.business],
+              fallback: "whoami",
+            };
+          }
+        } catch {
+          // ignore, use original error
+        }
+      }
+      throw err;
+    }
+  }
+
+  // ---------------------------
+  // SINGLE CALL (no pagination)
+  // ---------------------------
+  if (endpoint.singleCall) {
+    while (true) {
+      const urlObj = buildEntityUrl(base, endpoint, urls[urlIndex], ids, filters);
+
+      try {
+        const r = await freshbooksGet(urlObj.toString(), { headers }, retryHook(1));
+        adoptToken(r, 1);
+        const arr = endpoint.report
+          ? [pickReport(r.data, endpoint.key)]
+          : pickRecords(r.data, endpoint.key).records;
+        const enriched = formatRecords(type, arr, formatOpts);
+        emit({
+          type: "page",
+          page: 1,
+          records: arr.length,
+          count: arr.length,
+          total_pages: 1,
+          retries: r.retries,
+        });
+
+        return {
+          success: true,
+          total: enriched.length,
+          data: enriched,
+          page_retries: [{ page: 1, retries: r.retries }],
+          raw: includeRaw ? arr : undefined,
+        };
+      } catch (err) {
+        const status = err.response?.status;
+        if (status === 404 && urlIndex < urls.length - 1) {
+          urlIndex++;
+          emit({ type: "alt_url", status, page: 1, url_index: urlIndex });
+          continue;
+        }
+        throw err;
+      }
+    }
+  }
+
+  // ---------------------------
+  // MULTI-PAGE FETCH
+  // - forcePagination (journals): per_page capped at 150, alt url on 404/400,
+  //   adjustment journals never trust the reported page count
+  // - generic: alt url on 404 only
+  // ---------------------------
+  const forced = Boolean(endpoint.forcePagination);
+  const endpointPerPage = Number(endpoint.perPage);
+  const per_page = forced
+    ? Math.min(endpointPerPage || 150, 150)
+    : Number.isFinite(endpointPerPage)
+    ? endpointPerPage
+    : 150;
+  const pageLimit = maxPages ?? DEFAULT_MAX_PAGES;
+  let page = resume?.page ?? 1;
+  const allData = Array.isArray(resume?.records) ? [...resume.records] : [];
+  let lastFirstId = resume?.lastFirstId ?? null;
+  let totalPages = null;
+  const pageRetries = Array.isArray(resume?.pageRetries) ? [...resume.pageRetries] : [];
+
+  if (resume) {
+    console.log(`[Pagination] ${type} resuming at page=${page} with ${allData.length} record(s)`);
+    emit({ type: "resume", page, count: allData.length });
+  }
+
+  while (page <= pageLimit) {
+    const urlObj = buildEntityUrl(base, endpoint, urls[urlIndex], ids, filters);
+    // Adjustment journals → page_number / page_size, everything else → page / per_page
+    applyPageParams(urlObj, page, per_page);
+
+    const url = urlObj.toString();
+    if (forced) console.log(`[Pagination] ${type} page=${page} url=${url}`);
+
+    let arr;
+    let body;
+    let retries = 0;
+    try {
+      const r = await freshbooksGet(url, { headers }, retryHook(page));
+      adoptToken(r, page);
+      retries = r.retries;
+      ({ body, records: arr } = pickRecords(r.data, endpoint.key));
+    } catch (err) {
+      const status = err.response?.status;
+      const canSwitch = forced ? status === 404 || status === 400 : status === 404;
+      if (canSwitch && urlIndex < urls.length - 1) {
+        urlIndex++;
+        lastFirstId = null;
+        console.log(`[Pagination] switching to alt URL due to status ${status}`);
+        emit({ type: "alt_url", status, page, url_index: urlIndex });
+        continue;
+      }
+      throw err;
+    }
+
+    pageRetries.push({ page, retries });
+    if (arr.length === 0) break;
+
+    // Stop if server ignores page and repeats first row
+    const firstId = arr[0]?.id || arr[0]?.uuid || null;
+    if (page > 1 && firstId && firstId === lastFirstId) break;
+    lastFirstId = firstId;
+
+    allData.push(...arr);
+
+    const metaCandidate = body?.meta || body?.pagination || body;
+    const reportedPages = Number(metaCandidate?.pages ?? metaCandidate?.total_pages);
+    if (Number.isFinite(reportedPages) && reportedPages > 0) totalPages = reportedPages;
+
+    emit({
+      type: "page",
+      page,
+      records: arr.length,
+      count: allData.length,
+      total_pages: totalPages,
+      retries,
+    });
+
+    if (onPage) {
+      await onPage({
+        page,
+        nextPage: page + 1,
+        urlIndex,
+        lastFirstId,
+        records: arr,
+        count: allData.length,
+        totalPages,
+        retries,
+      });
+    }
+
+    // For adjustment journal entries the reported page count is not reliable.
+    if (
+      !(forced && type === "journal_entries") &&
+      totalPages &&
+      page >= totalPages
+    )
+      break;
+
+    page++;
+  }
+
+  const truncated = page > pageLimit;
+  if (truncated) {
+    console.warn(
+      `Pagination stopped at ${pageLimit} pages for ${type}; FreshBooks may be ignoring page/per_page params.`
+    );
+  }
+
+  const enriched = formatRecords(type, allData, formatOpts);
+
+  return {
+    success: true,
+    total: enriched.length,
+    data: enriched,
+    headers: type === "payments" ? ["amount", "clientid", "creditid", "date", "invoice_number"] : null,
+    truncated,
+    page_retries: pageRetries,
+    raw: includeRaw ? allData : undefined,
+  };
+}
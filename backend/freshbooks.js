@@ -0,0 +1,132 @@
+// freshbooks.js
+// --------------------------------------------------
+// Shared FreshBooks HTTP client
+// - retries 429 / 5xx / network resets with jittered exponential backoff
+// - honours Retry-After (seconds or HTTP date) when FreshBooks sends it
+// - total time spent waiting is capped, then the last error is rethrown
+// - the response (or error) carries `retries` so callers can report it per page
+// - a 401 asks the registered handler for a fresh token once and replays the
+//   request; the response then carries `refreshedToken` for follow-up calls
+// --------------------------------------------------
+import axios from "axios";
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const RETRYABLE_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENETUNREACH",
+  "ERR_SOCKET_CONNECTION_TIMEOUT",
+];
+
+// Read lazily: server.js loads .env after the imports are evaluated
+const maxRetries = () => Number(process.env.FRESHBOOKS_MAX_RETRIES || 6);
+const maxRetryTimeMs = () => Number(process.env.FRESHBOOKS_MAX_RETRY_MS || 120000);
+
+let unauthorizedHandler = null;
+
+// server.js registers its refresh path: handler(staleToken) → fresh access token
+export function setUnauthorizedHandler(handler) {
+  unauthorizedHandler = handler;
+}
+
+const bearerOf = (headers = {}) =>
+  String(headers.Authorization || headers.authorization || "").replace(/^Bearer\s+/i, "");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function isRetryableError(err) {
+  const status = err.response?.status;
+  if (status) return RETRYABLE_STATUSES.includes(status);
+  return RETRYABLE_CODES.includes(err.code) || /socket hang up/i.test(err.message || "");
+}
+
+// Retry-After is either delta-seconds or an HTTP date; null when absent / unusable
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+// Full jitter: random delay in [0, min(cap, base * 2^attempt)]
+const backoffDelay = (attempt) =>
+  Math.round(Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt));
+
+// ---------------------------
+// One request with retries
+// - config is a plain axios request config (method, url, headers, data, timeout)
+// - onRetry({ attempt, status, code, delay_ms, url }) runs before each wait
+// ---------------------------
+export async function freshbooksRequest(config, { onRetry = null } = {}) {
+  const startedAt = Date.now();
+  const retryLimit = maxRetries();
+  let retries = 0;
+  let request = config;
+  let refreshedToken = null;
+
+  while (true) {
+    try {
+      const response = await axios({ timeout: 120000, ...request });
+      response.retries = retries;
+      if (refreshedToken) response.refreshedToken = refreshedToken;
+      return response;
+    } catch (err) {
+      err.retries = retries;
+
+      const canRefresh = unauthorizedHandler && !refreshedToken && bearerOf(request.headers);
+      if (err.response?.status === 401 && canRefresh) {
+        try {
+          refreshedToken = await unauthorizedHandler(bearerOf(request.headers));
+        } catch (refreshErr) {
+          console.warn("[FreshBooks] 401 and token refresh failed:", refreshErr.message);
+          throw err;
+        }
+        request = {
+          ...request,
+          headers: { ...request.headers, Authorization: `Bearer ${refreshedToken}` },
+        };
+        console.warn("[FreshBooks] 401 → token refreshed, replaying request");
+        continue;
+      }
+
+      if (!isRetryableError(err) || retries >= retryLimit) throw err;
+
+      const retryAfter = parseRetryAfter(err.response?.headers?.["retry-after"]);
+      const delay = retryAfter ?? backoffDelay(retries);
+      if (Date.now() - startedAt + delay > maxRetryTimeMs()) {
+        console.warn(`[FreshBooks] retry budget exhausted after ${retries} retr${retries === 1 ? "y" : "ies"}`);
+        throw err;
+      }
+
+      retries++;
+      const info = {
+        attempt: retries,
+        status: err.response?.status ?? null,
+        code: err.response ? null : err.code || null,
+        delay_ms: delay,
+        url: config.url,
+      };
+      console.warn(
+        `[FreshBooks] ${info.status || info.code || err.message} → retry ${retries}/${retryLimit} in ${delay}ms`
+      );
+      if (onRetry) {
+        try {
+          onRetry(info);
+        } catch (listenerErr) {
+          console.warn("[FreshBooks] retry listener failed:", listenerErr.message);
+        }
+      }
+      await sleep(delay);
+    }
+  }
+}
+
+export const freshbooksGet = (url, config = {}, opts = {}) =>
+  freshbooksRequest({ ...config, method: "get", url }, opts);
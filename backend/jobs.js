@@ -0,0 +1,273 @@
+// jobs.js
+// --------------------------------------------------
+// Background extraction jobs
+// - each job lives in memory and in jobs/<id>.json (params, state, progress, checkpoint)
+// - every completed page is appended to jobs/<id>.pages.ndjson, so a job that
+//   fails or is cut off by a restart resumes from the last completed page
+// - the finished /api/extract-shaped payload is written to jobs/<id>.result.json
+// - progress events are buffered per job (memory only) for the SSE stream
+// - jobs belong to the session that started them (session_id, never exposed)
+// --------------------------------------------------
+import { EventEmitter } from "events";
+import fs from "fs";
+import path from "path";
+
+const JOBS_DIR = path.resolve("jobs");
+const MAX_JOBS = 200;
+const RESUMABLE_STATES = ["failed", "interrupted"];
+const MAX_BUFFERED_EVENTS = 100;
+const jobs = new Map();
+const jobEventBuffers = new Map();
+const jobEventSeq = new Map();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const jobFile = (id, suffix = ".json") => path.join(JOBS_DIR, `${id}${suffix}`);
+
+const persistJob = (job) => {
+  try {
+    fs.mkdirSync(JOBS_DIR, { recursive: true });
+    fs.writeFileSync(jobFile(job.id), JSON.stringify(job, null, 2));
+  } catch (err) {
+    console.warn("[Jobs] Failed to persist job:", err.message);
+  }
+};
+
+const removeJobFiles = (id) => {
+  for (const suffix of [".json", ".pages.ndjson", ".result.json"]) {
+    try {
+      fs.rmSync(jobFile(id, suffix), { force: true });
+    } catch {
+      // ignore
+    }
+  }
+};
+
+// Keep the newest MAX_JOBS jobs, drop the rest (memory + disk)
+const pruneJobs = () => {
+  const ordered = [...jobs.values()].sort((a, b) => b.created_at.localeCompare(a.created_at));
+  ordered.slice(MAX_JOBS).forEach((job) => {
+    jobs.delete(job.id);
+    jobEventBuffers.delete(job.id);
+    jobEventSeq.delete(job.id);
+    removeJobFiles(job.id);
+  });
+};
+
+// Same extraction = same params (user name / file name don't change what gets fetched)
+const paramsKey = (params) =>
+  JSON.stringify([
+    params.type,
+    params.start_date,
+    params.end_date,
+    params.account_id,
+    params.business_id,
+    params.business_uuid,
+    params.line_mode,
+    params.max_pages,
+    params.include_raw,
+    params.sync,
+    params.full_sync,
+  ]);
+
+// ---------------------------
+// Load persisted jobs on boot; anything mid-run was cut off by the restart
+// ---------------------------
+export function loadJobs() {
+  try {
+    if (!fs.existsSync(JOBS_DIR)) return;
+    for (const name of fs.readdirSync(JOBS_DIR)) {
+      if (!/^job_[\w-]+\.json$/.test(name)) continue;
+      const job = JSON.parse(fs.readFileSync(path.join(JOBS_DIR, name), "utf-8"));
+      if (job.state === "running" || job.state === "queued") {
+        job.state = "interrupted";
+        job.updated_at = new Date().toISOString();
+        persistJob(job);
+      }
+      jobs.set(job.id, job);
+    }
+    console.log(`[Jobs] Loaded ${jobs.size} job(s) from disk.`);
+  } catch (err) {
+    console.warn("[Jobs] Failed to load jobs:", err.message);
+  }
+}
+
+export function createJob(params, { user_name = "", session_id = null } = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: `job_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    kind: "extract",
+    state: "queued",
+    params,
+    user_name,
+    session_id,
+    progress: { page: 0, records: 0, total_pages: null, retries: 0 },
+    checkpoint: null,
+    resumed_from_page: null,
+    total: null,
+    truncated: false,
+    error: null,
+    created_at: now,
+    updated_at: now,
+    finished_at: null,
+  };
+  jobs.set(job.id, job);
+  persistJob(job);
+  pruneJobs();
+  return job;
+}
+
+export const getJob = (id) => jobs.get(id) || null;
+
+export function listJobs(limit = 50, { sessionId } = {}) {
+  return [...jobs.values()]
+    .filter((job) => sessionId === undefined || job.session_id === sessionId)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .slice(0, limit);
+}
+
+// A failed / interrupted job with the same params can pick up where it stopped
+export function findResumableJob(params, sessionId) {
+  const key = paramsKey(params);
+  return (
+    listJobs(MAX_JOBS, { sessionId }).find(
+      (job) => RESUMABLE_STATES.includes(job.state) && paramsKey(job.params) === key
+    ) || null
+  );
+}
+
+export const isResumable = (job) => RESUMABLE_STATES.includes(job?.state);
+
+export function updateJob(job, patch) {
+  Object.assign(job, patch, { updated_at: new Date().toISOString() });
+  persistJob(job);
+  return job;
+}
+
+// ---------------------------
+// Checkpointing (called once per completed page)
+// ---------------------------
+export function recordJobPage(
+  job,
+  { page, nextPage, urlIndex, lastFirstId, records, count, totalPages, retries = 0 }
+) {
+  try {
+    fs.mkdirSync(JOBS_DIR, { recursive: true });
+    fs.appendFileSync(
+      jobFile(job.id, ".pages.ndjson"),
+      `${JSON.stringify({ page, retries, records })}\n`
+    );
+  } catch (err) {
+    console.warn("[Jobs] Failed to checkpoint page:", err.message);
+    return;
+  }
+  updateJob(job, {
+    checkpoint: { page: nextPage, urlIndex, lastFirstId },
+    progress: {
+      page,
+      records: count,
+      total_pages: totalPages ?? null,
+      retries: (job.progress?.retries || 0) + retries,
+    },
+  });
+}
+
+// Rebuild { page, urlIndex, lastFirstId, records, pageRetries } for fetchEntityRecords
+export function loadJobCheckpoint(job) {
+  if (!job?.checkpoint) return null;
+  try {
+    const file = jobFile(job.id, ".pages.ndjson");
+    if (!fs.existsSync(file)) return null;
+    // A crash between appending a page and saving the checkpoint leaves that page (or half
+    // of it) in the file while resume fetches it again → keep one entry per page (the last
+    // one written) and cut the file back to the checkpointed pages before appending more
+    const pages = new Map();
+    for (const line of fs.readFileSync(file, "utf-8").split("\n")) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        break; // partial write from a crash; everything after it is unusable
+      }
+      if (entry.page >= job.checkpoint.page) continue;
+      pages.set(entry.page, entry);
+    }
+    const ordered = [...pages.values()].sort((a, b) => a.page - b.page);
+    const records = ordered.flatMap((entry) => entry.records || []);
+    const pageRetries = ordered.map((entry) => ({ page: entry.page, retries: entry.retries || 0 }));
+    fs.writeFileSync(file, ordered.map((entry) => `${JSON.stringify(entry)}\n`).join(""));
+    return { ...job.checkpoint, records, pageRetries };
+  } catch (err) {
+    console.warn("[Jobs] Failed to read checkpoint, restarting from page 1:", err.message);
+    return null;
+  }
+}
+
+export function finishJob(job, payload) {
+  try {
+    fs.mkdirSync(JOBS_DIR, { recursive: true });
+    fs.writeFileSync(jobFile(job.id, ".result.json"), JSON.stringify(payload));
+    fs.rmSync(jobFile(job.id, ".pages.ndjson"), { force: true });
+  } catch (err) {
+    console.warn("[Jobs] Failed to write job result:", err.message);
+  }
+  const now = new Date().toISOString();
+  return updateJob(job, {
+    state: "done",
+    total: payload?.total ?? null,
+    truncated: Boolean(payload?.truncated),
+    checkpoint: null,
+    finished_at: now,
+  });
+}
+
+export function failJob(job, error) {
+  return updateJob(job, { state: "failed", error, finished_at: new Date().toISOString() });
+}
+
+export function readJobResult(job) {
+  try {
+    return JSON.parse(fs.readFileSync(jobFile(job.id, ".result.json"), "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+// ---------------------------
+// Progress events (SSE)
+// - seq increases per job so a reconnecting client can send Last-Event-ID
+// - a (re)started run drops the previous run's buffered events
+// ---------------------------
+export function emitJobEvent(job, type, data = {}) {
+  const buffer = type === "started" ? [] : jobEventBuffers.get(job.id) || [];
+  const seq = (jobEventSeq.get(job.id) || 0) + 1;
+  jobEventSeq.set(job.id, seq);
+  const event = {
+    ...data,
+    seq,
+    type,
+    job_id: job.id,
+    at: new Date().toISOString(),
+  };
+  buffer.push(event);
+  if (buffer.length > MAX_BUFFERED_EVENTS) buffer.shift();
+  jobEventBuffers.set(job.id, buffer);
+  jobEvents.emit(job.id, event);
+  return event;
+}
+
+export const jobEventsSince = (id, seq = 0) =>
+  (jobEventBuffers.get(id) || []).filter((event) => event.seq > seq);
+
+export function subscribeJobEvents(id, listener) {
+  jobEvents.on(id, listener);
+  return () => jobEvents.off(id, listener);
+}
+
+// API shape (no checkpoint internals)
+export function publicJob(job) {
+  if (!job) return null;
+  const { checkpoint, session_id, ...rest } = job;
+  return { ...rest, resumable: isResumable(job), resume_page: checkpoint?.page ?? null };
+}
@@ -0,0 +1,318 @@
+// journal.js
+// --------------------------------------------------
+// Double-entry journal builder for /api/generate-journal
+// - one entry per source document, split into as many lines as it needs:
+//     invoice      Dr AR (total) / Cr revenue per line item / Cr tax payable per tax / Dr discounts
+//     credit note  reverse of an invoice: Dr revenue + tax payable / Cr customer credits
+//     payment      Dr cash (or customer credits when paid with a credit) / Cr AR
+//     bill         Dr expense per line category / Dr tax recoverable per tax / Cr AP (total)
+//     bill payment Dr AP / Cr cash
+//     expense      Dr expense category / Dr tax recoverable per tax / Cr cash
+// - amounts are posted in cents and every entry is checked to balance;
+//   entries whose debits and credits differ are reported in `unbalanced`
+// - line taxes on invoices / credit notes are percentages (taxAmount1 / taxAmount2);
+//   bill and expense taxes carry amounts
+// - FreshBooks rounds tax per line while the journal rounds each tax total, so an
+//   invoice / credit note can be off its document total by a cent per taxed line;
+//   that difference is posted to the rounding account, anything larger is left unbalanced
+// - accounts that depend on a source value (income account, expense category, tax name,
+//   payment type) are functions so a mapping profile can resolve them (see mappings.js)
+// --------------------------------------------------
+
+export const DEFAULT_ACCOUNTS = {
+  receivable: "Accounts Receivable",
+  payable: "Accounts Payable",
+  discounts: "Sales Discounts",
+  customerCredits: "Customer Credits",
+  rounding: "Rounding Differences",
+  revenue: ({ incomeAccount } = {}) => incomeAccount || "Sales Income",
+  expense: (category) => category || "Purchase Expense",
+  cash: () => "Cash/Bank",
+  taxPayable: (name) => `Sales Tax Payable${name ? ` - ${name}` : ""}`,
+  taxRecoverable: (name) => `Sales Tax Recoverable${name ? ` - ${name}` : ""}`,
+};
+
+const toCents = (value) => {
+  if (value && typeof value === "object") value = value.amount ?? value.total ?? value.value;
+  const n = Number(value ?? 0);
+  return Number.isFinite(n) ? Math.round(n * 100) : 0;
+};
+const fromCents = (cents) => Math.round(cents) / 100;
+
+const pickLines = (doc) =>
+  [doc.lines, doc.line_items, doc.invoice_lines, doc.bill_lines].find(Array.isArray) || [];
+
+const docDate = (doc, ...fields) => {
+  const value = fields.map((f) => doc[f]).find(Boolean);
+  return value ? String(value).slice(0, 10) : "";
+};
+
+// Collects lines for one entry; zero-amount lines are dropped
+// - account may be a function, resolved only when the line is actually posted
+//   (so a mapping resolver does not report values that never reach the journal)
+function entryBuilder(base) {
+  const lines = [];
+  const add = (side, account, cents, extra = {}) => {
+    const amount = Math.round(cents);
+    if (!amount) return;
+    if (typeof account === "function") account = account();
+    // A negative amount belongs on the other side (e.g. a negative discount line)
+    const onDebit = (side === "debit") === amount > 0;
+    lines.push({
+      account,
+      debit: onDebit ? fromCents(Math.abs(amount)) : 0,
+      credit: onDebit ? 0 : fromCents(Math.abs(amount)),
+      ...extra,
+    });
+  };
+  return {
+    debit: (account, cents, extra) => add("debit", account, cents, extra),
+    credit: (account, cents, extra) => add("credit", account, cents, extra),
+    // debits − credits, in cents
+    balance: () => lines.reduce((sum, l) => sum + Math.round(l.debit * 100) - Math.round(l.credit * 100), 0),
+    done: () => ({ ...base, lines }),
+  };
+}
+
+// Invoice / credit note lines: revenue per item + tax per tax name (percent rates)
+function salesLines(doc, accounts) {
+  const discountPct = Number(doc.discount_value ?? 0) || 0;
+  const revenue = [];
+  const taxes = new Map();
+  let taxedLines = 0;
+  for (const line of pickLines(doc)) {
+    const cents =
+      line.amount !== undefined && line.amount !== null
+        ? toCents(line.amount)
+        : Math.round(Number(line.qty ?? 1) * toCents(line.unit_cost));
+    if (!cents) continue;
+    const item = line.name || line.description || null;
+    const incomeAccount = line.income_account?.name || line.income_account_name || null;
+    revenue.push({ account: accounts.revenue({ incomeAccount, item }), item, cents });
+    const taxBase = cents * (1 - discountPct / 100);
+    for (const [name, rate] of [
+      [line.taxName1, line.taxAmount1],
+      [line.taxName2, line.taxAmount2],
+    ]) {
+      const pct = Number(rate);
+      if (!Number.isFinite(pct) || pct === 0) continue;
+      taxedLines++;
+      taxes.set(name || "", (taxes.get(name || "") || 0) + (taxBase * pct) / 100);
+    }
+  }
+  return { revenue, taxes, taxedLines };
+}
+
+// Tax rounding difference of a sales document (see header): at most a cent per taxed line
+function postRounding(entry, accounts, taxedLines) {
+  const diff = entry.balance();
+  if (diff && Math.abs(diff) <= taxedLines) entry.credit(accounts.rounding, diff, { item: "(tax rounding)" });
+}
+
+function invoiceEntry(inv, accounts) {
+  const entry = entryBuilder({
+    source: "invoice",
+    source_id: inv.id ?? inv.invoiceid ?? null,
+    reference: inv.invoice_number || inv.invoiceid || "N/A",
+    date: docDate(inv, "create_date", "date", "updated"),
+    currency: inv.currency_code || inv.amount?.code || null,
+    description: `Invoice #${inv.invoice_number || inv.invoiceid || "N/A"}`,
+  });
+  const total = toCents(inv.amount);
+  const { revenue, taxes, taxedLines } = salesLines(inv, accounts);
+
+  entry.debit(accounts.receivable, total);
+  if (revenue.length === 0) {
+    entry.credit(() => accounts.revenue(), total, { item: "(no line detail)" });
+    return entry.done();
+  }
+  revenue.forEach((r) => entry.credit(r.account, r.cents, { item: r.item }));
+  taxes.forEach((cents, name) => entry.credit(() => accounts.taxPayable(name), cents, { tax: name || null }));
+  entry.debit(accounts.discounts, Math.abs(toCents(inv.discount_total)));
+  postRounding(entry, accounts, taxedLines);
+  return entry.done();
+}
+
+function creditNoteEntry(note, accounts) {
+  const entry = entryBuilder({
+    source: "credit_note",
+    source_id: note.id ?? note.creditid ?? null,
+    reference: note.credit_number || note.creditid || note.id || "N/A",
+    date: docDate(note, "create_date", "date", "created_at"),
+    currency: note.currency_code || note.amount?.code || null,
+    description: `Credit note #${note.credit_number || note.creditid || note.id || "N/A"}`,
+  });
+  const total = toCents(note.amount);
+  const { revenue, taxes, taxedLines } = salesLines(note, accounts);
+
+  if (revenue.length === 0) {
+    entry.debit(() => accounts.revenue(), total, { item: "(no line detail)" });
+  } else {
+    revenue.forEach((r) => entry.debit(r.account, r.cents, { item: r.item }));
+    taxes.forEach((cents, name) => entry.debit(() => accounts.taxPayable(name), cents, { tax: name || null }));
+  }
+  entry.credit(accounts.customerCredits, total);
+  postRounding(entry, accounts, taxedLines);
+  return entry.done();
+}
+
+function paymentEntry(pay, accounts) {
+  const paidWithCredit = Boolean(pay.creditid) || /credit/i.test(pay.type || "");
+  const client = pay.client?.organization || pay.client_name || "Customer";
+  const entry = entryBuilder({
+    source: "payment",
+    source_id: pay.id ?? pay.paymentid ?? null,
+    reference: pay.invoice?.invoice_number || pay.invoiceid || pay.id || "N/A",
+    date: docDate(pay, "date", "updated"),
+    currency: pay.amount?.code || null,
+    description: `Payment from ${client}${paidWithCredit ? " (credit applied)" : ""}`,
+  });
+  const amount = toCents(pay.amount);
+  entry.debit(paidWithCredit ? accounts.customerCredits : () => accounts.cash(pay.type), amount);
+  entry.credit(accounts.receivable, amount);
+  return entry.done();
+}
+
+function billEntry(bill, accounts) {
+  const entry = entryBuilder({
+    source: "bill",
+    source_id: bill.id ?? bill.billid ?? null,
+    reference: bill.bill_number || bill.id || "N/A",
+    date: docDate(bill, "issue_date", "create_date", "created_at"),
+    currency: bill.currency_code || bill.amount?.code || null,
+    description: `Bill #${bill.bill_number || bill.id || "N/A"}`,
+  });
+  const total = toCents(bill.total_amount ?? bill.amount);
+  const lines = pickLines(bill);
+
+  if (lines.length === 0) {
+    entry.debit(() => accounts.expense(bill.expense_category), total);
+  }
+  for (const line of lines) {
+    const category = line.category?.category || line.category?.name || line.category_name;
+    entry.debit(() => accounts.expense(category), toCents(line.amount ?? line.total_amount), {
+      item: line.description || line.name || null,
+    });
+    entry.debit(() => accounts.taxRecoverable(line.tax_name1), toCents(line.tax_amount1), {
+      tax: line.tax_name1 || null,
+    });
+    entry.debit(() => accounts.taxRecoverable(line.tax_name2), toCents(line.tax_amount2), {
+      tax: line.tax_name2 || null,
+    });
+  }
+  entry.credit(accounts.payable, total);
+  return entry.done();
+}
+
+function billPaymentEntry(pay, accounts) {
+  const entry = entryBuilder({
+    source: "bill_payment",
+    source_id: pay.id ?? null,
+    reference: pay.bill?.bill_number || pay.billid || pay.id || "N/A",
+    date: docDate(pay, "paid_date", "date"),
+    currency: pay.amount?.code || null,
+    description: `Bill payment${pay.payment_type ? ` (${pay.payment_type})` : ""}`,
+  });
+  const amount = toCents(pay.amount);
+  entry.debit(accounts.payable, amount);
+  entry.credit(() => accounts.cash(pay.payment_type), amount);
+  return entry.done();
+}
+
+function expenseEntry(exp, accounts) {
+  const category = exp.category?.category || exp.category?.name || exp.category_name;
+  const entry = entryBuilder({
+    source: "expense",
+    source_id: exp.id ?? exp.expenseid ?? null,
+    reference: exp.id ?? exp.expenseid ?? "N/A",
+    date: docDate(exp, "date"),
+    currency: exp.amount?.code || null,
+    description: exp.notes || `Expense: ${category || "General"}`,
+  });
+  const net = toCents(exp.amount);
+  const tax1 = toCents(exp.taxAmount1 ?? exp.tax_amount1);
+  const tax2 = toCents(exp.taxAmount2 ?? exp.tax_amount2);
+  entry.debit(() => accounts.expense(category), net);
+  entry.debit(() => accounts.taxRecoverable(exp.taxName1 ?? exp.tax_name1), tax1, {
+    tax: exp.taxName1 ?? exp.tax_name1 ?? null,
+  });
+  entry.debit(() => accounts.taxRecoverable(exp.taxName2 ?? exp.tax_name2), tax2, {
+    tax: exp.taxName2 ?? exp.tax_name2 ?? null,
+  });
+  entry.credit(() => accounts.cash(), net + tax1 + tax2);
+  return entry.done();
+}
+
+const BUILDERS = {
+  invoices: invoiceEntry,
+  credit_notes: creditNoteEntry,
+  payments: paymentEntry,
+  bills: billEntry,
+  bill_payments: billPaymentEntry,
+  expenses: expenseEntry,
+};
+export const JOURNAL_SOURCES = Object.keys(BUILDERS);
+
+// ---------------------------
+// Build + validate
+// - sources: { invoices: [raw], bills: [raw], ... } (any subset of JOURNAL_SOURCES)
+// - returns { entries, lines, unbalanced, totals }
+// ---------------------------
+export function buildJournal(sources, { accounts = DEFAULT_ACCOUNTS } = {}) {
+  const entries = [];
+  for (const type of JOURNAL_SOURCES) {
+    for (const doc of sources[type] || []) {
+      const entry = BUILDERS[type](doc, accounts);
+      const debit = entry.lines.reduce((sum, l) => sum + Math.round(l.debit * 100), 0);
+      const credit = entry.lines.reduce((sum, l) => sum + Math.round(l.credit * 100), 0);
+      entries.push({
+        ...entry,
+        entry_id: `${entry.source}:${entry.source_id ?? entries.length + 1}`,
+        total_debit: fromCents(debit),
+        total_credit: fromCents(credit),
+        balanced: debit === credit,
+      });
+    }
+  }
+  entries.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+
+  const unbalanced = entries
+    .filter((e) => !e.balanced)
+    .map((e) => ({
+      entry_id: e.entry_id,
+      source: e.source,
+      reference: e.reference,
+      date: e.date,
+      debit: e.total_debit,
+      credit: e.total_credit,
+      difference: fromCents(Math.round(e.total_debit * 100) - Math.round(e.total_credit * 100)),
+    }));
+
+  // Flat rows (one per posting) for tables / CSV
+  const lines = entries.flatMap((e) =>
+    e.lines.map((l, index) => ({
+      entry_id: e.entry_id,
+      line: index + 1,
+      date: e.date,
+      source: e.source,
+      reference: e.reference,
+      description: e.description,
+      account: l.account,
+      debit: l.debit,
+      credit: l.credit,
+      item: l.item ?? null,
+      tax: l.tax ?? null,
+      currency: e.currency,
+      balanced: e.balanced,
+    }))
+  );
+
+  const debit = entries.reduce((sum, e) => sum + Math.round(e.total_debit * 100), 0);
+  const credit = entries.reduce((sum, e) => sum + Math.round(e.total_credit * 100), 0);
+  return {
+    entries,
+    lines,
+    unbalanced,
+    totals: { debit: fromCents(debit), credit: fromCents(credit), balanced: debit === credit },
+  };
+}
@@ -0,0 +1,285 @@
+// ledger.js
+// --------------------------------------------------
+// Trial balance + general ledger from extracted FreshBooks journal entries
+// - journal_entries come in two shapes (adjustment journals by business uuid, the
+//   account-scoped ledger by account id); both are reduced to postings of
+//   { entry, date, account key, debit, credit } before any report is built
+// - accounts are labelled (number / name / type / parent) from chart_of_accounts and
+//   ledger_accounts; postings whose account is not in either list are still reported,
+//   under their own id / name, and counted in `unlabelled`
+// - all dates are the YYYY-MM-DD slice; the range is applied here because FreshBooks
+//   may ignore date filters on journal entries
+// --------------------------------------------------
+
+const toCents = (value) => {
+  if (value && typeof value === "object") value = value.amount ?? value.value;
+  const n = Number(value ?? 0);
+  return Number.isFinite(n) ? Math.round(n * 100) : 0;
+};
+const fromCents = (cents) => Math.round(cents) / 100;
+const dateOf = (value) => (value ? String(value).slice(0, 10) : "");
+
+const ENTRY_DATE_FIELDS = ["user_entered_date", "entry_date", "entryDate", "date", "created_at", "createdAt"];
+const LINE_ARRAYS = ["details", "line_items", "lines", "entries"];
+
+// ---------------------------
+// Account labels
+// ---------------------------
+const accountIdsOf = (acc) =>
+  [acc.subaccountid, acc.sub_accountid, acc.accountid, acc.account_id, acc.accountId, acc.id, acc.uuid]
+    .filter((v) => v !== undefined && v !== null && v !== "")
+    .map(String);
+
+/**
+ * Lookup of every known account by id, number and (lower-cased) name.
+ * @param {Object[]} chart raw chart_of_accounts records (with sub_accounts)
+ * @param {Object[]} [ledgerAccounts] raw ledger_accounts records
+ */
+export function buildAccountIndex(chart = [], ledgerAccounts = []) {
+  const byKey = new Map();
+  const add = (label, raw) => {
+    for (const id of accountIdsOf(raw)) byKey.set(`id:${id}`, label);
+    if (label.number) byKey.set(`number:${label.number}`, label);
+    if (label.name) byKey.set(`name:${label.name.toLowerCase()}`, label);
+  };
+
+  for (const acc of chart) {
+    const parent = {
+      number: acc.account_number ? String(acc.account_number) : "",
+      name: acc.account_name || acc.name || "",
+      type: acc.account_type || acc.type || "",
+      sub_type: acc.account_sub_type || acc.sub_type || "",
+      parent: "",
+    };
+    add(parent, acc);
+    const subs = [acc.sub_accounts, acc.subaccounts].find(Array.isArray) || [];
+    for (const sub of subs) {
+      add(
+        {
+          number: String(sub.account_number ?? sub.number ?? sub.accountnumber ?? ""),
+          name: sub.account_name || sub.name || sub.system_account_name || "",
+          type: sub.account_type || sub.type || parent.type,
+          sub_type: sub.account_sub_type || sub.sub_type || parent.sub_type,
+          parent: parent.name,
+        },
+        sub
+      );
+    }
+  }
+
+  // Ledger accounts only fill gaps the chart leaves
+  for (const acc of ledgerAccounts) {
+    const label = {
+      number: String(acc.number ?? acc.account_number ?? ""),
+      name: acc.name || acc.account_name || "",
+      type: acc.type || acc.account_type || acc.category || "",
+      sub_type: acc.sub_type || acc.subType || acc.account_sub_type || "",
+      parent: acc.parent_name || acc.parentName || "",
+    };
+    const known = accountIdsOf(acc).some((id) => byKey.has(`id:${id}`));
+    if (!known) add(label, acc);
+  }
+
+  return byKey;
+}
+
+// One posting line → account reference (whatever identifiers the line carries)
+function lineAccount(line) {
+  const sub = line.sub_account || line.subAccount || {};
+  const acc = line.account || {};
+  return {
+    id: String(
+      sub.subaccountid ?? line.sub_accountid ?? line.subaccountid ?? acc.accountid ?? line.accountid ??
+        line.accountId ?? line.account_id ?? line.ledgerAccountId ?? line.ledger_account_id ?? ""
+    ),
+    number: String(sub.account_number ?? acc.account_number ?? line.account_number ?? line.accountNumber ?? ""),
+    name: sub.account_sub_name || sub.account_name || acc.account_name || line.account_name || line.accountName || "",
+  };
+}
+
+function labelFor(ref, index) {
+  const label =
+    (ref.id && index.get(`id:${ref.id}`)) ||
+    (ref.number && index.get(`number:${ref.number}`)) ||
+    (ref.name && index.get(`name:${ref.name.toLowerCase()}`));
+  if (label) return { ...label, key: label.number || label.name, labelled: true };
+  return {
+    key: ref.number || ref.id || ref.name || "(unknown)",
+    number: ref.number,
+    name: ref.name || (ref.id ? `Account ${ref.id}` : "(unknown account)"),
+    type: "",
+    sub_type: "",
+    parent: "",
+    labelled: false,
+  };
+}
+
+/**
+ * Raw journal entries → postings sorted by date.
+ * @param {Object[]} entries raw journal_entries records
+ * @param {Map} index from buildAccountIndex
+ */
+export function journalPostings(entries, index) {
+  const postings = [];
+  for (const entry of entries) {
+    // Detail-style rows carry their entry inline
+    const parent = entry.entry && typeof entry.entry === "object" ? { ...entry.entry, details: [entry] } : entry;
+    const lines = LINE_ARRAYS.map((k) => parent[k]).find(Array.isArray) || [];
+    const entryDate = dateOf(ENTRY_DATE_FIELDS.map((f) => parent[f]).find(Boolean));
+    const entryId = String(parent.entryid ?? parent.id ?? parent.journalEntryNumber ?? "");
+    for (const line of lines) {
+      const debit = toCents(line.debit);
+      const credit = toCents(line.credit);
+      if (!debit && !credit) continue;
+      postings.push({
+        entry_id: entryId,
+        entry_number: parent.journalEntryNumber ?? parent.journal_entry_number ?? parent.name ?? null,
+        date: dateOf(line.date || line.entry_date) || entryDate,
+        description: line.description || parent.description || parent.name || "",
+        currency: line.debit?.code || line.credit?.code || parent.currency_code || null,
+        account: labelFor(lineAccount(line), index),
+        debit,
+        credit,
+      });
+    }
+  }
+  return postings.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Report rows lead with the account and the amounts; labels from the chart follow
+const accountColumns = (account) => ({
+  account_number: account.number || "",
+  account_name: account.name,
+});
+const accountDetails = (account) => ({
+  account_type: account.type || "",
+  account_sub_type: account.sub_type || "",
+  parent_account: account.parent || "",
+});
+
+// ---------------------------
+// Trial balance as of a date
+// - one row per account with any posting on or before as_of
+// - balance = debits − credits, shown in the debit or credit column by sign
+// ---------------------------
+export function buildTrialBalance(postings, { as_of = "" } = {}) {
+  const accounts = new Map();
+  for (const p of postings) {
+    if (as_of && p.date && p.date > as_of) continue;
+    const row = accounts.get(p.account.key) || { account: p.account, debit: 0, credit: 0, postings: 0 };
+    row.debit += p.debit;
+    row.credit += p.credit;
+    row.postings += 1;
+    accounts.set(p.account.key, row);
+  }
+
+  const rows = [...accounts.values()]
+    .sort((a, b) => (a.account.number || a.account.name).localeCompare(b.account.number || b.account.name))
+    .map(({ account, debit, credit, postings: count }) => {
+      const balance = debit - credit;
+      return {
+        ...accountColumns(account),
+        debit: balance > 0 ? fromCents(balance) : 0,
+        credit: balance < 0 ? fromCents(-balance) : 0,
+        total_debit: fromCents(debit),
+        total_credit: fromCents(credit),
+        ...accountDetails(account),
+        postings: count,
+        labelled: account.labelled,
+      };
+    });
+
+  const debit = rows.reduce((sum, r) => sum + toCents(r.debit), 0);
+  const credit = rows.reduce((sum, r) => sum + toCents(r.credit), 0);
+  return {
+    as_of: as_of || null,
+    rows,
+    totals: { debit: fromCents(debit), credit: fromCents(credit), balanced: debit === credit },
+    unlabelled: rows.filter((r) => !r.labelled).map((r) => r.account_number || r.account_name),
+  };
+}
+
+// ---------------------------
+// General ledger detail
+// - per account: opening balance (postings before start_date), every posting in the
+//   range with a running balance, closing balance
+// - rows are flat for tables / CSV; row_type is opening | posting | closing
+// - account: optional filter (number, id or name)
+// ---------------------------
+export function buildGeneralLedger(postings, { start_date = "", end_date = "", account = "" } = {}) {
+  const wanted = String(account || "").toLowerCase();
+  const groups = new Map();
+  for (const p of postings) {
+    if (end_date && p.date && p.date > end_date) continue;
+    if (wanted && ![p.account.key, p.account.number, p.account.name].some((v) => String(v).toLowerCase() === wanted))
+      continue;
+    const group = groups.get(p.account.key) || { account: p.account, opening: 0, postings: [] };
+    if (start_date && p.date && p.date < start_date) group.opening += p.debit - p.credit;
+    else group.postings.push(p);
+    groups.set(p.account.key, group);
+  }
+
+  const rows = [];
+  const accounts = [];
+  const sorted = [...groups.values()].sort((a, b) =>
+    (a.account.number || a.account.name).localeCompare(b.account.number || b.account.name)
+  );
+  for (const { account, opening, postings: list } of sorted) {
+    const columns = accountColumns(account);
+    const details = accountDetails(account);
+    let balance = opening;
+    const summaryRow = (row_type, date, description, debit, credit) => ({
+      ...columns,
+      date,
+      description,
+      debit,
+      credit,
+      balance: fromCents(balance),
+      row_type,
+      entry_id: "",
+      entry_number: "",
+      currency: null,
+      ...details,
+    });
+    rows.push(summaryRow("opening", start_date || "", "Opening balance", 0, 0));
+    let debit = 0;
+    let credit = 0;
+    for (const p of list) {
+      balance += p.debit - p.credit;
+      debit += p.debit;
+      credit += p.credit;
+      rows.push({
+        ...columns,
+        date: p.date,
+        description: p.description,
+        debit: fromCents(p.debit),
+        credit: fromCents(p.credit),
+        balance: fromCents(balance),
+        row_type: "posting",
+        entry_id: p.entry_id,
+        entry_number: p.entry_number,
+        currency: p.currency,
+        ...details,
+      });
+    }
+    rows.push(summaryRow("closing", end_date || "", "Closing balance", fromCents(debit), fromCents(credit)));
+    accounts.push({
+      ...columns,
+      opening_balance: fromCents(opening),
+      debit: fromCents(debit),
+      credit: fromCents(credit),
+      closing_balance: fromCents(balance),
+      ...details,
+      postings: list.length,
+      labelled: account.labelled,
+    });
+  }
+
+  return {
+    start_date: start_date || null,
+    end_date: end_date || null,
+    accounts,
+    rows,
+    unlabelled: accounts.filter((a) => !a.labelled).map((a) => a.account_number || a.account_name),
+  };
+}
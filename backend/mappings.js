@@ -0,0 +1,205 @@
+// mappings.js
+// --------------------------------------------------
+// Account mapping profiles for generated journals (one per business / accounting account)
+// - mapping_profiles.json holds { "account_<id>": profile }
+// - a profile names the control accounts (AR, AP, cash, ...) and maps FreshBooks
+//   source values to the client's own chart of accounts:
+//     expense_categories  expense / bill line category   → account
+//     income_accounts     invoice line income account (or item name) → account
+//     taxes               tax name → { payable, recoverable }
+//     payment_types       payment / bill payment type    → cash or bank account
+// - the resolver records every source value it could not map; the journal reports
+//   them as `unmapped` instead of quietly posting to a default account
+// --------------------------------------------------
+import fs from "fs";
+import path from "path";
+import { DEFAULT_ACCOUNTS } from "./journal.js";
+
+const MAPPINGS_FILE = path.resolve("mapping_profiles.json");
+
+export const CONTROL_ACCOUNTS = [
+  "receivable",
+  "payable",
+  "revenue",
+  "discounts",
+  "cash",
+  "expense",
+  "customer_credits",
+  "tax_payable",
+  "tax_recoverable",
+  "rounding",
+];
+export const MAPPING_SECTIONS = ["expense_categories", "income_accounts", "taxes", "payment_types"];
+
+const profileKey = (accountId) => `account_${accountId}`;
+
+function loadProfiles() {
+  try {
+    if (!fs.existsSync(MAPPINGS_FILE)) return {};
+    return JSON.parse(fs.readFileSync(MAPPINGS_FILE, "utf-8")) || {};
+  } catch (err) {
+    console.warn("[Mappings] Profile file unreadable:", err.message);
+    return {};
+  }
+}
+
+function saveProfiles(profiles) {
+  const tmp = `${MAPPINGS_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(profiles, null, 2));
+  fs.renameSync(tmp, MAPPINGS_FILE);
+}
+
+const cleanName = (value) => (typeof value === "string" ? value.trim() : "");
+
+// ---------------------------
+// Validation
+// - returns { profile } or { error } (message suitable for a 400)
+// ---------------------------
+export function normalizeProfile(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return { error: "Profile must be an object" };
+
+  const accounts = {};
+  for (const [key, value] of Object.entries(input.accounts || {})) {
+    if (!CONTROL_ACCOUNTS.includes(key)) return { error: `Unknown control account: ${key}` };
+    if (value !== undefined && value !== null && typeof value !== "string")
+      return { error: `accounts.${key} must be a string` };
+    if (cleanName(value)) accounts[key] = cleanName(value);
+  }
+
+  const profile = { name: cleanName(input.name) || "Default", accounts };
+  for (const section of MAPPING_SECTIONS) {
+    const source = input[section] ?? {};
+    if (typeof source !== "object" || Array.isArray(source)) return { error: `${section} must be an object` };
+    profile[section] = {};
+    for (const [from, to] of Object.entries(source)) {
+      if (!from.trim()) continue;
+      if (section === "taxes") {
+        const target = typeof to === "string" ? { payable: to, recoverable: to } : to;
+        if (!target || typeof target !== "object") return { error: `taxes.${from} must be a string or object` };
+        const payable = cleanName(target.payable);
+        const recoverable = cleanName(target.recoverable);
+        if (!payable && !recoverable) continue;
+        profile.taxes[from.trim()] = { payable, recoverable };
+        continue;
+      }
+      if (typeof to !== "string") return { error: `${section}.${from} must be a string` };
+      if (cleanName(to)) profile[section][from.trim()] = cleanName(to);
+    }
+  }
+  return { profile };
+}
+
+// ---------------------------
+// CRUD (keyed by accounting account id)
+// ---------------------------
+export function getMappingProfile(accountId) {
+  if (!accountId) return null;
+  return loadProfiles()[profileKey(accountId)] || null;
+}
+
+export function saveMappingProfile(accountId, profile) {
+  const profiles = loadProfiles();
+  const stored = { ...profile, updated_at: new Date().toISOString() };
+  profiles[profileKey(accountId)] = stored;
+  saveProfiles(profiles);
+  return stored;
+}
+
+export function deleteMappingProfile(accountId) {
+  const profiles = loadProfiles();
+  if (!profiles[profileKey(accountId)]) return false;
+  delete profiles[profileKey(accountId)];
+  saveProfiles(profiles);
+  return true;
+}
+
+// ---------------------------
+// Resolver for buildJournal
+// - without a profile the built-in account names are used, but unmapped values are
+//   still collected so the caller can see what a profile would need to cover
+// - with a profile, a value that is not mapped posts to the profile's control account
+//   when one is set, otherwise to a visible "Unmapped ..." placeholder; either way it
+//   is listed in unmapped() with the number of postings it affected
+// ---------------------------
+export function createAccountResolver(profile) {
+  const seen = Object.fromEntries(MAPPING_SECTIONS.map((s) => [s, new Map()]));
+  const control = profile?.accounts || {};
+  const miss = (section, value) => {
+    const key = value || "(none)";
+    seen[section].set(key, (seen[section].get(key) || 0) + 1);
+  };
+
+  // mapped value → its target; an empty source value goes to the control account
+  // without being reported (nothing to map); anything else is reported
+  const resolve = ({ section, value, mapped, controlName, label, fallback }) => {
+    if (mapped) return mapped;
+    if (value || (profile && !control[controlName])) miss(section, value);
+    if (!profile) return fallback();
+    return control[controlName] || `Unmapped ${label}${value ? `: ${value}` : ""}`;
+  };
+  const lookup = (section, value) => (value ? profile?.[section]?.[value] : undefined);
+
+  const accounts = {
+    receivable: control.receivable || DEFAULT_ACCOUNTS.receivable,
+    payable: control.payable || DEFAULT_ACCOUNTS.payable,
+    discounts: control.discounts || DEFAULT_ACCOUNTS.discounts,
+    customerCredits: control.customer_credits || DEFAULT_ACCOUNTS.customerCredits,
+    rounding: control.rounding || DEFAULT_ACCOUNTS.rounding,
+
+    revenue: ({ incomeAccount, item } = {}) =>
+      resolve({
+        section: "income_accounts",
+        value: incomeAccount || item,
+        mapped: lookup("income_accounts", incomeAccount) || lookup("income_accounts", item),
+        controlName: "revenue",
+        label: "income account",
+        fallback: () => DEFAULT_ACCOUNTS.revenue({ incomeAccount }),
+      }),
+    expense: (category) =>
+      resolve({
+        section: "expense_categories",
+        value: category,
+        mapped: lookup("expense_categories", category),
+        controlName: "expense",
+        label: "expense category",
+        fallback: () => DEFAULT_ACCOUNTS.expense(category),
+      }),
+    cash: (paymentType) =>
+      resolve({
+        section: "payment_types",
+        value: paymentType,
+        mapped: lookup("payment_types", paymentType),
+        controlName: "cash",
+        label: "payment type",
+        fallback: () => DEFAULT_ACCOUNTS.cash(paymentType),
+      }),
+    taxPayable: (name) =>
+      resolve({
+        section: "taxes",
+        value: name,
+        mapped: lookup("taxes", name)?.payable,
+        controlName: "tax_payable",
+        label: "tax (payable)",
+        fallback: () => DEFAULT_ACCOUNTS.taxPayable(name),
+      }),
+    taxRecoverable: (name) =>
+      resolve({
+        section: "taxes",
+        value: name,
+        mapped: lookup("taxes", name)?.recoverable,
+        controlName: "tax_recoverable",
+        label: "tax (recoverable)",
+        fallback: () => DEFAULT_ACCOUNTS.taxRecoverable(name),
+      }),
+  };
+
+  const unmapped = () =>
+    Object.fromEntries(
+      MAPPING_SECTIONS.map((section) => [
+        section,
+        [...seen[section]].map(([value, postings]) => ({ value, postings })),
+      ])
+    );
+
+  return { accounts, unmapped };
+}
@@ -0,0 +1,75 @@
+// oauth.js
+// --------------------------------------------------
+// OAuth login attempts (/auth → /callback)
+// - every /auth call gets a random nonce, stored server-side with an expiry,
+//   the display name, a PKCE code_verifier and a hash of the browser session that
+//   started it
+// - state sent to FreshBooks = nonce.signature (HMAC-SHA256), so a tampered or
+//   foreign state is rejected before the store is even consulted
+// - consumeAuthState() is single use: a replayed state finds nothing
+// - a state only completes in the session that started /auth, so a callback URL
+//   handed to someone else can't sign their browser into another account
+// --------------------------------------------------
+import crypto from "crypto";
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const MAX_PENDING_STATES = 500;
+const pendingStates = new Map(); // nonce → { user_name, code_verifier, session_hash, expires_at }
+
+// Attempts live in memory, so a per-process key is enough (a restart voids pending logins anyway)
+const stateKey = crypto.randomBytes(32);
+
+const base64url = (buf) => buf.toString("base64url");
+const sign = (nonce) => base64url(crypto.createHmac("sha256", stateKey).update(nonce).digest());
+const sessionHash = (sessionId) => crypto.createHash("sha256").update(String(sessionId || "")).digest();
+
+const pruneStates = (now = Date.now()) => {
+  for (const [nonce, entry] of pendingStates) {
+    if (entry.expires_at <= now) pendingStates.delete(nonce);
+  }
+  // Someone hammering /auth shouldn't grow this forever; oldest attempts go first
+  while (pendingStates.size >= MAX_PENDING_STATES) {
+    pendingStates.delete(pendingStates.keys().next().value);
+  }
+};
+
+// ---------------------------
+// Start a login attempt → { state, code_challenge } for the authorize URL
+// ---------------------------
+export function createAuthState({ user_name = "", session_id = "" } = {}) {
+  pruneStates();
+  const nonce = base64url(crypto.randomBytes(24));
+  const code_verifier = base64url(crypto.randomBytes(32)); // 43 chars, within RFC 7636 limits
+  const code_challenge = base64url(crypto.createHash("sha256").update(code_verifier).digest());
+
+  pendingStates.set(nonce, {
+    user_name,
+    code_verifier,
+    session_hash: sessionHash(session_id),
+    expires_at: Date.now() + STATE_TTL_MS,
+  });
+  return { state: `${nonce}.${sign(nonce)}`, code_challenge, code_challenge_method: "S256" };
+}
+
+// ---------------------------
+// Validate the state /callback received in session_id → { user_name, code_verifier } or { error }
+// ---------------------------
+export function consumeAuthState(state, { session_id = "" } = {}) {
+  const [nonce, signature] = String(state || "").split(".");
+  if (!nonce || !signature) return { error: "Missing or malformed state" };
+
+  const expected = Buffer.from(sign(nonce));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { error: "State signature mismatch" };
+  }
+
+  const entry = pendingStates.get(nonce);
+  pendingStates.delete(nonce);
+  if (!entry) return { error: "Unknown or already used state" };
+  if (entry.expires_at <= Date.now()) return { error: "Login attempt expired" };
+  if (!crypto.timingSafeEqual(entry.session_hash, sessionHash(session_id))) {
+    return { error: "Login was started in a different browser session" };
+  }
+  return { user_name: entry.user_name, code_verifier: entry.code_verifier };
+}
@@ -0,0 +1,179 @@
+// reconcile.js
+// --------------------------------------------------
+// Invoice ↔ payment reconciliation
+// - payments join invoices by invoiceid, falling back to invoice_number
+// - payments with a creditid (or a credit payment type) are credits applied to the
+//   invoice; both reduce the expected balance: expected = amount − payments − credits
+// - every discrepancy is one row with a reason code:
+//     BALANCE_MISMATCH         reported outstanding ≠ expected outstanding
+//     OVERPAYMENT              payments + credits exceed the invoice amount
+//     DUPLICATE_PAYMENT        same invoice, type, amount and date on more than one payment
+//     ORPHAN_PAYMENT           payment points at an invoice that was not extracted
+//     INVOICE_NUMBER_MISMATCH  payment's invoice_number disagrees with the invoice its
+//                              invoiceid points at
+// - start_date / end_date limit which invoices are reported (create_date); orphans are
+//   still checked against every extracted invoice, so a range never creates false ones
+// - credit notes themselves are not read (see LIMITATIONS, returned with the report)
+// --------------------------------------------------
+
+export const REASON_CODES = {
+  BALANCE_MISMATCH: "Reported outstanding differs from amount − payments − credits",
+  OVERPAYMENT: "Payments and credits exceed the invoice amount",
+  DUPLICATE_PAYMENT: "More than one payment with the same invoice, type, amount and date",
+  ORPHAN_PAYMENT: "Payment points at an invoice that was not extracted",
+  INVOICE_NUMBER_MISMATCH: "Payment invoice_number disagrees with the invoice its invoiceid points at",
+};
+
+export const LIMITATIONS = [
+  "Credit notes are not read: a credit counts only once it is applied to an invoice as a payment " +
+    "(creditid or a credit payment type). Credits applied any other way show up as BALANCE_MISMATCH.",
+];
+
+const toCents = (value) => {
+  if (value && typeof value === "object") value = value.amount ?? value.value;
+  const n = Number(value ?? 0);
+  return Number.isFinite(n) ? Math.round(n * 100) : 0;
+};
+const fromCents = (cents) => Math.round(cents) / 100;
+const dateOf = (value) => (value ? String(value).slice(0, 10) : "");
+const present = (value) => value !== undefined && value !== null && value !== "";
+
+const isCredit = (pay) => present(pay.creditid) || /credit/i.test(pay.type || "");
+
+const clientNameOf = (doc) => {
+  const c = doc.client || {};
+  const person = [doc.fname ?? c.fname, doc.lname ?? c.lname].filter(Boolean).join(" ");
+  return doc.organization || c.organization || person || doc.client_name || "";
+};
+
+const paymentRef = (pay) => ({
+  payment_id: pay.id ?? pay.paymentid ?? null,
+  payment_date: dateOf(pay.date) || null,
+  payment_amount: fromCents(toCents(pay.amount)),
+  payment_type: pay.type ?? null,
+  payment_invoiceid: pay.invoiceid ?? null,
+  payment_invoice_number: pay.invoice?.invoice_number ?? pay.invoice_number ?? null,
+});
+
+// ---------------------------
+// Build
+// - sources: { invoices, payments } raw FreshBooks records
+// - returns { invoices (one row per reported invoice), discrepancies, counts }
+// ---------------------------
+export function reconcileInvoicePayments({ invoices = [], payments = [] }, { start_date = "", end_date = "" } = {}) {
+  const byId = new Map();
+  const byNumber = new Map();
+  for (const inv of invoices) {
+    const id = inv.invoiceid ?? inv.id;
+    if (present(id)) byId.set(String(id), inv);
+    if (present(inv.invoice_number)) byNumber.set(String(inv.invoice_number), inv);
+  }
+
+  const discrepancies = [];
+  const matched = new Map(); // invoice → payments
+  for (const pay of payments) {
+    const number = pay.invoice?.invoice_number ?? pay.invoice_number;
+    const viaId = present(pay.invoiceid) ? byId.get(String(pay.invoiceid)) : undefined;
+    const invoice = viaId || (present(number) ? byNumber.get(String(number)) : undefined);
+    if (!invoice) {
+      discrepancies.push({ reason: "ORPHAN_PAYMENT", ...paymentRef(pay) });
+      continue;
+    }
+    if (viaId && present(number) && present(viaId.invoice_number) && String(number) !== String(viaId.invoice_number))
+      discrepancies.push({ reason: "INVOICE_NUMBER_MISMATCH", invoice: viaId, ...paymentRef(pay) });
+    if (!matched.has(invoice)) matched.set(invoice, []);
+    matched.get(invoice).push(pay);
+  }
+
+  const rows = new Map(); // invoice → report row
+  for (const inv of invoices) {
+    const issued = dateOf(inv.create_date ?? inv.date);
+    if ((start_date && issued < start_date) || (end_date && issued > end_date)) continue;
+
+    const list = matched.get(inv) || [];
+    const amount = toCents(inv.amount);
+    const paid = list.filter((p) => !isCredit(p)).reduce((sum, p) => sum + toCents(p.amount), 0);
+    const credits = list.filter(isCredit).reduce((sum, p) => sum + toCents(p.amount), 0);
+    const expected = amount - paid - credits;
+    const reported = toCents(inv.outstanding);
+    const reasons = [];
+
+    if (present(inv.outstanding) && reported !== Math.max(expected, 0)) {
+      reasons.push("BALANCE_MISMATCH");
+      discrepancies.push({ reason: "BALANCE_MISMATCH", invoice: inv, difference: fromCents(reported - expected) });
+    }
+    if (expected < 0) {
+      reasons.push("OVERPAYMENT");
+      discrepancies.push({ reason: "OVERPAYMENT", invoice: inv, difference: fromCents(-expected) });
+    }
+
+    const seen = new Map();
+    for (const pay of list) {
+      const key = `${dateOf(pay.date)}|${toCents(pay.amount)}|${String(pay.type ?? "").toLowerCase()}`;
+      if (!seen.has(key)) {
+        seen.set(key, pay);
+        continue;
+      }
+      if (!reasons.includes("DUPLICATE_PAYMENT")) reasons.push("DUPLICATE_PAYMENT");
+      const first = seen.get(key);
+      discrepancies.push({
+        reason: "DUPLICATE_PAYMENT",
+        invoice: inv,
+        ...paymentRef(pay),
+        duplicate_of_payment_id: first.id ?? first.paymentid ?? null,
+      });
+    }
+
+    rows.set(inv, {
+      invoice_id: inv.invoiceid ?? inv.id ?? null,
+      invoice_number: inv.invoice_number ?? null,
+      client_name: clientNameOf(inv),
+      create_date: issued || null,
+      currency: inv.currency_code || inv.amount?.code || null,
+      amount: fromCents(amount),
+      payments: fromCents(paid),
+      credits: fromCents(credits),
+      expected_outstanding: fromCents(expected),
+      reported_outstanding: present(inv.outstanding) ? fromCents(reported) : null,
+      payment_count: list.length,
+      status: reasons.length ? "discrepancy" : "ok",
+      reasons: reasons.join(", "),
+    });
+  }
+
+  // One flat row per discrepancy; number mismatches on invoices outside the range are dropped
+  const flat = discrepancies
+    .filter((d) => !d.invoice || rows.has(d.invoice))
+    .map(({ reason, invoice, ...rest }) => {
+      const row = invoice ? rows.get(invoice) : null;
+      return {
+        reason,
+        description: REASON_CODES[reason],
+        invoice_id: row?.invoice_id ?? null,
+        invoice_number: row?.invoice_number ?? null,
+        client_name: row?.client_name ?? null,
+        currency: row?.currency ?? null,
+        invoice_amount: row?.amount ?? null,
+        payments: row?.payments ?? null,
+        credits: row?.credits ?? null,
+        expected_outstanding: row?.expected_outstanding ?? null,
+        reported_outstanding: row?.reported_outstanding ?? null,
+        difference: null,
+        payment_id: null,
+        payment_date: null,
+        payment_amount: null,
+        ...rest,
+      };
+    });
+
+  const counts = Object.fromEntries(Object.keys(REASON_CODES).map((code) => [code, 0]));
+  for (const d of flat) counts[d.reason] += 1;
+
+  const invoiceRows = [...rows.values()];
+  return {
+    invoices: invoiceRows,
+    discrepancies: flat,
+    counts,
+    reconciled: invoiceRows.filter((r) => r.status === "ok").length,
+  };
+}
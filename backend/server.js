@@ -3,27 +3,102 @@ import express from "express";
 import axios from "axios";
 import dotenv from "dotenv";
 import cors from "cors";
+import crypto from "crypto";
 import fs from "fs";
 import path from "path";
+import {
+  ENTITIES,
+  applyPageParams,
+  buildEntityUrl,
+  describeEntities,
+  entityHeaders,
+  entityUrlChain,
+  missingIdFor,
+  pickRecords,
+  pickReport,
+} from "./entities.js";
+import { fetchEntityRecords } from "./extractor.js";
+import { isSyncable, listSyncStates, resetLocalCopy, syncEntityRecords } from "./sync.js";
+import {
+  describeStore,
+  isStorable,
+  listSnapshots,
+  loadSnapshot,
+  openStore,
+  queryRecords,
+  saveSnapshot,
+  storeRecords,
+} from "./store.js";
+import { compareSnapshots } from "./compare.js";
+import { buildReportWorkbook, buildWorkbook } from "./workbook.js";
+import { streamBundle } from "./bundle.js";
+import { JOURNAL_SOURCES, buildJournal } from "./journal.js";
+import { buildAccountIndex, buildGeneralLedger, buildTrialBalance, journalPostings } from "./ledger.js";
+import { buildPayablesAging, buildReceivablesAging } from "./aging.js";
+import { LIMITATIONS, REASON_CODES, reconcileInvoicePayments } from "./reconcile.js";
+import {
+  createAccountResolver,
+  deleteMappingProfile,
+  getMappingProfile,
+  normalizeProfile,
+  saveMappingProfile,
+} from "./mappings.js";
+import { freshbooksGet, setUnauthorizedHandler } from "./freshbooks.js";
+import { loadVault } from "./vault.js";
+import { consumeAuthState, createAuthState } from "./oauth.js";
+import {
+  claimLoginCode,
+  clearSessionCookie,
+  createLoginCode,
+  destroySession,
+  findSessionByToken,
+  getSession,
+  loadSessions,
+  publicSession,
+  sessionMiddleware,
+  setSessionCookie,
+  updateSession,
+} from "./sessions.js";
+import {
+  createJob,
+  emitJobEvent,
+  failJob,
+  findResumableJob,
+  finishJob,
+  getJob,
+  isResumable,
+  jobEventsSince,
+  listJobs,
+  loadJobCheckpoint,
+  loadJobs,
+  publicJob,
+  readJobResult,
+  recordJobPage,
+  subscribeJobEvents,
+  updateJob,
+} from "./jobs.js";
 
 dotenv.config();
 const app = express();
-app.use(cors());
+// Reflect the caller's origin so the session cookie is sent cross-origin (frontend → backend / tunnel)
+app.use(cors({ origin: true, credentials: true }));
 app.use(express.json());
+app.use(["/api", "/auth", "/callback"], sessionMiddleware);
 // --------------------------------------------------
 // NOTES / KEY CHANGES
 // - business-map now returns account_id, business_id, business_uuid mapped clearly
 // - chart_of_accounts uses use_ledger_entries=true and accepts date filters (only here)
+// - accounting reports (profit_and_loss, balance_sheet, cash_flow, tax_summary) are extract
+//   types too; their nested sections are flattened to rows, balance_sheet takes as_of
 // - ledger_accounts (advanced ledger) will NOT be passed date filters\
 // - time_entries uses the comments/business/{business_id}/time_entries endpoint with recommended query params
 // - safely handles token refresh collisions with a queue
 // - improved response parsing for FreshBooks API varying shapes
 // --------------------------------------------------
 const FRESHBOOKS_BASE = process.env.FRESHBOOKS_API || "https://api.freshbooks.com";
-const ENV_PATH = path.resolve(".env");
-let accessToken = process.env.ACCESS_TOKEN || "";
-let refreshToken = process.env.REFRESH_TOKEN || "";
-let tokenExpiry = 0;
+loadVault();
+loadSessions();
+openStore();
 const HISTORY_PATH = path.resolve("history.log.json");
 const MAX_HISTORY_ITEMS = 500;
 const pretty = (obj) => {
@@ -129,52 +204,78 @@ async function getUserSummary(token) {
   }
 }
 // ---------------------------
-// safe .env write helper
+// Token expiry
+// - FreshBooks access tokens are JWTs, so exp can be read straight from the token
+// - the vault keeps the value across restarts for opaque tokens
 // ---------------------------
-function safeReplaceEnv(key, value) {
+function jwtExpiry(token) {
   try {
-    let envFile = fs.existsSync(ENV_PATH) ? fs.readFileSync(ENV_PATH, "utf-8") : "";
-    const regex = new RegExp(`^${key}=.*$`, "m");
-    if (regex.test(envFile)) {
-      envFile = envFile.replace(regex, `${key}=${value}`);
-    } else {
-      if (envFile && !envFile.endsWith("\n")) envFile += "\n";
-      envFile += `${key}=${value}\n`;
-    }
-    fs.writeFileSync(ENV_PATH, envFile);
-  } catch (err) {
-    console.warn("⚠️ Warning: could not write to .env", err.message);
+    const [, payload] = String(token || "").split(".");
+    if (!payload) return 0;
+    const { exp } = JSON.parse(Buffer.from(payload, "base64url").toString("utf-8"));
+    return Number.isFinite(exp) ? exp : 0;
+  } catch {
+    return 0;
   }
 }
+
+function expiryFor(token, expiresIn) {
+  const seconds = Number(expiresIn);
+  return (
+    jwtExpiry(token) ||
+    (Number.isFinite(seconds) && seconds > 0 ? Math.floor(Date.now() / 1000) + seconds : 0)
+  );
+}
+
+const parseScopes = (scope) => String(scope || "").split(/\s+/).filter(Boolean);
+
+// Store a token response on the session (persisted to the vault)
+function saveSessionTokens(session, { access_token, refresh_token, expires_in, scope }, extra = {}) {
+  return updateSession(session, {
+    previous_access_token:
+      session.access_token !== access_token ? session.access_token : session.previous_access_token,
+    access_token,
+    refresh_token,
+    token_expiry:
+      expiryFor(access_token, expires_in) ||
+      (access_token === session.access_token ? session.token_expiry : 0), // known token keeps its expiry
+    ...(scope ? { scopes: parseScopes(scope) } : {}),
+    ...extra,
+  });
+}
+
+// Business ids from the session, .env defaults second
+const savedIds = (session) => ({
+  account_id: (session?.account_id || process.env.ACCOUNT_ID || "").toString(),
+  business_id: (session?.business_id || process.env.BUSINESS_ID || "").toString(),
+  business_uuid: (session?.business_uuid || process.env.BUSINESS_UUID || "").toString(),
+});
+
 // ---------------------------
-// Token refresh machinery
+// Token refresh machinery (per session)
 // ---------------------------
-let isRefreshing = false;
-let refreshQueue = [];
-async function ensureAccessTokenValid() {
+const signInRequired = (message) => Object.assign(new Error(message), { status: 401 });
+const refreshQueues = new Map(); // session id → callers waiting on an in-flight refresh
+async function ensureAccessTokenValid(session) {
   const now = Math.floor(Date.now() / 1000);
-  if (accessToken && now < tokenExpiry - 60) return accessToken;
-  if (!refreshToken) throw new Error("No refresh token available — please reauthorize.");
+  if (session.access_token && now < session.token_expiry - 60) return session.access_token;
+  if (!session.refresh_token) throw signInRequired("No refresh token available — please reauthorize.");
   console.log("📡 Refreshing access token...");
   try {
     const res = await axios.post(
       `${FRESHBOOKS_BASE}/auth/oauth/token`,
       {
         grant_type: "refresh_token",
-        refresh_token: refreshToken,
+        refresh_token: session.refresh_token,
         client_id: process.env.CLIENT_ID,
         client_secret: process.env.CLIENT_SECRET,
 
       },
       { timeout: 25000 }
     );
-    accessToken = res.data.access_token;
-    refreshToken = res.data.refresh_token;
-    tokenExpiry = Math.floor(Date.now() / 1000) + (res.data.expires_in || 3600);
-    safeReplaceEnv("ACCESS_TOKEN", accessToken);
-    safeReplaceEnv("REFRESH_TOKEN", refreshToken);
+    saveSessionTokens(session, { ...res.data, expires_in: res.data.expires_in || 3600 });
     console.log("✅ Token refreshed successfully!");
-    return accessToken;
+    return session.access_token;
   } catch (err) {
     console.error("❌ Token refresh failed:", pretty(err.response?.data || err.message));
     throw new Error("Token refresh failed, please reauthorize manually.");
@@ -182,29 +283,41 @@ async function ensureAccessTokenValid() {
   }
 
 }
-async function getFreshTokenSafely() {
-  if (isRefreshing) {
+async function getFreshTokenSafely(session) {
+  if (!session) throw signInRequired("No session — please sign in.");
+  const queue = refreshQueues.get(session.id);
+  if (queue) {
     return new Promise((resolve, reject) => {
-      refreshQueue.push({ resolve, reject });
+      queue.push({ resolve, reject });
 
     });
 
   }
-  isRefreshing = true;
+  refreshQueues.set(session.id, []);
   try {
-    const token = await ensureAccessTokenValid();
-    refreshQueue.forEach((p) => p.resolve(token));
-    refreshQueue = [];
-    isRefreshing = false;
+    const token = await ensureAccessTokenValid(session);
+    refreshQueues.get(session.id).forEach((p) => p.resolve(token));
     return token;
   } catch (err) {
-    refreshQueue.forEach((p) => p.reject(err));
-    refreshQueue = [];
-    isRefreshing = false;
+    refreshQueues.get(session.id).forEach((p) => p.reject(err));
     throw err;
+  } finally {
+    refreshQueues.delete(session.id);
   }
 }
 
+// FreshBooks answered 401 → refresh once through the session's queue and let the client replay.
+// When another request already refreshed, the stale token just gets the current one.
+async function refreshAfterUnauthorized(staleToken) {
+  const session = findSessionByToken(staleToken);
+  if (!session) throw new Error("Token does not belong to any session");
+  if (session.access_token && staleToken !== session.access_token) return session.access_token;
+  console.log("🔑 FreshBooks rejected the access token (401), refreshing...");
+  session.token_expiry = 0;
+  return getFreshTokenSafely(session);
+}
+setUnauthorizedHandler(refreshAfterUnauthorized);
+
 
 
 // ---------------------------
@@ -227,8 +340,11 @@ app.get("/test", (_req, res) => res.send("Server running successfully 🚀"));
 
 app.get("/auth", (req, res) => {
   const incomingName = sanitizeUserName(req.query.user_name);
-  const statePayload = incomingName ? { user_name: incomingName } : null;
-  const state = statePayload ? JSON.stringify(statePayload) : "";
+  // Random signed state (kept server-side with the name and this session) + PKCE challenge
+  const { state, code_challenge, code_challenge_method } = createAuthState({
+    user_name: incomingName,
+    session_id: req.session.id,
+  });
 
   const url = new URL("https://auth.freshbooks.com/oauth/authorize");
   url.searchParams.set("client_id", process.env.CLIENT_ID);
@@ -237,10 +353,12 @@ app.get("/auth", (req, res) => {
   url.searchParams.set("scope", process.env.SCOPE);
   url.searchParams.set("prompt", "login");
   url.searchParams.set("access_type", "offline");
-  if (state) url.searchParams.set("state", state);
+  url.searchParams.set("state", state);
+  url.searchParams.set("code_challenge", code_challenge);
+  url.searchParams.set("code_challenge_method", code_challenge_method);
   const authUrl = url.toString();
 
-  console.log("?? Redirecting user to FreshBooks login page:", authUrl);
+  console.log("?? Redirecting user to FreshBooks login page:", url.origin + url.pathname);
   res.redirect(authUrl);
 });
 
@@ -249,15 +367,14 @@ app.get("/auth", (req, res) => {
 app.get("/callback", async (req, res) => {
 
   const { code, state } = req.query;
-  let stateName = "";
-  try {
-    if (state) {
-      const decoded = JSON.parse(state);
-      stateName = sanitizeUserName(decoded?.user_name);
-    }
-  } catch {
-    // ignore malformed state
+
+  // Only states issued by /auth to this session, unexpired and unused (CSRF / replay protection)
+  const attempt = consumeAuthState(state, { session_id: req.session.id });
+  if (attempt.error) {
+    console.warn(`⚠️ Rejected OAuth callback: ${attempt.error}`);
+    return res.status(400).send(`❌ ${attempt.error}. Please start the login again.`);
   }
+  const stateName = sanitizeUserName(attempt.user_name);
 
   if (!code) return res.send("❌ Missing authorization code");
 
@@ -281,6 +398,8 @@ app.get("/callback", async (req, res) => {
 
         code,
 
+        code_verifier: attempt.code_verifier,
+
       },
 
       { headers: { "Content-Type": "application/json" }, timeout: 25000 }
@@ -289,20 +408,14 @@ app.get("/callback", async (req, res) => {
 
 
 
-    accessToken = tokenRes.data.access_token;
-
-    refreshToken = tokenRes.data.refresh_token;
-
-    tokenExpiry = Math.floor(Date.now() / 1000) + tokenRes.data.expires_in;
-
-
-
-    safeReplaceEnv("ACCESS_TOKEN", accessToken);
-
-    safeReplaceEnv("REFRESH_TOKEN", refreshToken);
+    const session = saveSessionTokens(
+      req.session,
+      { ...tokenRes.data, scope: tokenRes.data.scope || process.env.SCOPE },
+      stateName ? { user_name: stateName } : {}
+    );
 
     try {
-      const userProfile = await getUserSummary(accessToken);
+      const userProfile = await getUserSummary(session.access_token);
       const user =
         stateName && stateName.length
           ? { ...userProfile, name: stateName }
@@ -322,17 +435,14 @@ app.get("/callback", async (req, res) => {
 
     const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
 
-    const redirectUrl = `${frontendUrl}?access=${encodeURIComponent(
-
-      accessToken
-
-    )}&refresh=${encodeURIComponent(refreshToken)}&expires=${tokenRes.data.expires_in}${
+    // Tokens stay server-side; the frontend exchanges this one-time code via /api/session/claim
+    const redirectUrl = `${frontendUrl}?login_code=${encodeURIComponent(createLoginCode(session))}${
       stateName ? `&user_name=${encodeURIComponent(stateName)}` : ""
     }`;
 
 
 
-    console.log("📡 Redirecting to frontend:", redirectUrl);
+    console.log("📡 Redirecting to frontend:", frontendUrl);
 
     res.redirect(redirectUrl);
 
@@ -354,13 +464,13 @@ app.get("/callback", async (req, res) => {
 
 // ---------------------------
 
-app.get("/api/business-map", async (_req, res) => {
+app.get("/api/business-map", async (req, res) => {
 
   try {
 
-    const token = await getFreshTokenSafely();
+    const token = await getFreshTokenSafely(req.session);
 
-    const whoami = await axios.get(`${FRESHBOOKS_BASE}/auth/api/v1/users/me`, {
+    const whoami = await freshbooksGet(`${FRESHBOOKS_BASE}/auth/api/v1/users/me`, {
 
       headers: { Authorization: `Bearer ${token}` },
 
@@ -420,11 +530,11 @@ app.get("/api/business-map", async (_req, res) => {
 app.get("/api/whoami", async (req, res) => {
   try {
     const headerToken = (req.headers.authorization || "").replace(/Bearer\s+/i, "").trim();
-    const token = headerToken || (await getFreshTokenSafely());
+    const token = headerToken || (await getFreshTokenSafely(req.session));
 
     if (!token) return res.status(401).json({ error: "No token available" });
 
-    const r = await axios.get(`${FRESHBOOKS_BASE}/auth/api/v1/users/me`, {
+    const r = await freshbooksGet(`${FRESHBOOKS_BASE}/auth/api/v1/users/me`, {
       headers: { Authorization: `Bearer ${token}` },
       timeout: 120000,
     });
@@ -442,7 +552,7 @@ app.get("/api/whoami", async (req, res) => {
 
 async function fetchWhoami(token) {
 
-  const response = await axios.get(`${FRESHBOOKS_BASE}/auth/api/v1/users/me`, {
+  const response = await freshbooksGet(`${FRESHBOOKS_BASE}/auth/api/v1/users/me`, {
 
     headers: { Authorization: `Bearer ${token}` },
 
@@ -506,11 +616,18 @@ async function resolveBusinessUuid({ token, account_id, business_id }) {
 
 
 
+// ---------------------------
+// Entity registry — drives the frontend endpoint picker + diagnostics
+// ---------------------------
+app.get("/api/entities", (_req, res) => {
+  res.json({ success: true, entities: describeEntities() });
+});
+
 // ---------------------------
 
 // Generic extraction endpoint
 
-// - supports types defined in cfgMap
+// - supports types defined in ENTITIES (entities.js)
 
 // - uses the correct id type (account, business_id, business_uuid)
 
@@ -524,8 +641,168 @@ async function resolveBusinessUuid({ token, account_id, business_id }) {
 
 // ---------------------------
 
+// ---------------------------
+// Extract params (query for /api/extract, body for /api/jobs)
+// ---------------------------
+const isTruthyFlag = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .trim() === "true" || value === "1" || value === true;
+
+async function resolveExtractParams(source, token, session) {
+  let { start_date, end_date, type, account_id, business_id, business_uuid } = source;
+  const maxPagesParam = Number(source.max_pages);
+
+  start_date = normalizeDateParam(start_date);
+  // as_of is accepted for as-of reports (balance_sheet), where it is the end date
+  end_date = normalizeDateParam(end_date || source.as_of);
+
+  const saved = savedIds(session);
+  account_id = account_id || saved.account_id;
+  business_id = business_id || saved.business_id;
+  business_uuid = business_uuid || saved.business_uuid;
+
+  if (!business_uuid && (account_id || business_id)) {
+    try {
+      business_uuid = await resolveBusinessUuid({ token, account_id, business_id });
+    } catch {
+      // ignore resolve error, will be validated below
+    }
+  }
+
+  return {
+    type,
+    start_date,
+    end_date,
+    account_id: account_id || "",
+    business_id: business_id || "",
+    business_uuid: business_uuid || "",
+    line_mode: isTruthyFlag(source.line_mode),
+    max_pages: Number.isFinite(maxPagesParam) && maxPagesParam > 0 ? maxPagesParam : null,
+    include_raw: isTruthyFlag(source.include_raw),
+    sync: isTruthyFlag(source.sync),
+    full_sync: isTruthyFlag(source.full_sync),
+    file_name: source.file_name || null,
+  };
+}
+
+// Returns an error string when the params can't be extracted, else null
+function validateExtractParams(params) {
+  if (!params.type) return "Missing 'type' parameter";
+  const endpoint = ENTITIES[params.type];
+  if (!endpoint) return "Invalid type";
+  if (params.sync && !isSyncable(params.type)) return `Sync is not supported for ${params.type}`;
+  const missingId = missingIdFor(endpoint, params);
+  return missingId ? `Missing ${missingId}` : null;
+}
+
+// Every extraction is upserted into the record store; user-started ones (/api/extract,
+// jobs) are also kept as a snapshot for /api/compare. A store failure never fails the extract
+function persistExtraction(params, payload, { snapshot = false } = {}) {
+  if (!isStorable(params.type)) return;
+  try {
+    const { account_id, business_id, business_uuid, start_date, end_date } = params;
+    const ids = { account_id, business_id, business_uuid };
+    payload.stored = storeRecords(params.type, ids, payload.raw, { lineMode: params.line_mode });
+    if (snapshot) payload.snapshot_id = saveSnapshot(params.type, ids, payload.raw, { start_date, end_date });
+  } catch (err) {
+    console.warn("[Store] Failed to store extraction:", err.message);
+  }
+}
+
+// sync=true → refresh the local copy (only changed records when possible) and serve from it
+// snapshot=true → keep this run for /api/compare (report sources, exports and bundles don't,
+// so they can't push the runs history points at out of the snapshot window)
+async function runExtraction(params, token, hooks = {}, { snapshot = false } = {}) {
+  const { type, start_date, end_date, account_id, business_id, business_uuid } = params;
+  console.log(`📡 ${params.sync ? "Syncing" : "Fetching"} → ${type.toUpperCase()}`);
+  const request = {
+    base: FRESHBOOKS_BASE,
+    type,
+    ids: { account_id, business_id, business_uuid },
+    dateRange: { start_date, end_date },
+    token,
+    maxPages: params.max_pages,
+    // raw records feed the store; dropped again unless the caller asked for them
+    includeRaw: true,
+    lineMode: params.line_mode,
+    loadWhoami: () => fetchWhoami(token),
+    ...hooks,
+  };
+  const payload = params.sync
+    ? await syncEntityRecords({ ...request, full: params.full_sync })
+    : await fetchEntityRecords(request);
+
+  persistExtraction(params, payload, { snapshot });
+  if (!params.include_raw) delete payload.raw;
+  return payload;
+}
+
+async function logExtractEvent({ token, manualName, params, payload }) {
+  try {
+    const profile = await getUserSummary(token);
+    const name = sanitizeUserName(manualName);
+    const user = name ? { ...profile, name } : profile;
+    const { type, start_date, end_date, account_id, business_id, business_uuid } = params;
+
+    upsertSessionHistory(user, (session) => {
+      const actions = Array.isArray(session.actions) ? [...session.actions] : [];
+      actions.unshift({
+        id: `action_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+        kind: "extract",
+        type,
+        start_date,
+        end_date,
+        account_id,
+        business_id,
+        business_uuid,
+        total: payload?.total ?? (Array.isArray(payload?.data) ? payload.data.length : null),
+        line_mode: params.line_mode,
+        max_pages: params.max_pages ?? null,
+        file_name: params.file_name || null,
+        snapshot_id: payload?.snapshot_id || null,
+        at: new Date().toISOString(),
+      });
+
+      return {
+        ...session,
+        timestamp: new Date().toISOString(),
+        actions,
+        meta: {
+          ...session.meta,
+          last_type: type,
+          last_total: payload?.total ?? null,
+          last_range: { start_date, end_date },
+          last_file: params.file_name || session.meta?.last_file || null,
+        },
+      };
+    });
+  } catch (err) {
+    console.warn("[History] Failed to log extraction:", err.message);
+  }
+}
+
+// Normalize an extraction failure into { status, error, url } (+ scope hint)
+function describeExtractError(error) {
+  const status = error.response?.status || error.status || 500;
+  const payload = error.response?.data || error.message || error;
+  const url = error.config?.url || "";
+
+  // Hint when scope missing (e.g., time_entries)
+  if (status === 403 && typeof payload === "object") {
+    const msg = payload?.error?.message || payload?.message || "";
+    if (typeof msg === "string" && msg.toLowerCase().includes("insufficient_scope")) {
+      payload.hint =
+        "Token is missing required scope. Re-authorize with user:time_entries:read (and user:journal_entries:read for journals) in SCOPE.";
+    }
+  }
+
+  return { status, error: payload, url, retries: error.retries ?? 0 };
+}
+
 // ---------------------------
 // Generic extraction endpoint (WITH LINE ITEM SUPPORT)
+// - holds the request open until every page is fetched; use /api/jobs for big books
 // ---------------------------
 app.get("/api/extract", async (req, res) => {
   try {
@@ -538,1129 +815,498 @@ app.get("/api/extract", async (req, res) => {
     req.setTimeout(0);
     res.setTimeout?.(0);
 
-    let { start_date, end_date, type, account_id, business_id, business_uuid } = req.query;
-    const lineMode =
-      String(req.query.line_mode || "")
-        .toLowerCase()
-        .trim() === "true" || req.query.line_mode === "1";
-    const maxPagesParam = Number(req.query.max_pages);
-    const MAX_PAGE_OVERRIDE = Number.isFinite(maxPagesParam) && maxPagesParam > 0 ? maxPagesParam : null;
-    const INCLUDE_RAW =
-      String(req.query.include_raw || "")
-        .toLowerCase()
-        .trim() === "true" || req.query.include_raw === "1";
+    if (!req.query.type) return res.status(400).json({ error: "Missing 'type' parameter" });
 
-    if (!type) return res.status(400).json({ error: "Missing 'type' parameter" });
+    const validToken = await getFreshTokenSafely(req.session);
+    const params = await resolveExtractParams(req.query, validToken, req.session);
 
-    start_date = normalizeDateParam(start_date);
-    end_date = normalizeDateParam(end_date);
+    console.log(
+      `Dates applied -> start: ${params.start_date || "(none)"} | end: ${params.end_date || "(none)"}`
+    );
 
-    console.log(`Dates applied -> start: ${start_date || "(none)"} | end: ${end_date || "(none)"}`);
+    const invalid = validateExtractParams(params);
+    if (invalid) return res.status(400).json({ error: invalid });
 
-    const validToken = await getFreshTokenSafely();
+    const payload = await runExtraction(params, validToken, {}, { snapshot: true });
 
-    account_id = account_id || process.env.ACCOUNT_ID;
-    business_id = business_id || process.env.BUSINESS_ID;
-    business_uuid = business_uuid || process.env.BUSINESS_UUID;
+    await logExtractEvent({
+      token: validToken,
+      manualName: req.headers["x-user-name"] || req.query.user_name,
+      params,
+      payload,
+    });
+    res.json(payload);
+  } catch (error) {
+    const { status, error: payload, url } = describeExtractError(error);
 
-    if (!business_uuid && (account_id || business_id)) {
-      try {
-        business_uuid = await resolveBusinessUuid({ token: validToken, account_id, business_id });
-      } catch {
-        // ignore resolve error, will be validated below
-      }
-    }
+    console.log(`❓ UNHANDLED EXTRACT ERROR [${status}] ${url}`);
+    console.log(pretty(payload));
 
-    let cachedHistoryUser = null;
-    const getHistoryUser = async () => {
-      if (cachedHistoryUser) return cachedHistoryUser;
-      const manualName = sanitizeUserName(
-        req.headers["x-user-name"] || req.query.user_name
-      );
-      const profile = await getUserSummary(validToken);
-      cachedHistoryUser = manualName ? { ...profile, name: manualName } : profile;
-      return cachedHistoryUser;
-    };
-    const logExtractEvent = async (payload) => {
-      try {
-        const user = await getHistoryUser();
-        upsertSessionHistory(user, (session) => {
-          const actions = Array.isArray(session.actions) ? [...session.actions] : [];
-          actions.unshift({
-            kind: "extract",
-            type,
-            start_date,
-            end_date,
-            account_id,
-            business_id,
-            business_uuid,
-            total: payload?.total ?? (Array.isArray(payload?.data) ? payload.data.length : null),
-            line_mode: lineMode,
-            file_name: req.query.file_name || null,
-            at: new Date().toISOString(),
-          });
-          return {
-            ...session,
-            timestamp: new Date().toISOString(),
-            actions,
-            meta: {
-              ...session.meta,
-              last_type: type,
-              last_total: payload?.total ?? null,
-              last_range: { start_date, end_date },
-              last_file: req.query.file_name || session.meta?.last_file || null,
-            },
-          };
-        });
-      } catch (err) {
-        console.warn("[History] Failed to log extraction:", err.message);
-      }
-    };
-    const respond = async (payload) => {
-      await logExtractEvent(payload);
-      return res.json(payload);
-    };
+    res.status(status).json({ error: payload, status, url });
+  }
+});
 
-    const makeAccountUrl = (s) => `/accounting/account/${account_id}${s}`;
-    const makeBizUuidUrl = (s) => `/accounting/businesses/${business_uuid}${s}`;
-    const makeProjectUrl = () => `/projects/business/${business_id}/projects?per_page=100`;
-    const makeTimeUrl = (s) => `/comments/business/${business_id}${s}`;
-    const applyDateParams = (urlObj) => {
-      if (!endpoint.allowDates) return;
-      if (start_date) {
-        urlObj.searchParams.set("start_date", start_date);
-        urlObj.searchParams.set("search[start_date]", start_date);
-      }
-      if (end_date) {
-        urlObj.searchParams.set("end_date", end_date);
-        urlObj.searchParams.set("search[end_date]", end_date);
-      }
-    };
+// ---------------------------
+// Background extraction jobs
+// - POST /api/jobs starts (or resumes) an extraction and returns immediately
+// - GET /api/jobs/:id reports state + page / records so far
+// - GET /api/jobs/:id/result returns the /api/extract payload once done
+// - POST /api/jobs/:id/resume continues a failed / interrupted job from its checkpoint
+// - GET /api/jobs/:id/events streams progress as Server-Sent Events
+// ---------------------------
+async function runExtractJob(job) {
+  const resume = loadJobCheckpoint(job);
+  updateJob(job, {
+    state: "running",
+    error: null,
+    finished_at: null,
+    resumed_from_page: resume ? resume.page : null,
+  });
+  emitJobEvent(job, "started", { entity: job.params.type, resume_page: resume?.page ?? null });
 
-    // ---------------------------
-    // Line Item Extractor
-    // ---------------------------
-    function extractLineItems(type, record) {
-      if (!record) return [];
+  try {
+    const session = getSession(job.session_id);
+    if (!session) throw signInRequired("Session expired — sign in again to run this job.");
+    const token = await getFreshTokenSafely(session);
+    const payload = await runExtraction(
+      job.params,
+      token,
+      {
+        resume,
+        onPage: (checkpoint) => recordJobPage(job, checkpoint),
+        onEvent: (event) => emitJobEvent(job, event.type, event),
+      },
+      { snapshot: true }
+    );
+    finishJob(job, payload);
+    console.log(`[Jobs] ${job.id} done → ${payload.total} record(s)`);
+    emitJobEvent(job, "done", { job: publicJob(job) });
+    await logExtractEvent({ token, manualName: job.user_name, params: job.params, payload });
+  } catch (err) {
+    const failure = describeExtractError(err);
+    console.log(`[Jobs] ${job.id} failed [${failure.status}] ${failure.url}`);
+    failJob(job, failure);
+    emitJobEvent(job, "failed", { job: publicJob(job) });
+  }
+}
 
-      const pickLinesArray = (candidate, depth = 0) => {
-        if (!candidate || depth > 3) return [];
+// Validates the params and starts the job (throws { status: 400 } on bad params)
+// - onValidated(params) runs once the params are known good, before the job starts
+async function startExtractJob(req, body, { onValidated } = {}) {
+  const validToken = await getFreshTokenSafely(req.session);
+  const params = await resolveExtractParams(body, validToken, req.session);
+  const invalid = validateExtractParams(params);
+  if (invalid) throw Object.assign(new Error(invalid), { status: 400 });
+  onValidated?.(params);
+
+  // Same extraction failed or was cut off earlier → continue it instead of page 1
+  const existing = body.fresh ? null : findResumableJob(params, req.session.id);
+  const job =
+    existing ||
+    createJob(params, {
+      user_name: sanitizeUserName(req.headers["x-user-name"] || body.user_name),
+      session_id: req.session.id,
+    });
 
-        if (Array.isArray(candidate)) return candidate;
+  runExtractJob(job);
+  return { job, resumed: Boolean(existing) };
+}
 
-        if (typeof candidate === "object") {
-          const knownKeys = ["invoice_lines", "estimate_lines", "bill_lines", "lines", "line_items"];
-          for (const key of knownKeys) {
-            const val = candidate[key];
-            if (Array.isArray(val)) return val;
-          }
+app.post("/api/jobs", async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!body.type) return res.status(400).json({ error: "Missing 'type' parameter" });
 
-          for (const val of Object.values(candidate)) {
-            const found = pickLinesArray(val, depth + 1);
-            if (found.length) return found;
-          }
-        }
+    const { job, resumed } = await startExtractJob(req, body);
+    res.status(202).json({ success: true, resumed, job: publicJob(job) });
+  } catch (error) {
+    console.error("❌ /api/jobs failed:", pretty(error.response?.data || error.message));
+    res.status(error.status || 500).json({ error: error.response?.data || error.message });
+  }
+});
 
-        return [];
-      };
+// Jobs are only visible to the session that started them
+const getOwnJob = (req) => {
+  const job = getJob(req.params.id);
+  return job && job.session_id === req.session.id ? job : null;
+};
 
-      switch (type) {
-        case "invoices":
-          return pickLinesArray(record.line_items || record.lines || record);
-
-        case "estimates":
-          return pickLinesArray(record.line_items || record.lines || record);
-
-        case "bills":
-          return pickLinesArray(record.line_items || record.lines || record);
-
-        case "credit_notes":
-          return pickLinesArray(record.line_items || record.lines || record);
-
-        case "expenses":
-          return [
-            {
-              name: record.notes || record.category_name,
-              qty: 1,
-              unit_cost: record.amount?.amount || 0,
-              total: record.amount?.amount || 0,
-            },
-          ];
-
-        case "payments":
-          return [
-            {
-              name: "Payment",
-              qty: 1,
-              unit_cost: record.amount?.amount || 0,
-              total: record.amount?.amount || 0,
-            },
-          ];
-
-        default:
-          return [];
-      }
-    }
+app.get("/api/jobs", (req, res) => {
+  const limit = Number(req.query?.limit);
+  const list = listJobs(Number.isFinite(limit) && limit > 0 ? limit : 50, {
+    sessionId: req.session.id,
+  });
+  res.json({ success: true, jobs: list.map(publicJob) });
+});
 
-    // ---------------------------
-    // Endpoint config
-    // ---------------------------
-    const cfgMap = {
-      profile: { url: `/auth/api/v1/users/me`, key: null, idType: "none", direct: true },
-
-      business: {
-        url: `/auth/api/v1/businesses/${business_id}`,
-        key: null,
-        idType: "business_id",
-        direct: true,
-      },
+app.get("/api/jobs/:id", (req, res) => {
+  const job = getOwnJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json({ success: true, job: publicJob(job) });
+});
 
-      invoices: {
-        url: makeAccountUrl("/invoices/invoices"),
-        key: "invoices",
-        idType: "account",
-        allowDates: true,
-        include: ["lines", "taxes", "client"],
-      },
+app.get("/api/jobs/:id/result", (req, res) => {
+  const job = getOwnJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (job.state !== "done")
+    return res.status(409).json({ error: `Job is ${job.state}`, job: publicJob(job) });
 
-      credit_notes: {
-        url: makeAccountUrl("/credit_notes/credit_notes"),
-        key: "credit_notes",
-        idType: "account",
-        allowDates: true,
-        include: ["lines", "client"],
-      },
+  const payload = readJobResult(job);
+  if (!payload) return res.status(410).json({ error: "Job result is no longer available" });
+  res.json(payload);
+});
 
-      bill_payments: {
-        url: makeAccountUrl("/bill_payments/bill_payments"),
-        key: "bill_payments",
-        idType: "account",
-        allowDates: true,
-        perPage: 15, // observed max per page
-        include: ["bill"], // include bill to expose bill_number
-      },
+const SSE_KEEPALIVE_MS = 15000;
+const FINAL_JOB_EVENTS = ["done", "failed"];
 
-      billable_items: {
-        url: makeAccountUrl("/billable_items/billable_items"),
-        key: "billable_items",
-        idType: "account",
-        allowDates: false,
-      },
+app.get("/api/jobs/:id/events", (req, res) => {
+  const job = getOwnJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
 
-      bill_vendors: {
-        url: makeAccountUrl("/bill_vendors/bill_vendors"),
-        key: "bill_vendors",
-        idType: "account",
-        allowDates: false,
-        perPage: 15,
-      },
+  req.setTimeout(0);
+  res.setTimeout?.(0);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
 
-      
-      // ✅ FINAL FIX: correct Other Income path
-      other_income: {
-        // Official path: /other_incomes/other_incomes
-        url: makeAccountUrl("/other_incomes/other_incomes"),
-        key: "other_income",
-        idType: "account",
-        allowDates: true,
-      },
+  const send = (event) =>
+    res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
 
-      payments: {
-        url: makeAccountUrl("/payments/payments"),
-        key: "payments",
-        idType: "account",
-        allowDates: true,
-        include: ["invoice", "client"],
-      },
+  // Current state first, then anything buffered after the client's last seen event
+  res.write(`event: snapshot\ndata: ${JSON.stringify({ job: publicJob(job) })}\n\n`);
+  const lastSeen = Number(req.headers["last-event-id"] || req.query.last_event_id) || 0;
+  const replay = jobEventsSince(job.id, lastSeen);
+  replay.forEach(send);
 
-      expenses: {
-        url: makeAccountUrl("/expenses/expenses"),
-        key: "expenses",
-        idType: "account",
-        allowDates: true,
-        include: ["category"],
-      },
+  // Finished before the client connected (or between reconnects)
+  if (FINAL_JOB_EVENTS.includes(job.state)) {
+    if (!replay.some((event) => FINAL_JOB_EVENTS.includes(event.type))) {
+      res.write(`event: ${job.state}\ndata: ${JSON.stringify({ job: publicJob(job) })}\n\n`);
+    }
+    return res.end();
+  }
 
-      bills: {
-        url: makeAccountUrl("/bills/bills"),
-        key: "bills",
-        idType: "account",
-        allowDates: true,
-        perPage: 100, // API cap
-        include: ["lines", "bill_lines", "vendor"],
-      },
+  const keepAlive = setInterval(() => res.write(": ping\n\n"), SSE_KEEPALIVE_MS);
+  const unsubscribe = subscribeJobEvents(job.id, (event) => {
+    send(event);
+    if (FINAL_JOB_EVENTS.includes(event.type)) cleanup(true);
+  });
+  function cleanup(end = false) {
+    clearInterval(keepAlive);
+    unsubscribe();
+    if (end) res.end();
+  }
+  req.on("close", () => cleanup());
+});
 
-      estimates: {
-        url: makeAccountUrl("/estimates/estimates"),
-        key: "estimates",
-        idType: "account",
-        allowDates: true,
-        include: ["lines"],
-      },
+app.post("/api/jobs/:id/resume", (req, res) => {
+  const job = getOwnJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (!isResumable(job))
+    return res.status(409).json({ error: `Job is ${job.state}`, job: publicJob(job) });
 
-      clients: {
-        url: makeAccountUrl("/users/clients"),
-        key: "clients",
-        idType: "account",
-        allowDates: false,
-      },
+  runExtractJob(job);
+  res.status(202).json({ success: true, resumed: true, job: publicJob(job) });
+});
 
-      taxes: {
-        url: makeAccountUrl("/taxes/taxes"),
-        key: "taxes",
-        idType: "account",
-        allowDates: false,
-      },
+// ---------------------------
+// Incremental sync (local copy per business + entity, see sync.js)
+// - extracts opt in with sync=true (full_sync=true rebuilds the copy)
+// - state / reset only ever touch the caller's selected business
+// ---------------------------
+app.get("/api/sync/state", (req, res) => {
+  if (!publicSession(req.session).signed_in) return res.status(401).json({ error: "Not signed in" });
+  res.json({ success: true, sync: listSyncStates(savedIds(req.session)) });
+});
 
-      projects: {
-        url: makeProjectUrl(),
-        key: "projects",
-        idType: "business_id",
-        allowDates: false,
-      },
+app.post("/api/sync/reset", (req, res) => {
+  if (!publicSession(req.session).signed_in) return res.status(401).json({ error: "Not signed in" });
+  const { type } = req.body || {};
+  if (!type || !isSyncable(type)) return res.status(400).json({ error: "Invalid type" });
 
-      time_entries: {
-        url: makeTimeUrl("/time_entries"),
-        key: "time_entries",
-        idType: "business_id",
-        allowDates: false,
-      },
+  resetLocalCopy(type, savedIds(req.session));
+  console.log(`🧹 Local copy of ${type} dropped; next sync is a full fetch.`);
+  res.json({ success: true, sync: listSyncStates(savedIds(req.session)) });
+});
 
-      journal_entries: {
-        // Adjustment journal entries (business-level)
-        url: makeBizUuidUrl("/journal_entries"),
-        key: "manualJournalEntries", // per API docs
-        idType: "business_uuid",
-        allowDates: true, // we still accept dates; FB may ignore for adjustment list
-        forcePagination: true,
-        perPage: 15, // API caps at 15 for adjustment journals
-        altUrls: [
-          // Fallback: account-scoped "journal entries by account"
-          () => makeAccountUrl("/journal_entries/journal_entries"),
-        ],
-      },
+// ---------------------------
+// Record store (SQLite, see store.js) — re-export / compare / report without FreshBooks
+// - GET /api/store lists stored entities for the selected business
+// - GET /api/store/:type returns stored rows (start_date, end_date, limit, offset, include_raw)
+// ---------------------------
+app.get("/api/store", (req, res) => {
+  if (!publicSession(req.session).signed_in) return res.status(401).json({ error: "Not signed in" });
+  try {
+    res.json({ success: true, entities: describeStore(savedIds(req.session)) });
+  } catch (err) {
+    console.error("❌ /api/store failed:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      ledger_accounts: {
-        url: makeBizUuidUrl("/ledger_accounts/accounts"),
-        key: "accounts",
-        idType: "business_uuid",
-        allowDates: false,
-        singleCall: true,
-      },
+app.get("/api/store/:type", (req, res) => {
+  if (!publicSession(req.session).signed_in) return res.status(401).json({ error: "Not signed in" });
+  const { type } = req.params;
+  if (!isStorable(type)) return res.status(400).json({ error: "Invalid type" });
 
-      chart_of_accounts: {
-        url: makeBizUuidUrl(
-          "/reports/chart_of_accounts?use_ledger_entries=true&state=active&sort=account_number_asc"
-        ),
-        key: "accounts",
-        idType: "business_uuid",
-        allowDates: true,
-        singleCall: true,
-      },
-    };
+  try {
+    const result = queryRecords(type, savedIds(req.session), {
+      start_date: normalizeDateParam(req.query.start_date),
+      end_date: normalizeDateParam(req.query.end_date),
+      limit: req.query.limit,
+      offset: req.query.offset,
+      includeRaw: isTruthyFlag(req.query.include_raw),
+    });
+    res.json({ success: true, type, ...result });
+  } catch (err) {
+    console.error("❌ /api/store query failed:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const endpoint = cfgMap[type];
-    if (!endpoint) return res.status(400).json({ error: "Invalid type" });
+// ---------------------------
+// Extraction comparison (snapshots in store.js, diff in compare.js)
+// - GET /api/snapshots?type= lists the kept extractions of one entity for the selected business
+// - GET /api/compare?from=<snapshot_id>&to=<snapshot_id> → added / removed / modified records,
+//   one row per changed field (amounts, dates, status, line items); format=xlsx for a workbook
+// - history extract actions carry their snapshot_id
+// ---------------------------
+app.get("/api/snapshots", (req, res) => {
+  if (!publicSession(req.session).signed_in) return res.status(401).json({ error: "Not signed in" });
+  const type = String(req.query.type || "");
+  if (!isStorable(type)) return res.status(400).json({ error: "Invalid type" });
 
-    const altUrls = Array.isArray(endpoint.altUrls) ? [...endpoint.altUrls] : [];
+  try {
+    res.json({ success: true, type, snapshots: listSnapshots(type, savedIds(req.session)) });
+  } catch (err) {
+    console.error("❌ /api/snapshots failed:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    if (endpoint.idType === "account" && !account_id)
-      return res.status(400).json({ error: "Missing account_id" });
+app.get("/api/compare", async (req, res) => {
+  if (!publicSession(req.session).signed_in) return res.status(401).json({ error: "Not signed in" });
+  if (!req.query.from || !req.query.to) return res.status(400).json({ error: "Missing 'from' or 'to' snapshot" });
 
-    if (endpoint.idType === "business_id" && !business_id)
-      return res.status(400).json({ error: "Missing business_id" });
+  try {
+    const ids = savedIds(req.session);
+    const from = loadSnapshot(req.query.from, ids);
+    const to = loadSnapshot(req.query.to, ids);
+    if (!from || !to)
+      return res.status(404).json({ error: "Snapshot not found for the selected business (or no longer kept)" });
+    const type = from.meta.type;
+    if (type !== to.meta.type) return res.status(400).json({ error: `Cannot compare ${type} with ${to.meta.type}` });
+
+    const { summary, rows } = compareSnapshots(type, from, to);
+    console.log(`🔀 Compare ${type} ${from.meta.id} → ${to.meta.id}: +${summary.added} −${summary.removed} ~${summary.modified}`);
+
+    if (req.query.format === "xlsx")
+      return sendWorkbook(
+        res,
+        buildReportWorkbook([
+          { title: "Changes", rows },
+          { title: "Snapshots", rows: [{ side: "from", ...from.meta }, { side: "to", ...to.meta }] },
+        ]),
+        `compare_${type}_${from.meta.created_at.slice(0, 10)}_${to.meta.created_at.slice(0, 10)}`
+      );
 
-    if (endpoint.idType === "business_uuid" && !business_uuid)
-      return res.status(400).json({ error: "Missing business_uuid" });
+    res.json({
+      success: true,
+      report: "comparison",
+      type,
+      from: from.meta,
+      to: to.meta,
+      summary,
+      total: rows.length,
+      data: rows,
+    });
+  } catch (err) {
+    console.error("❌ /api/compare failed:", err.message);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    console.log(`📡 Fetching → ${type.toUpperCase()}`);
+// ---------------------------
+// XLSX export (see workbook.js)
+// - types=invoices,bills,... → one sheet per entity (+ Invoice Lines / Bill Lines ...)
+// - source=freshbooks (default) extracts each entity now; source=store reads the record store
+// - start_date / end_date / ids as for /api/extract
+// ---------------------------
+const EXPORT_SOURCES = ["freshbooks", "store"];
+
+// { type, data, raw } for one entity, in the shape buildWorkbook takes
+async function collectExtraction(type, source, query, token, session) {
+  if (source === "store") {
+    const ids = savedIds(session);
+    const range = {
+      start_date: normalizeDateParam(query.start_date),
+      end_date: normalizeDateParam(query.end_date),
+    };
+    const data = [];
+    const raw = [];
+    while (true) {
+      const page = queryRecords(type, ids, { ...range, offset: data.length, includeRaw: true });
+      data.push(...page.data);
+      raw.push(...page.raw);
+      if (page.data.length === 0 || data.length >= page.total) break;
+    }
+    return { type, data, raw };
+  }
 
-    // ---------------------------
-    // Record formatter (trim noisy payloads)
-    // ---------------------------
-    function formatRecord(recordType, item) {
-      const toAmount = (val) => {
-        if (val && typeof val === "object") return Number(val.amount ?? val.total ?? val.value ?? 0);
-        return Number(val ?? 0);
-      };
+  const params = await resolveExtractParams({ ...query, type, include_raw: true }, token, session);
+  const invalid = validateExtractParams(params);
+  if (invalid) throw Object.assign(new Error(invalid), { status: 400 });
+  const payload = await runExtraction(params, token);
+  return { type, data: payload.data, raw: payload.raw };
+}
 
-      if (recordType === "bill_payments") {
-        return {
-          amount: item.amount?.amount ?? item.amount ?? null,
-          billid: item.billid ?? item.bill_id ?? item.bill?.id ?? null,
-          payment_id: item.id ?? null,
-          paid_date: item.paid_date ?? item.date ?? null,
-          payment_type: item.payment_type ?? item.payment_type_name ?? item.payment_method ?? null,
-          bill_number: item.bill?.bill_number ?? item.bill_number ?? item.billid ?? null,
-        };
-      }
+// Streams an exceljs workbook as an attachment
+async function sendWorkbook(res, workbook, name) {
+  const fileName = String(name).replace(/[^\w.-]+/g, "_");
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${fileName.endsWith(".xlsx") ? fileName : `${fileName}.xlsx`}"`
+  );
+  await workbook.xlsx.write(res);
+  res.end();
+}
 
-      if (recordType === "payments") {
-        const lines = extractLineItems(recordType, item) || [];
-        const clientObj = item.client || item.invoice?.client || {};
-        const clientName =
-          clientObj.organization ||
-          (clientObj.fname && clientObj.lname && `${clientObj.fname} ${clientObj.lname}`.trim()) ||
-          clientObj.fname ||
-          clientObj.lname ||
-          clientObj.name ||
-          item.client_name ||
-          null;
-        return {
-          amount: toAmount(item.amount),
-          clientid: item.clientid ?? item.client_id ?? null,
-          client_name: clientName,
-          creditid: item.creditid ?? null,
-          date: item.date ?? null,
-          invoice_number: item.invoice?.invoice_number ?? item.invoice_number ?? null,
-        };
-      }
+app.get("/api/export/xlsx", async (req, res) => {
+  const types = String(req.query.types || req.query.type || "")
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+  const source = String(req.query.source || "freshbooks");
+  if (types.length === 0) return res.status(400).json({ error: "Missing 'types' parameter" });
+  // Accounting reports are not stored, so they can only be exported straight from FreshBooks
+  const invalidType = types.find((t) => !isStorable(t) && !(ENTITIES[t]?.report && source === "freshbooks"));
+  if (invalidType) return res.status(400).json({ error: `Invalid type: ${invalidType}` });
+  if (!EXPORT_SOURCES.includes(source)) return res.status(400).json({ error: "Invalid source" });
+
+  req.setTimeout(0);
+  res.setTimeout?.(0);
 
-      if (recordType === "credit_notes") {
-        const linesRaw =
-          item.lines ||
-          item.line_items ||
-          (Array.isArray(item.items) ? item.items : []) ||
-          [];
-        const line_items = linesRaw
-          .map((ln) => ({
-            description: ln.description || ln.name || null,
-            name: ln.name || null,
-            qty: ln.qty ?? ln.quantity ?? ln.qty_delta ?? 1,
-            taskno: ln.taskno ?? ln.task_no ?? null,
-            taxAmount1: ln.taxAmount1 ?? ln.tax_amount1 ?? ln.tax1_amount ?? null,
-            taxAmount2: ln.taxAmount2 ?? ln.tax_amount2 ?? ln.tax2_amount ?? null,
-            taxName1: ln.taxName1 ?? ln.tax_name1 ?? null,
-            taxName2: ln.taxName2 ?? ln.tax_name2 ?? null,
-            unit_cost: toAmount(ln.unit_cost ?? ln.unitcost ?? ln.unit_cost_amount),
-            amount: toAmount(ln.amount),
-          }))
-          .filter((l) => {
-            const meaningful =
-              (l.description && l.description.trim()) ||
-              (l.name && l.name.trim()) ||
-              (Number(l.amount) || Number(l.unit_cost));
-            return meaningful;
-          });
-        const firstLine = line_items[0] || {};
-
-        const amt = toAmount(item.amount);
-        const currency = item.currency_code || item.amount?.code || null;
-        const clientObj = item.client || item.clientinfo || item.client_info || {};
-        const clientName =
-          clientObj.organization ||
-          (clientObj.fname && clientObj.lname && `${clientObj.fname} ${clientObj.lname}`.trim()) ||
-          clientObj.fname ||
-          clientObj.lname ||
-          clientObj.name ||
-          item.client_name ||
-          null;
-
-        const result = {
-          accounting_systemid: item.accounting_systemid ?? null,
-          amount: amt,
-          city: item.city ?? null,
-          clientid: item.clientid ?? item.client_id ?? null,
-          code: item.code ?? currency ?? null,
-          country: item.country ?? null,
-          create_date: item.create_date ?? item.created_at ?? null,
-          credit_number: item.credit_number ?? item.number ?? null,
-          credit_type: item.credit_type ?? item.type ?? null,
-          creditid: item.creditid ?? item.credit_id ?? item.id ?? null,
-          currency_code: currency,
-          current_organization: item.current_organization ?? item.organization ?? null,
-          client_name: clientName,
-          description: item.description ?? null,
-          display_status: item.display_status ?? item.status ?? null,
-          dispute_status: item.dispute_status ?? null,
-          ext_archive: item.ext_archive ?? null,
-          fname: item.fname ?? item.first_name ?? null,
-          id: item.id ?? item.creditid ?? null,
-          language: item.language ?? null,
-          last_order_status: item.last_order_status ?? null,
-          lines: Array.isArray(line_items) ? line_items.length : 0,
-          lname: item.lname ?? item.last_name ?? null,
-          notes: item.notes ?? item.note ?? null,
-          organization: item.organization ?? item.current_organization ?? null,
-          paid: toAmount(item.paid),
-          payment_status: item.payment_status ?? null,
-          payment_type: item.payment_type ?? null,
-          province: item.province ?? null,
-          sentid: item.sentid ?? null,
-          status: item.status ?? item.display_status ?? null,
-          street: item.street ?? null,
-          street2: item.street2 ?? null,
-          template: item.template ?? null,
-          terms: item.terms ?? null,
-          vat_name: item.vat_name ?? null,
-          vat_number: item.vat_number ?? null,
-          vis_state: item.vis_state ?? null,
-          // Primary line fields flattened for CSV
-          line_items: firstLine.description || firstLine.name || null,
-          qty: firstLine.qty ?? null,
-          unit: firstLine.unit_cost ?? null,
-          amt: firstLine.amount ?? null,
-          tax1: firstLine.taxAmount1 ?? null,
-          tax2: firstLine.taxAmount2 ?? null,
-        };
+  try {
+    const token = await getFreshTokenSafely(req.session);
+    const extractions = [];
+    for (const type of types) {
+      console.log(`📗 XLSX export ← ${type} (${source})`);
+      extractions.push(await collectExtraction(type, source, req.query, token, req.session));
+    }
 
-        // Keep full lines only when explicitly asked (line_mode=true)
-        if (lineMode) {
-          result.line_items_array = line_items;
-          result.line_items_count = line_items.length || 0;
-        }
+    await sendWorkbook(res, buildWorkbook(extractions), req.query.file_name || `freshbooks_${types.join("_")}`);
+  } catch (error) {
+    const { status, error: payload, url } = describeExtractError(error);
+    console.log(`❌ XLSX export failed [${status}] ${url}`);
+    if (res.headersSent) return res.end();
+    res.status(status).json({ error: payload, status, url });
+  }
+});
 
-        return result;
-      }
+// CSV exports: delimiter=; (or "tab") for European Excel, bom=true for a UTF-8 BOM
+const csvOptions = (query) => ({
+  delimiter: query.delimiter === "tab" ? "\t" : query.delimiter === ";" ? ";" : ",",
+  bom: isTruthyFlag(query.bom),
+});
 
-      if (recordType === "other_income") {
-        const lines = extractLineItems(recordType, item) || [];
-        const firstLine = lines[0] || {};
-        return {
-          amount: toAmount(item.amount),
-          currency_code: item.amount?.code ?? item.currency_code ?? null,
-          category: item.category ?? item.type ?? item.income_type ?? null,
-          created_at: item.created_at ?? item.updated ?? item.date ?? null,
-          date: item.date ?? item.created_at ?? null,
-          description: item.description ?? item.notes ?? firstLine.description ?? firstLine.name ?? null,
-          reference: item.reference ?? item.bank_transaction_id ?? item.bank_entry_id ?? null,
-          source: item.source ?? item.bank_account_name ?? item.bank_account ?? null,
-          status: item.status ?? item.state ?? null,
-          transaction_number:
-            item.transaction_number ?? item.accounting_systemid ?? item.accounting_system_id ?? null,
-          line_items: lines.length,
-          line_items_raw: lines,
-          line_description: firstLine.description ?? firstLine.name ?? "",
-          line_qty: firstLine.qty ?? firstLine.quantity ?? 1,
-          line_unit_cost: toAmount(firstLine.unit_cost),
-          line_total: toAmount(firstLine.total ?? firstLine.amount),
-        };
-      }
+// ---------------------------
+// "Export everything" ZIP (see bundle.js)
+// - every registry entity (or types=a,b,...) for the selected business + date range
+// - <type>.csv + <type>.json per entity and manifest.json; failed / skipped entities
+//   are listed there and the bundle carries on
+// ---------------------------
+app.get("/api/export/bundle", async (req, res) => {
+  const types = req.query.types
+    ? String(req.query.types)
+        .split(",")
+        .map((t) => t.trim())
+        .filter(Boolean)
+    : Object.keys(ENTITIES);
+  const invalidType = types.find((t) => !ENTITIES[t]);
+  if (invalidType) return res.status(400).json({ error: `Invalid type: ${invalidType}` });
+
+  req.setTimeout(0);
+  res.setTimeout?.(0);
+
+  let base;
+  try {
+    const token = await getFreshTokenSafely(req.session);
+    base = await resolveExtractParams({ ...req.query, type: types[0] }, token, req.session);
+  } catch (error) {
+    const { status, error: payload } = describeExtractError(error);
+    return res.status(status).json({ error: payload, status });
+  }
 
-      if (recordType === "bills") {
-        const lines = extractLineItems(recordType, item) || [];
-        const firstLine = lines[0] || {};
-
-        const toDate = (val, withTime = false) => {
-          if (!val) return null;
-          const d = new Date(val);
-          if (Number.isNaN(d.getTime())) return null;
-          const datePart = `${d.getMonth() + 1}/${d.getDate()}/${d.getFullYear()}`;
-          if (!withTime) return datePart;
-          const hh = String(d.getHours()).padStart(2, "0");
-          const mm = String(d.getMinutes()).padStart(2, "0");
-          return `${datePart} ${hh}:${mm}`;
-        };
+  const range = [base.start_date, base.end_date].filter(Boolean).join("_to_");
+  const fileName = `freshbooks_${base.account_id || base.business_id || "export"}${range ? `_${range}` : ""}.zip`;
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName.replace(/[^\w.-]+/g, "_")}"`);
+  console.log(`📦 Export bundle → ${types.length} entit${types.length === 1 ? "y" : "ies"}`);
 
-        return {
-          amount: toAmount(item.amount),
-          bill_number: item.bill_number ?? null,
-          created_at: toDate(item.created_at || item.create_date, true),
-          currency_code: item.currency_code ?? null,
-          due_date: toDate(item.due_date),
-          due_offset_days: Number(item.due_offset_days ?? 0),
-          issue_date: toDate(item.issue_date),
-          outstanding: toAmount(item.outstanding),
-          overall_category:
-            item.overall_category ?? firstLine?.category?.category ?? firstLine?.category ?? null,
-          paid: toAmount(item.paid),
-          status: item.status ?? null,
-          tax_amount: toAmount(item.tax_amount),
-          total_amount: toAmount(item.total_amount),
-          line_items: lines.length,
-          parent_id: item.id ?? item.billid ?? item.bill_id ?? null,
-          line_description: firstLine.description || firstLine.name || "",
-          quantity: firstLine.quantity || firstLine.qty || 1,
-          category: firstLine.category?.category || firstLine.category || "",
-          tax_amount1: firstLine.tax_amount1 ?? "",
-          tax_amount2: firstLine.tax_amount2 ?? "",
-          tax_name1: firstLine.tax_name1 ?? "",
-          tax_name2: firstLine.tax_name2 ?? "",
-          tax_percent1: firstLine.tax_percent1 ?? "",
-          tax_percent2: firstLine.tax_percent2 ?? "",
-          line_total_amount: toAmount(firstLine.total_amount ?? firstLine.total),
-          unit_cost: toAmount(firstLine.unit_cost),
-          line_date: toDate(firstLine.date || item.issue_date),
-          description: item.description ?? item.notes ?? firstLine.description ?? firstLine.name ?? null,
-          vendor:
-            item.vendor?.vendor_name ??
-            item.vendor?.name ??
-            item.vendor?.display_name ??
-            item.vendor?.organization ??
-            item.vendor ??
-            item.vendorname ??
-            item.vendor_name ??
-            item.vendor_display_name ??
-            item.bill_vendor?.vendor_name ??
-            item.bill_vendor?.name ??
-            item.vendorid ??
-            item.vendor_id ??
-            null,
-          vendorid:
-            item.vendorid ??
-            item.vendor_id ??
-            item.vendor?.id ??
-            item.vendor?.vendorid ??
-            item.vendor?.vendor_id ??
-            item.vendor?.accountid ??
-            item.vendor?.account_id ??
-            item.vendor?.userid ??
-            item.vendor?.uuid ??
-            item.bill_vendor?.vendor_id ??
-            item.bill_vendor?.id ??
-            null,
-          // keep full lines for combined sheet + line extract
-          line_items_array: lines,
-        };
-      }
+  try {
+    const manifest = await streamBundle(res, {
+      types,
+      extract: async (type) => {
+        const params = { ...base, type, sync: false, include_raw: false };
+        const invalid = validateExtractParams(params);
+        if (invalid) throw Object.assign(new Error(invalid), { status: 400 });
+        // Re-read per entity: a long bundle can outlive the access token
+        const token = await getFreshTokenSafely(req.session);
+        return runExtraction(params, token);
+      },
+      describeError: describeExtractError,
+      csv: csvOptions(req.query),
+      meta: {
+        account_id: base.account_id,
+        business_id: base.business_id,
+        business_uuid: base.business_uuid,
+        start_date: base.start_date || null,
+        end_date: base.end_date || null,
+        types,
+      },
+    });
+    console.log(`📦 Export bundle done (complete: ${manifest.complete})`);
+  } catch (err) {
+    console.error("❌ Export bundle failed:", err.message);
+    res.destroy(err);
+  }
+});
 
-      if (recordType === "bill_vendors") {
-        return {
-          city: item.city ?? null,
-          country: item.country ?? null,
-          currency_code: item.currency_code ?? null,
-          phone: item.phone ?? item.phone_number ?? null,
-          postal_code: item.postal_code ?? item.zip_code ?? null,
-          primary_contact_email: item.primary_contact_email ?? item.email ?? null,
-          primary_contact_first_name: item.primary_contact_first_name ?? item.fname ?? null,
-          primary_contact_last_name: item.primary_contact_last_name ?? item.lname ?? null,
-          province: item.province ?? null,
-          street: item.street ?? null,
-          street2: item.street2 ?? null,
-          vendor_name: item.vendor_name ?? item.name ?? null,
-          website: item.website ?? null,
-        };
-      }
 
-      if (recordType === "journal_entries") {
-        // Adjustment journal entries (manualJournalEntries)
-        return {
-          name: item.name ?? null,
-          journalEntryNumber: item.journalEntryNumber ?? item.journal_entry_number ?? null,
-          description: item.description ?? null,
-          reverseDepth: item.reverseDepth ?? item.reverse_depth ?? null,
-          details: item.details ?? [],
-          line_items: item.line_items ?? [],
-        };
-      }
 
-      if (recordType === "clients") {
-        return {
-          currency_code: item.currency_code ?? null,
-          email: item.email ?? null,
-          fname: item.fname ?? item.first_name ?? null,
-          lname: item.lname ?? item.last_name ?? null,
-          mob_phone: item.mob_phone ?? item.mobile_phone ?? item.phone_mobile ?? null,
-          note: item.note ?? item.notes ?? null,
-          organization: item.organization ?? item.company ?? null,
-          p_city: item.p_city ?? item.primary_city ?? null,
-          p_code: item.p_code ?? item.primary_postal_code ?? null,
-          p_country: item.p_country ?? item.primary_country ?? null,
-          p_province: item.p_province ?? item.primary_province ?? null,
-          p_street: item.p_street ?? item.primary_street ?? null,
-          p_street2: item.p_street2 ?? item.primary_street2 ?? null,
-          s_city: item.s_city ?? item.secondary_city ?? null,
-          s_code: item.s_code ?? item.secondary_postal_code ?? null,
-          s_country: item.s_country ?? item.secondary_country ?? null,
-          s_province: item.s_province ?? item.secondary_province ?? null,
-          s_street: item.s_street ?? item.secondary_street ?? null,
-          s_street2: item.s_street2 ?? item.secondary_street2 ?? null,
-          username: item.username ?? null,
-        };
-      }
 
-      if (recordType === "chart_of_accounts") {
-        const subs =
-          (Array.isArray(item.sub_accounts) && item.sub_accounts) ||
-          (Array.isArray(item.subaccounts) && item.subaccounts) ||
-          [];
-
-        const currencyFromSubs = subs.find((s) => s.currency_code)?.currency_code || null;
-        const parentRow = {
-          account_name: item.account_name ?? item.name ?? null,
-          account_number: item.account_number ?? null,
-          account_type: item.account_type ?? item.type ?? null,
-          account_sub_type: item.account_sub_type ?? item.sub_type ?? item.subtype ?? null,
-          currency_code: item.currency_code ?? currencyFromSubs ?? null,
-          sub_accounts: subs
-            .map((s) => s.account_name || s.name || s.system_account_name)
-            .filter(Boolean)
-            .join(", ") || null,
-          is_sub_account: false,
-          parent_account_name: null,
-          parent_account_number: null,
-        };
+// ---------------------------
 
-        const subRows = subs.map((s) => ({
-          account_name: s.account_name || s.name || s.system_account_name || null,
-          account_number: s.account_number ?? s.number ?? s.accountnumber ?? null,
-          account_type: s.account_type ?? s.type ?? parentRow.account_type ?? null,
-          account_sub_type: s.account_sub_type ?? s.sub_type ?? s.subtype ?? parentRow.account_sub_type ?? null,
-          currency_code: s.currency_code ?? parentRow.currency_code ?? null,
-          sub_accounts: null,
-          is_sub_account: true,
-          parent_account_name: parentRow.account_name,
-          parent_account_number: parentRow.account_number,
-        }));
-
-        // Return parent + each sub-account as its own row for "line-wise" export
-        return [parentRow, ...subRows];
-      }
+// Test endpoints (diagnostic) — exercises many endpoints and returns simple statuses
 
-      if (recordType === "expenses") {
-  // 🔹 Category object se naam nikalna (Cost of Sales - Sub Contractor etc.)
-  const categoryObj = item.category || {};
-  const categoryName =
-    item.category_name ||               // agar kabhi direct aaye
-    categoryObj.category ||             // common FreshBooks field
-    categoryObj.name ||
-    categoryObj.fullname ||
-    null;
-
-  const lines = extractLineItems(recordType, item) || [];
-  const line_items = lines.map((line) => ({
-    line_date: item.date ?? line.date ?? null,
-    line_description:
-      line.name ??
-      line.description ??
-      item.notes ??
-      categoryName ??
-      null,
-    qty: line.qty ?? line.quantity ?? 1,
-    unit_cost: toAmount(line.unit_cost),
-    line_total: toAmount(line.total ?? line.total_amount ?? line.amount),
-    category: line.category ?? categoryName ?? null,
-  }));
+// ---------------------------
 
-  return {
-    account_name: item.account_name ?? null,
-    amount: item.amount?.amount ?? item.amount ?? null,
-    bank_name: item.bank_name ?? null,
-    taxAmount1: item.tax_amount1 ?? null,
-    taxAmount2: item.tax_amount2 ?? null,
-    taxName1: item.tax_name1 ?? null,
-    taxName2: item.tax_name2 ?? null,
-    taxPercent1: item.tax_percent1 ?? null,
-    taxPercent2: item.tax_percent2 ?? null,
-    vendor: item.vendor ?? null,
-    notes: item.notes ?? null,
-    line_items,
-    line_date: item.date ?? null,
-    qty: line_items[0]?.qty ?? 1,
-    unit_cost: line_items[0]?.unit_cost ?? null,
-    line_total:
-      line_items.reduce((sum, l) => sum + toAmount(l.line_total), 0) || null,
-    category: categoryName, // 👈 yahan final category aa jayegi
-    categoryid:
-      item.categoryid ??
-      item.category_id ??
-      categoryObj.categoryid ??
-      categoryObj.id ??
-      null,
-    vendorid:
-      item.vendorid ??
-      item.vendor_id ??
-      item.vendor?.id ??
-      item.vendor?.vendorid ??
-      item.vendor?.vendor_id ??
-      null,
-    date: item.date ?? null,
-  };
-}
+app.get("/api/test-endpoints", async (req, res) => {
 
-      return {
-        ...item,
-        line_items: extractLineItems(recordType, item),
-      };
-    }
+  try {
 
-    // ---------------------------
-    // DIRECT CALL
-    // ---------------------------
-    if (endpoint.direct) {
-      const url = `${FRESHBOOKS_BASE}${endpoint.url}`;
-
-      try {
-        const r = await axios.get(url, {
-          headers: { Authorization: `Bearer ${validToken}` },
-          timeout: 120000,
-        });
-
-        return respond({
-          success: true,
-          total: 1,
-          data: [
-            {
-              ...r.data,
-              line_items: extractLineItems(type, r.data),
-            },
-          ],
-        });
-      } catch (err) {
-        // Fallback for business details when scope / ID is off
-        if (type === "business") {
-          try {
-            const whoami = await fetchWhoami(validToken);
-            const memberships = whoami?.business_memberships || [];
-            const match =
-              memberships.find((m) => String(m.business?.id) === String(business_id)) ||
-              memberships[0];
-            if (match?.business) {
-              return respond({
-                success: true,
-                total: 1,
-                data: [match.business],
-                fallback: "whoami",
-              });
-            }
-          } catch {
-            // ignore, use original error
-          }
-        }
-        throw err;
-      }
-    }
-
-    // ---------------------------
-    // SINGLE CALL (no pagination)
-    // ---------------------------
-    if (endpoint.singleCall) {
-      while (true) {
-        const urlObj = new URL(`${FRESHBOOKS_BASE}${endpoint.url}`);
-
-        applyDateParams(urlObj);
-
-        if (endpoint.include?.length) {
-          const includes = Array.isArray(endpoint.include)
-            ? endpoint.include
-            : [endpoint.include];
-          includes.forEach((inc) => {
-            urlObj.searchParams.append("include", inc);
-            urlObj.searchParams.append("include[]", inc);
-          });
-        }
-
-        try {
-          const r = await axios.get(urlObj.toString(), {
-            headers: { Authorization: `Bearer ${validToken}` },
-            timeout: 120000,
-          });
-
-          const body = r.data?.response?.result || r.data?.response || r.data || {};
-          const arr =
-            body[endpoint.key] ||
-            body.result?.[endpoint.key] ||
-            Object.values(body.result || {}).find((v) => Array.isArray(v)) ||
-            Object.values(body).find((v) => Array.isArray(v)) ||
-            [];
-
-          const enriched = arr.flatMap((item) => {
-            const rec = formatRecord(type, item);
-            if (rec === null || rec === undefined) return [];
-            return Array.isArray(rec) ? rec : [rec];
-          });
-
-          return respond({
-            success: true,
-            total: enriched.length,
-            data: enriched,
-            raw: INCLUDE_RAW ? arr : undefined,
-          });
-        } catch (err) {
-          const status = err.response?.status;
-          if (status === 404 && altUrls.length) {
-            endpoint.url = altUrls.shift();
-            continue;
-          }
-          throw err;
-        }
-      }
-    }
-
-    // ---------------------------
-    // JOURNAL → FORCE PAGINATION (business + account fallback)
-    // ---------------------------
-    if (endpoint.forcePagination) {
-      const per_page = Math.min(Number(endpoint.perPage) || 150, 150);
-      const maxPages = MAX_PAGE_OVERRIDE ?? 500;
-      let page = 1;
-      const allData = [];
-      let lastFirstId = null;
-      const rawCollector = INCLUDE_RAW ? [] : null;
-
-      while (page <= maxPages) {
-        const rawBase =
-          typeof endpoint.url === "function" ? endpoint.url() : `${endpoint.url}`;
-        const baseUrl = rawBase.startsWith("http")
-          ? rawBase
-          : `${FRESHBOOKS_BASE}${rawBase}`;
-
-        const urlObj = new URL(baseUrl);
-
-        const isAdjJournal =
-          baseUrl.includes("/businesses/") &&
-          baseUrl.includes("/journal_entries") &&
-          !baseUrl.includes("/reports/");
-        const isAccountJournal =
-          baseUrl.includes("/account/") &&
-          baseUrl.includes("/journal_entries/journal_entries");
-
-        if (isAdjJournal) {
-          // Adjustment journals ? page_number / page_size
-          urlObj.searchParams.set("page_number", String(page));
-          urlObj.searchParams.set("page_size", String(per_page));
-        } else {
-          // Normal account-scoped journal entries by account ? page / per_page
-          urlObj.searchParams.set("page", String(page));
-          urlObj.searchParams.set("per_page", String(per_page));
-
-          if (isAccountJournal) {
-            // Required for ledger-style journal entries
-            urlObj.searchParams.set("use_ledger_entries", "true");
-            urlObj.searchParams.set("include_children", "true");
-          }
-        }
-
-        applyDateParams(urlObj);
-const url = urlObj.toString();
-        console.log(`[Pagination] ${type} page=${page} url=${url}`);
-
-        try {
-          const r = await axios.get(url, {
-            headers: {
-              Authorization: `Bearer ${validToken}`,
-              "x-api-version": "2023-09-25",
-            },
-            timeout: 120000,
-          });
-
-          const body = r.data?.response?.result || r.data?.response || r.data || {};
-          const arr =
-            body[endpoint.key] ||
-            body.result?.[endpoint.key] ||
-            Object.values(body.result || {}).find((v) => Array.isArray(v)) ||
-            Object.values(body).find((v) => Array.isArray(v)) ||
-            [];
-
-          if (!Array.isArray(arr) || arr.length === 0) break;
-
-          // Stop if server ignores page and repeats first row
-          const firstId = arr[0]?.id || arr[0]?.uuid || null;
-          if (page > 1 && firstId && firstId === lastFirstId) break;
-          lastFirstId = firstId;
-
-          allData.push(...arr);
-          if (rawCollector) rawCollector.push(arr);
-
-          const metaCandidate = body?.meta || body?.pagination || body;
-          const totalPages = Number(
-            metaCandidate?.pages ?? metaCandidate?.total_pages
-          );
-
-          // For account-based journal entries, docs say pages is accurate.
-          if (
-            type !== "journal_entries" &&
-            Number.isFinite(totalPages) &&
-            totalPages > 0 &&
-            page >= totalPages
-          )
-            break;
-
-          page++;
-        } catch (err) {
-          const status = err.response?.status;
-          if ((status === 404 || status === 400) && altUrls.length) {
-            endpoint.url = altUrls.shift();
-            lastFirstId = null;
-            console.log(
-              `[Pagination] switching to alt URL due to status ${status}`
-            );
-            continue;
-          }
-          throw err;
-        }
-      }
-
-      const truncated = page > maxPages;
-      if (truncated) {
-        console.warn(
-          `Pagination stopped at ${maxPages} pages for ${type}; endpoint may be ignoring page params.`
-        );
-      }
-
-      const enriched = allData.flatMap((item) => {
-        const rec = formatRecord(type, item);
-        if (rec === null || rec === undefined) return [];
-        return Array.isArray(rec) ? rec : [rec];
-      });
-
-      return respond({
-        success: true,
-        total: enriched.length,
-        data: enriched,
-        truncated,
-        raw: rawCollector ? rawCollector.flat() : undefined,
-      });
-    }
-
-    // ---------------------------
-    // MULTI-PAGE FETCH (generic)
-    // ---------------------------
-    const endpointPerPage = Number(endpoint.perPage);
-    const per_page = Number.isFinite(endpointPerPage) ? endpointPerPage : 150;
-    const maxPages = MAX_PAGE_OVERRIDE ?? 500;
-    let page = 1;
-    const allData = [];
-    let lastFirstId = null;
-    const rawCollector = INCLUDE_RAW ? [] : null;
-
-    while (page <= maxPages) {
-      const baseUrl =
-        typeof endpoint.url === "function"
-          ? endpoint.url()
-          : `${FRESHBOOKS_BASE}${endpoint.url}`;
-      const urlObj = new URL(baseUrl);
-
-      urlObj.searchParams.set("page", String(page));
-      urlObj.searchParams.set("per_page", String(per_page));
-
-      applyDateParams(urlObj);
-
-      if (endpoint.include?.length) {
-        const includes = Array.isArray(endpoint.include)
-          ? endpoint.include
-          : [endpoint.include];
-        includes.forEach((inc) => {
-          urlObj.searchParams.append("include", inc);
-          urlObj.searchParams.append("include[]", inc);
-        });
-      }
-
-    try {
-      const r = await axios.get(urlObj.toString(), {
-        headers: { Authorization: `Bearer ${validToken}` },
-        timeout: 120000,
-      });
-
-        const body = r.data?.response?.result || r.data?.response || r.data || {};
-      const arr =
-        body[endpoint.key] ||
-        body.result?.[endpoint.key] ||
-        Object.values(body.result || {}).find((v) => Array.isArray(v)) ||
-        Object.values(body).find((v) => Array.isArray(v)) ||
-        [];
-
-      if (arr.length === 0) break;
-
-        const firstId = arr[0]?.id || arr[0]?.uuid || null;
-        if (page > 1 && firstId && firstId === lastFirstId) break;
-        lastFirstId = firstId;
-
-      allData.push(...arr);
-      if (rawCollector) rawCollector.push(arr);
-
-        const metaCandidate = body?.meta || body?.pagination || body;
-        const totalPages = Number(
-          metaCandidate?.pages ?? metaCandidate?.total_pages
-        );
-
-        if (
-          Number.isFinite(totalPages) &&
-          totalPages > 0 &&
-          page >= totalPages
-        )
-          break;
-
-        page++;
-      } catch (err) {
-        const status = err.response?.status;
-        if (status === 404 && altUrls.length) {
-          endpoint.url = altUrls.shift();
-          continue;
-        }
-        throw err;
-      }
-    }
-
-    const hitPageLimit = page > maxPages;
-    if (hitPageLimit) {
-      console.warn(
-        `Pagination stopped at ${maxPages} pages for ${type}; FreshBooks may be ignoring page/per_page params.`
-      );
-    }
-
-    const enriched = allData.flatMap((item) => {
-      const rec = formatRecord(type, item);
-      if (rec === null || rec === undefined) return [];
-      return Array.isArray(rec) ? rec : [rec];
-    });
-
-    let headers = null;
-    if (type === "payments") {
-      headers = ["amount", "clientid", "creditid", "date", "invoice_number"];
-    }
-
-    return respond({
-      success: true,
-      total: enriched.length,
-      data: enriched,
-      headers,
-      truncated: hitPageLimit,
-      raw: rawCollector ? rawCollector.flat() : undefined,
-    });
-  } catch (error) {
-    const status = error.response?.status || 500;
-    const payload = error.response?.data || error.message || error;
-    const url = error.config?.url || "";
-
-    // Hint when scope missing (e.g., time_entries)
-    if (status === 403 && typeof payload === "object") {
-      const msg = payload?.error?.message || payload?.message || "";
-      if (typeof msg === "string" && msg.toLowerCase().includes("insufficient_scope")) {
-        payload.hint =
-          "Token is missing required scope. Re-authorize with user:time_entries:read (and user:journal_entries:read for journals) in SCOPE.";
-      }
-    }
-
-    console.log(`❓ UNHANDLED EXTRACT ERROR [${status}] ${url}`);
-    console.log(pretty(payload));
-
-    res.status(status).json({ error: payload, status, url });
-  }
-});
-
-
-
-
-// ---------------------------
-
-// Test endpoints (diagnostic) — exercises many endpoints and returns simple statuses
-
-// ---------------------------
-
-app.get("/api/test-endpoints", async (req, res) => {
-
-  try {
-
-    req.setTimeout(0);
+    req.setTimeout(0);
 
 
 
     let { business_id, account_id, business_uuid } = req.query;
 
-    const envAccount = (process.env.ACCOUNT_ID || "").toString();
-
-    const envBusinessId = (process.env.BUSINESS_ID || "").toString();
+    const saved = savedIds(req.session);
 
-    const envBusinessUuid = (process.env.BUSINESS_UUID || "").toString();
+    account_id = account_id || saved.account_id;
 
+    business_id = business_id || saved.business_id;
 
-
-    account_id = account_id || envAccount;
-
-    business_id = business_id || envBusinessId;
-
-    business_uuid = business_uuid || envBusinessUuid;
+    business_uuid = business_uuid || saved.business_uuid;
 
 
 
@@ -1670,91 +1316,15 @@ app.get("/api/test-endpoints", async (req, res) => {
 
 
 
-    const validToken = accessToken || (await getFreshTokenSafely());
-
-
+    const validToken = await getFreshTokenSafely(req.session);
 
-    const makeAccountUrl = (pathSuffix) => `${FRESHBOOKS_BASE}/accounting/account/${account_id}${pathSuffix}`;
-
-    const makeBusinessUuidUrl = (pathSuffix) => `${FRESHBOOKS_BASE}/accounting/businesses/${business_uuid}${pathSuffix}`;
-
-    const makeProjectsUrl = (pathSuffix) => `${FRESHBOOKS_BASE}/projects/business/${business_id}${pathSuffix}`;
-
-    const makeTimeCommentsUrl = (pathSuffix) => `${FRESHBOOKS_BASE}/comments/business/${business_id}${pathSuffix}`;
-
-
-
-    const cfgMap = {
-
-      profile: { url: `${FRESHBOOKS_BASE}/auth/api/v1/users/me`, key: null, idType: "none" },
-
-      business: { url: `${FRESHBOOKS_BASE}/auth/api/v1/users/me`, key: null, idType: "none" },
-
-
-
-      invoices: { url: `${makeAccountUrl("/invoices/invoices")}`, key: "invoices", idType: "account" },
-
-      payments: { url: `${makeAccountUrl("/payments/payments")}`, key: "payments", idType: "account" },
-
-      expenses: { url: `${makeAccountUrl("/expenses/expenses")}`, key: "expenses", idType: "account" },
-
-      bills: { url: `${makeAccountUrl("/bills/bills")}`, key: "bills", idType: "account" },
-
-      bill_payments: { url: `${makeAccountUrl("/bill_payments/bill_payments")}`, key: "bill_payments", idType: "account" },
-
-      billable_items: { url: `${makeAccountUrl("/billable_items/billable_items")}`, key: "billable_items", idType: "account" },
-
-      credit_notes: { url: `${makeAccountUrl("/credit_notes/credit_notes")}`, key: "credit_notes", idType: "account" },
-
-      taxes: { url: `${makeAccountUrl("/taxes/taxes")}`, key: "taxes", idType: "account" },
-
-      estimates: { url: `${makeAccountUrl("/estimates/estimates")}`, key: "estimates", idType: "account" },
-
-      projects: { url: `${makeProjectsUrl("/projects")}`, key: "projects", idType: "business_id" },
-
-      clients: { url: `${makeAccountUrl("/users/clients")}`, key: "clients", idType: "account" },
-
-      bill_vendors: {
-        url: `${makeAccountUrl("/bill_vendors/bill_vendors")}`,
-        key: "bill_vendors",
-        idType: "account",
-        perPage: 15,
-      },
-
-            other_income: {
-        // ✅ same correct path as extract
-        url: `${makeAccountUrl("/other_incomes/other_incomes")}`,
-        key: "other_income",
-        idType: "account",
-      },
-
-
-      journal_entries: {
-        url: `${makeBusinessUuidUrl("/journal_entries")}`,
-        key: "journal_entries",
-        idType: "business_uuid",
-        allowDates: true,
-      },
-
-      accounts: { url: `${makeAccountUrl("/accounts/accounts")}`, key: "accounts", idType: "account" },
-
-      retainers: { url: `${makeAccountUrl("/retainers/retainers")}`, key: "retainers", idType: "account" },
-
-      time_entries: { url: `${makeTimeCommentsUrl("/time_entries")}`, key: "time_entries", idType: "business_id" },
-
-      teams: { url: `${makeAccountUrl("/teams/teams")}`, key: "teams", idType: "account" },
-
-      chart_of_accounts: { url: `${makeBusinessUuidUrl("/reports/chart_of_accounts")}`, key: "accounts", idType: "business_uuid" },
-
-      ledger_accounts: { url: `${makeBusinessUuidUrl("/ledger_accounts/accounts")}`, key: "accounts", idType: "business_uuid" },
-
-    };
 
 
+    const ids = { account_id, business_id, business_uuid };
 
     const results = {};
 
-    const entries = Object.entries(cfgMap);
+    const entries = Object.entries(ENTITIES);
 
     let done = 0;
 
@@ -1764,19 +1334,11 @@ app.get("/api/test-endpoints", async (req, res) => {
 
       try {
 
-        if (ep.idType === "account" && !account_id) {
-
-          results[name] = "❌ Missing account_id";
-
-          done++;
-
-          continue;
-
-        }
+        const missingId = missingIdFor(ep, ids);
 
-        if (ep.idType === "business_id" && !business_id) {
+        if (missingId) {
 
-          results[name] = "❌ Missing business_id";
+          results[name] = `❌ Missing ${missingId}`;
 
           done++;
 
@@ -1784,76 +1346,73 @@ app.get("/api/test-endpoints", async (req, res) => {
 
         }
 
-        if (ep.idType === "business_uuid" && !business_uuid) {
 
-          results[name] = "❌ Missing business_uuid";
 
-          done++;
+        // Same url chain as /api/extract: primary first, fallbacks on 404/400
 
-          continue;
+        const urlChain = entityUrlChain(ep);
 
-        }
+        let response = null;
 
+        while (!response) {
 
+          const urlObj = buildEntityUrl(FRESHBOOKS_BASE, ep, urlChain.shift(), ids);
 
-        const url = `${ep.url}?page=1&per_page=1`;
+          if (!ep.direct && !ep.report) applyPageParams(urlObj, 1, 1);
 
+          try {
 
+            response = await freshbooksGet(urlObj.toString(), {
 
-        const headers = {
+              headers: entityHeaders(ep, validToken),
 
-          Authorization: `Bearer ${validToken}`
+              timeout: 120000,
 
-        };
+            });
 
+          } catch (err) {
 
+            const status = err.response?.status;
 
-        // 🟢 Only journal_entries need API version
+            if ((status === 404 || status === 400) && urlChain.length) continue;
 
-        if (name === "journal_entries") {
+            if (ep.fallback !== "whoami") throw err;
 
-          headers["x-api-version"] = "2023-09-25";
+            await fetchWhoami(validToken);
 
-        }
+            response = { data: null, fallback: "whoami" };
 
+          }
 
+        }
 
-        const response = await axios.get(url, {
-
-          headers,
-
-          timeout: 120000,
 
-        });
 
+        if (response.fallback) {
 
+          results[name] = `✅ OK (${response.fallback} fallback)`;
 
-        if (!ep.key) {
+        } else if (!ep.key) {
 
           results[name] = "✅ OK (Profile endpoint)";
 
-        } else {
-
-          const body = response.data || {};
-
-          const result = body?.response?.result || body?.response || body;
-
-          let records = [];
+        } else if (ep.report) {
 
-          if (result && Array.isArray(result[ep.key])) records = result[ep.key];
+          const report = pickReport(response.data, ep.key);
 
-          else {
+          results[name] = Object.keys(report).length ? "✅ OK (Report)" : "⚠️ No data (empty report)";
 
-            const first = Object.values(result)[0];
-
-            if (Array.isArray(first)) records = first;
+        } else {
 
-          }
+          const { records } = pickRecords(response.data, ep.key);
 
           results[name] = records.length ? `✅ ${records.length} record(s)` : "⚠️ No data (0 records)";
 
         }
 
+        if (response.retries) results[name] += ` (retried ${response.retries}×)`;
+
+
       } catch (err) {
 
         const status = err.response?.status;
@@ -1916,225 +1475,463 @@ app.get("/api/test-endpoints", async (req, res) => {
 
 
 // ---------------------------
-
-// Custom journal generator (keeps your logic; robust parsing)
-
+// Account mapping profile for the selected business (see mappings.js)
+// - GET returns the profile (null when none is saved)
+// - PUT replaces it (validated; 400 on a malformed profile)
+// - DELETE removes it; the journal then uses the built-in account names
 // ---------------------------
+app.get("/api/mappings", (req, res) => {
+  if (!publicSession(req.session).signed_in) return res.status(401).json({ error: "Not signed in" });
+  const { account_id } = savedIds(req.session);
+  if (!account_id) return res.status(400).json({ error: "No business selected" });
+  res.json({ success: true, account_id, profile: getMappingProfile(account_id) });
+});
 
-app.get("/api/generate-journal", async (req, res) => {
+app.put("/api/mappings", (req, res) => {
+  if (!publicSession(req.session).signed_in) return res.status(401).json({ error: "Not signed in" });
+  const { account_id } = savedIds(req.session);
+  if (!account_id) return res.status(400).json({ error: "No business selected" });
 
+  const { profile, error } = normalizeProfile(req.body?.profile ?? req.body);
+  if (error) return res.status(400).json({ error });
   try {
+    const saved = saveMappingProfile(account_id, profile);
+    console.log(`🗺️ Mapping profile "${saved.name}" saved for account ${account_id}`);
+    res.json({ success: true, account_id, profile: saved });
+  } catch (err) {
+    console.error("❌ Saving mapping profile failed:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    let { start_date, end_date, account_id, business_id } = req.query;
-
-    if (!business_id || !account_id)
-
-      return res.status(400).json({ error: "Missing business_id or account_id" });
-
-
-
-    const validToken = await getFreshTokenSafely();
-
-    const baseURL = process.env.FRESHBOOKS_API || "https://api.freshbooks.com";
-
-
-
-    start_date = normalizeDateParam(start_date);
-
-    end_date = normalizeDateParam(end_date);
-
-
+app.delete("/api/mappings", (req, res) => {
+  if (!publicSession(req.session).signed_in) return res.status(401).json({ error: "Not signed in" });
+  const { account_id } = savedIds(req.session);
+  if (!account_id) return res.status(400).json({ error: "No business selected" });
+  try {
+    const removed = deleteMappingProfile(account_id);
+    res.json({ success: true, account_id, removed });
+  } catch (err) {
+    console.error("❌ Deleting mapping profile failed:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const fetchData = async (type) => {
 
-      try {
 
-        const url = `${baseURL}/accounting/account/${account_id}/${type}/${type}?search[start_date]=${start_date}&search[end_date]=${end_date}&per_page=100`;
+// ---------------------------
 
-        const resp = await axios.get(url, {
+// Double-entry journal generator (see journal.js)
+// - invoices, credit notes, payments, bills, bill payments, expenses → balanced entries
+// - data = one row per posting; unbalanced lists documents whose debits ≠ credits
+// - sources are fetched like /api/extract (all pages, retries); sources reports
+//   count / truncated / error per type and complete is false when any fell short
+// - accounts come from the business's mapping profile when one is saved; source values
+//   the profile does not cover are listed in unmapped (per section, with posting counts)
 
-          headers: { Authorization: `Bearer ${validToken}` },
+// ---------------------------
 
-          timeout: 25000,
+// Per-source counts / truncation / error for the journal response
+const summarizeJournalSources = (fetched) =>
+  Object.fromEntries(
+    fetched.map((f) => [f.type, { count: f.records.length, truncated: f.truncated, error: f.error }])
+  );
 
-        });
+app.get("/api/generate-journal", async (req, res) => {
 
+  try {
 
+    const validToken = await getFreshTokenSafely(req.session);
 
-        const result = resp.data?.response?.result || {};
+    const base = await resolveExtractParams(
 
-        const arr = result[type] ?? Object.values(result)[0] ?? [];
+      { ...req.query, type: JOURNAL_SOURCES[0] },
 
-        const records = Array.isArray(arr) ? arr : [];
+      validToken,
 
-        console.log(`✅ ${type}: ${records.length} record(s)`);
+      req.session
 
-        return records;
+    );
 
-      } catch (err) {
+    // Query ids, else the session's business; the mapping profile is keyed on this same
+    // resolved account id (as /api/mappings does), never on a raw query value
+    const { account_id, business_id } = base;
 
-        console.log(`⚠️ ${type} fetch failed: ${err.response?.status || err.message}`);
+    if (!business_id || !account_id)
 
-        return [];
+      return res.status(400).json({ error: "Missing business_id or account_id" });
 
-      }
 
-    };
 
+    // Same paginated + retrying path as /api/extract; a failing source is reported, not hidden
 
+    const fetched = await Promise.all(
 
-    const [invoices = [], expenses = [], payments = [], bills = []] = await Promise.all([
+      JOURNAL_SOURCES.map(async (type) => {
 
-      fetchData("invoices"),
+        const params = { ...base, type, include_raw: true, sync: false, line_mode: false };
 
-      fetchData("expenses"),
+        try {
 
-      fetchData("payments"),
+          const payload = await runExtraction(params, validToken);
 
-      fetchData("bills"),
+          console.log(`✅ ${type}: ${payload.raw?.length ?? 0} record(s)${payload.truncated ? " (truncated)" : ""}`);
 
-    ]);
+          return { type, records: payload.raw || [], truncated: Boolean(payload.truncated), error: null };
 
+        } catch (err) {
 
+          const failure = describeExtractError(err);
 
-    const journal = [];
+          console.log(`⚠️ ${type} fetch failed: ${failure.status}`);
 
+          return { type, records: [], truncated: false, error: failure };
 
+        }
 
-    // INVOICES → SALES ENTRIES
+      })
 
-    if (Array.isArray(invoices)) {
+    );
 
-      for (const inv of invoices) {
 
-        journal.push({
 
-          date: inv.create_date || inv.updated || inv.date || "",
+    if (fetched.every((f) => f.error)) {
 
-          description: `Invoice #${inv.invoice_number || inv.invoiceid || "N/A"}`,
+      const { status, error, url } = fetched[0].error;
 
-          debit_account: "Accounts Receivable",
+      return res.status(status).json({ error, status, url, sources: summarizeJournalSources(fetched) });
 
-          credit_account: "Sales Income",
+    }
 
-          amount: Number(inv.amount?.amount ?? inv.amount ?? 0),
 
-        });
 
-      }
+    const sources = Object.fromEntries(fetched.map((f) => [f.type, f.records]));
 
-    }
+    const profile = getMappingProfile(account_id);
 
+    const resolver = createAccountResolver(profile);
 
+    const journal = buildJournal(sources, { accounts: resolver.accounts });
 
-    // EXPENSES → EXPENSE ENTRIES
+    const unmapped = resolver.unmapped();
 
-    if (Array.isArray(expenses)) {
+    const unmappedCount = Object.values(unmapped).reduce((sum, list) => sum + list.length, 0);
 
-      for (const exp of expenses) {
 
-        journal.push({
 
-          date: exp.date || "",
+    console.log(
 
-          description: exp.notes || `Expense: ${exp.category_name || "General"}`,
+      `📊 Journal Summary → ${JOURNAL_SOURCES.map((t) => `${t}:${sources[t].length}`).join(", ")}`
 
-          debit_account: exp.category_name || "Expense",
+    );
 
-          credit_account: "Cash/Bank",
+    if (journal.unbalanced.length)
 
-          amount: Number(exp.amount?.amount ?? exp.amount ?? 0),
+      console.log(`⚠️ ${journal.unbalanced.length} unbalanced journal entr${journal.unbalanced.length === 1 ? "y" : "ies"}`);
 
-        });
+    if (profile && unmappedCount)
 
-      }
+      console.log(`⚠️ ${unmappedCount} source value(s) not covered by mapping profile "${profile.name}"`);
 
-    }
 
 
+    res.json({
 
-    // PAYMENTS → CASH INFLOW ENTRIES
+      success: true,
 
-    if (Array.isArray(payments)) {
+      total_entries: journal.entries.length,
 
-      for (const pay of payments) {
+      total_lines: journal.lines.length,
 
-        journal.push({
+      business_id,
 
-          date: pay.date || "",
+      account_id,
 
-          description: `Payment from ${pay.client?.organization || "Customer"}`,
+      start_date: base.start_date || null,
 
-          debit_account: "Cash/Bank",
+      end_date: base.end_date || null,
 
-          credit_account: "Accounts Receivable",
+      complete: fetched.every((f) => !f.error && !f.truncated),
 
-          amount: Number(pay.amount?.amount ?? pay.amount ?? 0),
+      sources: summarizeJournalSources(fetched),
 
-        });
+      totals: journal.totals,
 
-      }
+      balanced: journal.unbalanced.length === 0,
 
-    }
+      unbalanced: journal.unbalanced,
 
+      mapping_profile: profile ? { name: profile.name, updated_at: profile.updated_at || null } : null,
 
+      unmapped,
 
-    // BILLS → LIABILITY ENTRIES
+      data: journal.lines,
 
-    if (Array.isArray(bills)) {
+    });
 
-      for (const b of bills) {
+  } catch (error) {
 
-        journal.push({
+    console.error("❌ /api/generate-journal failed:", pretty(error.response?.data || error.message));
 
-          date: b.create_date || "",
+    res.status(500).json({ error: error.response?.data || error.message });
 
-          description: `Bill #${b.bill_number || b.id || "N/A"}`,
+  }
 
-          debit_account: b.expense_category || "Purchase Expense",
+});
 
-          credit_account: "Accounts Payable",
 
-          amount: Number(b.amount?.amount ?? b.amount ?? 0),
 
-        });
+// ---------------------------
+// Reports (ledger.js, aging.js, reconcile.js)
+// - GET /api/reports/trial-balance?as_of=YYYY-MM-DD
+// - GET /api/reports/general-ledger?start_date&end_date&account=<number|id|name>
+// - GET /api/reports/ar-aging?as_of=YYYY-MM-DD&view=summary|detail
+// - GET /api/reports/ap-aging?as_of=YYYY-MM-DD&view=summary|detail
+// - GET /api/reports/reconciliation?start_date&end_date&view=discrepancies|invoices
+// - source=freshbooks (default) | store; format=xlsx returns a workbook instead of JSON
+// - inputs are read with no start date (opening balances / open invoices need
+//   everything before the range); `sources` reports count + error per input, and an
+//   optional input that fails (labels, credit notes, vendors) does not fail the report
+// ---------------------------
+async function collectReportSources(req, specs) {
+  const source = String(req.query.source || "freshbooks");
+  if (!EXPORT_SOURCES.includes(source)) throw Object.assign(new Error("Invalid source"), { status: 400 });
+  const token = await getFreshTokenSafely(req.session);
 
+  const results = await Promise.all(
+    specs.map(async ({ type, end_date = "", optional = false }) => {
+      try {
+        const query = { ...req.query, start_date: "", end_date };
+        const { raw } = await collectExtraction(type, source, query, token, req.session);
+        return { type, raw: raw || [], error: null };
+      } catch (err) {
+        if (!optional) throw err;
+        const failure = describeExtractError(err);
+        console.log(`⚠️ ${type} unavailable for report: ${failure.status}`);
+        return { type, raw: [], error: failure };
       }
+    })
+  );
+  return {
+    source,
+    raw: Object.fromEntries(results.map((r) => [r.type, r.raw])),
+    sources: Object.fromEntries(results.map((r) => [r.type, { count: r.raw.length, error: r.error }])),
+  };
+}
 
-    }
-
-
-
-    console.log(
+// Journal entries up to endDate, labelled with the chart of accounts + ledger accounts
+async function collectLedgerPostings(req, endDate) {
+  console.log(`📒 Ledger report ← journal_entries (to ${endDate || "today"})`);
+  const { source, raw, sources } = await collectReportSources(req, [
+    { type: "journal_entries", end_date: endDate },
+    { type: "chart_of_accounts", optional: true },
+    { type: "ledger_accounts", optional: true },
+  ]);
+  const index = buildAccountIndex(raw.chart_of_accounts, raw.ledger_accounts);
+  return { source, sources, entries: raw.journal_entries.length, postings: journalPostings(raw.journal_entries, index) };
+}
 
-      `📊 Journal Summary → invoices:${invoices.length}, expenses:${expenses.length}, payments:${payments.length}, bills:${bills.length}`
+function sendReportError(res, route, error) {
+  const { status, error: payload, url } = describeExtractError(error);
+  console.log(`❌ ${route} failed [${status}] ${url || ""}`);
+  if (res.headersSent) return res.end();
+  res.status(status).json({ error: payload, status, url });
+}
 
-    );
+app.get("/api/reports/trial-balance", async (req, res) => {
+  const as_of = normalizeDateParam(req.query.as_of || req.query.end_date);
+  try {
+    const { source, postings, entries, sources } = await collectLedgerPostings(req, as_of);
+    const report = buildTrialBalance(postings, { as_of });
+    if (!report.totals.balanced) console.log(`⚠️ Trial balance as of ${as_of || "today"} does not balance`);
+
+    if (req.query.format === "xlsx")
+      return sendWorkbook(
+        res,
+        buildReportWorkbook([{ title: "Trial Balance", rows: report.rows }]),
+        `trial_balance_${as_of || "latest"}`
+      );
 
+    res.json({
+      success: true,
+      report: "trial_balance",
+      as_of: report.as_of,
+      source,
+      journal_entries: entries,
+      total: report.rows.length,
+      totals: report.totals,
+      unlabelled: report.unlabelled,
+      sources,
+      data: report.rows,
+    });
+  } catch (error) {
+    sendReportError(res, "Trial balance", error);
+  }
+});
 
+app.get("/api/reports/general-ledger", async (req, res) => {
+  const start_date = normalizeDateParam(req.query.start_date);
+  const end_date = normalizeDateParam(req.query.end_date);
+  if (start_date && end_date && start_date > end_date)
+    return res.status(400).json({ error: "start_date is after end_date" });
+  try {
+    const { source, postings, entries, sources } = await collectLedgerPostings(req, end_date);
+    const report = buildGeneralLedger(postings, { start_date, end_date, account: req.query.account });
+
+    if (req.query.format === "xlsx")
+      return sendWorkbook(
+        res,
+        buildReportWorkbook([
+          { title: "General Ledger", rows: report.rows },
+          { title: "GL Accounts", rows: report.accounts },
+        ]),
+        `general_ledger_${start_date || "start"}_${end_date || "latest"}`
+      );
 
     res.json({
-
       success: true,
+      report: "general_ledger",
+      start_date: report.start_date,
+      end_date: report.end_date,
+      source,
+      journal_entries: entries,
+      total: report.rows.length,
+      accounts: report.accounts,
+      unlabelled: report.unlabelled,
+      sources,
+      data: report.rows,
+    });
+  } catch (error) {
+    sendReportError(res, "General ledger", error);
+  }
+});
 
-      total_entries: journal.length,
-
-      business_id,
+app.get("/api/reports/ar-aging", async (req, res) => {
+  const as_of = normalizeDateParam(req.query.as_of || req.query.end_date);
+  const view = req.query.view === "detail" ? "detail" : "summary";
+  try {
+    console.log(`⏳ AR aging as of ${as_of || "today"}`);
+    const { source, raw, sources } = await collectReportSources(req, [
+      // Not limited to as_of: payments on later invoices must still find their invoice
+      { type: "invoices" },
+      { type: "payments" },
+      { type: "credit_notes", end_date: as_of, optional: true },
+    ]);
+    const report = buildReceivablesAging(raw, { as_of });
+
+    if (req.query.format === "xlsx")
+      return sendWorkbook(
+        res,
+        buildReportWorkbook([
+          { title: "AR Aging Summary", rows: report.summary },
+          { title: "AR Aging Detail", rows: report.detail },
+          { title: "Unmatched Payments", rows: report.unmatched_payments },
+        ]),
+        `ar_aging_${report.as_of}`
+      );
 
-      account_id,
+    res.json({
+      success: true,
+      report: "ar_aging",
+      view,
+      as_of: report.as_of,
+      source,
+      total: report[view].length,
+      totals: report.totals,
+      unmatched_payments: report.unmatched_payments,
+      sources,
+      data: report[view],
+    });
+  } catch (error) {
+    sendReportError(res, "AR aging", error);
+  }
+});
 
-      data: journal,
+app.get("/api/reports/ap-aging", async (req, res) => {
+  const as_of = normalizeDateParam(req.query.as_of || req.query.end_date);
+  const view = req.query.view === "detail" ? "detail" : "summary";
+  try {
+    console.log(`⏳ AP aging as of ${as_of || "today"}`);
+    const { source, raw, sources } = await collectReportSources(req, [
+      { type: "bills" },
+      { type: "bill_payments" },
+      { type: "bill_vendors", optional: true },
+    ]);
+    const report = buildPayablesAging(raw, { as_of });
+    if (report.unmatched_payments.length)
+      console.log(`⚠️ ${report.unmatched_payments.length} bill payment(s) match no extracted bill`);
+
+    if (req.query.format === "xlsx")
+      return sendWorkbook(
+        res,
+        buildReportWorkbook([
+          { title: "AP Aging Summary", rows: report.summary },
+          { title: "AP Aging Detail", rows: report.detail },
+          { title: "Unmatched Bill Payments", rows: report.unmatched_payments },
+        ]),
+        `ap_aging_${report.as_of}`
+      );
 
+    res.json({
+      success: true,
+      report: "ap_aging",
+      view,
+      as_of: report.as_of,
+      source,
+      total: report[view].length,
+      totals: report.totals,
+      unmatched_payments: report.unmatched_payments,
+      sources,
+      data: report[view],
     });
-
   } catch (error) {
+    sendReportError(res, "AP aging", error);
+  }
+});
 
-    console.error("❌ /api/generate-journal failed:", pretty(error.response?.data || error.message));
-
-    res.status(500).json({ error: error.response?.data || error.message });
+app.get("/api/reports/reconciliation", async (req, res) => {
+  const start_date = normalizeDateParam(req.query.start_date);
+  const end_date = normalizeDateParam(req.query.end_date);
+  if (start_date && end_date && start_date > end_date)
+    return res.status(400).json({ error: "start_date is after end_date" });
+  const view = req.query.view === "invoices" ? "invoices" : "discrepancies";
+  try {
+    console.log(`⏳ Reconciling invoices ↔ payments (${start_date || "start"} → ${end_date || "latest"})`);
+    // Both read in full: the range only limits which invoices are reported
+    const { source, raw, sources } = await collectReportSources(req, [{ type: "invoices" }, { type: "payments" }]);
+    const report = reconcileInvoicePayments(raw, { start_date, end_date });
+    if (report.discrepancies.length)
+      console.log(`⚠️ ${report.discrepancies.length} reconciliation discrepancies`);
+
+    if (req.query.format === "xlsx")
+      return sendWorkbook(
+        res,
+        buildReportWorkbook([
+          { title: "Discrepancies", rows: report.discrepancies },
+          { title: "Invoices", rows: report.invoices },
+        ]),
+        `reconciliation_${start_date || "start"}_${end_date || "latest"}`
+      );
 
+    res.json({
+      success: true,
+      report: "reconciliation",
+      view,
+      start_date: start_date || null,
+      end_date: end_date || null,
+      source,
+      total: report[view].length,
+      invoices: report.invoices.length,
+      reconciled: report.reconciled,
+      counts: report.counts,
+      reason_codes: REASON_CODES,
+      limitations: LIMITATIONS,
+      sources,
+      data: report[view],
+    });
+  } catch (error) {
+    sendReportError(res, "Reconciliation", error);
   }
-
 });
 
 
@@ -2145,6 +1942,22 @@ app.get("/api/generate-journal", async (req, res) => {
 
 // ---------------------------
 
+// Actions logged before they carried an id get a stable one from their session + time
+const historyActionId = (item, action) => action.id || `${item.id}_${action.at}`;
+
+// Only the caller's own history entries (same user key as logExtractEvent writes)
+const findHistoryAction = (id, user) => {
+  const key = userKey(user);
+  for (const item of loadHistory()) {
+    if (item.event !== "session" || userKey(item.user) !== key) continue;
+    const action = (Array.isArray(item.actions) ? item.actions : []).find(
+      (a) => historyActionId(item, a) === id
+    );
+    if (action) return { ...action, id };
+  }
+  return null;
+};
+
 app.get("/api/history", (req, res) => {
   try {
     const limit = Number(req.query?.limit);
@@ -2155,7 +1968,10 @@ app.get("/api/history", (req, res) => {
       const key = item.event === "session" ? userKey(item.user) : `${item.event}:${item.id}`;
       if (seen.has(key)) continue;
       seen.add(key);
-      unique.push(item);
+      const actions = Array.isArray(item.actions)
+        ? item.actions.map((action) => ({ ...action, id: historyActionId(item, action) }))
+        : item.actions;
+      unique.push({ ...item, actions });
     }
     const trimmed =
       Number.isFinite(limit) && limit > 0 ? unique.slice(0, limit) : unique;
@@ -2166,6 +1982,69 @@ app.get("/api/history", (req, res) => {
   }
 });
 
+// ---------------------------
+// Re-run a logged extraction
+// - POST /api/history/actions/:id/rerun starts a fresh job with the action's type, dates,
+//   ids, line_mode, max_pages and file_name
+// - only the caller's own actions (404 otherwise); the session switches to the action's
+//   business once the params validate, and only when the action names one
+// - responds like POST /api/jobs, plus the action and the (possibly switched) session
+// ---------------------------
+app.post("/api/history/actions/:id/rerun", async (req, res) => {
+  if (!publicSession(req.session).signed_in) return res.status(401).json({ error: "Not signed in" });
+
+  try {
+    const validToken = await getFreshTokenSafely(req.session);
+    const profile = await getUserSummary(validToken);
+    const name = sanitizeUserName(req.headers["x-user-name"] || req.body?.user_name);
+    const action = findHistoryAction(String(req.params.id), name ? { ...profile, name } : profile);
+    if (!action || action.kind !== "extract") return res.status(404).json({ error: "History action not found" });
+
+    // Empty ids fall back to the session's business instead of clearing it
+    const ids = Object.fromEntries(
+      ["account_id", "business_id", "business_uuid"]
+        .map((key) => [key, String(action[key] || "")])
+        .filter(([, value]) => value)
+    );
+    const current = savedIds(req.session);
+    const switched = Object.entries(ids).some(([key, value]) => value !== String(current[key] || ""));
+
+    console.log(`🔁 Re-running ${action.type} (${action.start_date || "start"} → ${action.end_date || "latest"})`);
+    const { job, resumed } = await startExtractJob(
+      req,
+      {
+        type: action.type,
+        start_date: action.start_date,
+        end_date: action.end_date,
+        ...ids,
+        line_mode: action.line_mode,
+        max_pages: action.max_pages,
+        file_name: action.file_name,
+        include_raw: true,
+        fresh: true,
+      },
+      {
+        onValidated: () => {
+          if (!switched) return;
+          updateSession(req.session, ids);
+          console.log(`🔁 Re-run switched business → ${ids.business_id || ids.account_id || ids.business_uuid}`);
+        },
+      }
+    );
+    res.status(202).json({
+      success: true,
+      resumed,
+      switched_business: switched,
+      action,
+      job: publicJob(job),
+      session: publicSession(req.session),
+    });
+  } catch (error) {
+    console.error("❌ Re-run failed:", pretty(error.response?.data || error.message));
+    res.status(error.status || 500).json({ error: error.response?.data || error.message });
+  }
+});
+
 
 
 // ---------------------------
@@ -2174,27 +2053,84 @@ app.get("/api/history", (req, res) => {
 
 // ---------------------------
 
-app.post("/api/reset-session", async (req, res) => {
-
+// Update history session meta with business/file info
+async function logBusinessSelection({ token, manualName, selection }) {
+  const { account_id, business_id, business_uuid, file_name, business_name } = selection;
   try {
+    const name = sanitizeUserName(manualName);
+    const userProfile = await getUserSummary(token);
+    const user = name ? { ...userProfile, name } : userProfile;
+    upsertSessionHistory(user, (session) => ({
+      ...session,
+      meta: {
+        ...session.meta,
+        last_business: business_name || session.meta?.last_business || null,
+        last_file: file_name || session.meta?.last_file || null,
+        account_id,
+        business_id,
+        business_uuid,
+      },
+    }));
+  } catch (err) {
+    console.warn("[History] Unable to update session meta on business update:", err.message);
+  }
+}
 
-    const { business_id } = req.body || {};
+// ---------------------------
+// Session (login state for the frontend; tokens never leave the backend)
+// - GET /api/session → signed_in, user name, selected business, scopes, expiry
+// - POST /api/session/claim { code } → join the session /callback signed in
+// - POST /api/session/business → pick the business used for extraction defaults
+// ---------------------------
+app.get("/api/session", (req, res) => {
+  res.json({ success: true, session: publicSession(req.session) });
+});
 
-    accessToken = "";
+app.post("/api/session/claim", (req, res) => {
+  const session = claimLoginCode(String(req.body?.code || ""));
+  if (!session) return res.status(400).json({ error: "Login code is invalid or expired" });
 
-    refreshToken = "";
+  if (session.id !== req.session.id) {
+    destroySession(req.session.id);
+    setSessionCookie(req, res, session);
+  }
+  console.log("🔐 Login code claimed; browser joined its session.");
+  res.json({ success: true, session: publicSession(session) });
+});
 
-    tokenExpiry = 0;
+app.post("/api/session/business", async (req, res) => {
+  try {
+    const { account_id, business_id, business_uuid, file_name, business_name } = req.body || {};
+    if (!publicSession(req.session).signed_in)
+      return res.status(401).json({ error: "Not signed in" });
+
+    updateSession(req.session, {
+      account_id: String(account_id || ""),
+      business_id: String(business_id || ""),
+      business_uuid: String(business_uuid || ""),
+    });
 
-    if (business_id) {
+    const token = await getFreshTokenSafely(req.session);
+    await logBusinessSelection({
+      token,
+      manualName: req.headers["x-user-name"] || req.session.user_name,
+      selection: { account_id, business_id, business_uuid, file_name, business_name },
+    });
+    res.json({ success: true, session: publicSession(req.session) });
+  } catch (err) {
+    console.error("❌ Failed to update business:", err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-      safeReplaceEnv("BUSINESS_ID", "");
+app.post("/api/reset-session", async (req, res) => {
 
-      safeReplaceEnv("ACCOUNT_ID", "");
+  try {
 
-      safeReplaceEnv("BUSINESS_UUID", "");
+    // Drops this caller's tokens + selected business only; other sessions are untouched
+    destroySession(req.session.id);
 
-    }
+    clearSessionCookie(res);
 
     console.log("🧹 Backend session reset successful.");
 
@@ -2212,11 +2148,34 @@ app.post("/api/reset-session", async (req, res) => {
 
 
 
+// Manual token pairs are a server-side support tool: only callers presenting ADMIN_TOKEN
+// (x-admin-token header) may use it; without ADMIN_TOKEN set the route is disabled.
+// The browser app never handles raw tokens.
+const isAdminRequest = (req) => {
+  const expected = process.env.ADMIN_TOKEN || "";
+  const given = String(req.headers["x-admin-token"] || "");
+  if (!expected || !given) return false;
+  const hash = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(hash(expected), hash(given));
+};
+
 app.post("/api/update-tokens", async (req, res) => {
 
+  if (!process.env.ADMIN_TOKEN) return res.status(404).json({ error: "Manual token updates are disabled" });
+  if (!isAdminRequest(req)) return res.status(403).json({ error: "Admin token required" });
+
   try {
 
-    const { access_token, refresh_token, account_id, business_id, business_uuid, file_name, business_name } = req.body;
+    const {
+      access_token,
+      refresh_token,
+      expires_in,
+      account_id,
+      business_id,
+      business_uuid,
+      file_name,
+      business_name,
+    } = req.body;
 
     if (!access_token || !refresh_token)
 
@@ -2224,55 +2183,21 @@ app.post("/api/update-tokens", async (req, res) => {
 
 
 
-    accessToken = access_token;
-
-    refreshToken = refresh_token;
-
-
-
-    if (account_id) {
-
-      safeReplaceEnv("ACCOUNT_ID", account_id);
-
-      process.env.ACCOUNT_ID = account_id;
-
-    }
-
-    if (business_id) {
-      safeReplaceEnv("BUSINESS_ID", business_id);
-      process.env.BUSINESS_ID = business_id;
-    }
-
-    if (business_uuid) {
-
-      safeReplaceEnv("BUSINESS_UUID", business_uuid);
-
-      process.env.BUSINESS_UUID = business_uuid;
-
-    }
-    safeReplaceEnv("ACCESS_TOKEN", access_token);
-
-    safeReplaceEnv("REFRESH_TOKEN", refresh_token);
-    // Update session meta with business/file info
-    try {
-      const manualName = sanitizeUserName(req.headers["x-user-name"]);
-      const userProfile = await getUserSummary(access_token);
-      const user = manualName ? { ...userProfile, name: manualName } : userProfile;
-      upsertSessionHistory(user, (session) => ({
-        ...session,
-        meta: {
-          ...session.meta,
-          last_business: business_name || session.meta?.last_business || null,
-          last_file: file_name || session.meta?.last_file || null,
-          account_id,
-          business_id,
-          business_uuid,
-        },
-      }));
-    } catch (err) {
-      console.warn("[History] Unable to update session meta on business update:", err.message);
-    }
-    console.log("✅ Tokens updated successfully (Memory + File Synced)");
+    saveSessionTokens(
+      req.session,
+      { access_token, refresh_token, expires_in },
+      {
+        ...(account_id ? { account_id: String(account_id) } : {}),
+        ...(business_id ? { business_id: String(business_id) } : {}),
+        ...(business_uuid ? { business_uuid: String(business_uuid) } : {}),
+      }
+    );
+    await logBusinessSelection({
+      token: access_token,
+      manualName: req.headers["x-user-name"],
+      selection: { account_id, business_id, business_uuid, file_name, business_name },
+    });
+    console.log("✅ Tokens updated successfully (Session + Vault Synced)");
 
     res.json({ success: true, message: "Tokens updated successfully" });
 
@@ -2289,6 +2214,7 @@ app.post("/api/update-tokens", async (req, res) => {
 // ---------------------------
 
 const PORT = process.env.PORT || 5050;
+loadJobs();
 
 app.listen(PORT, "0.0.0.0", () => console.log(`🚀 Backend running on http://localhost:${PORT}`));
   
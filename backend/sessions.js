@@ -0,0 +1,197 @@
+// sessions.js
+// --------------------------------------------------
+// Server-side sessions
+// - one session per browser (httpOnly cookie) or API client (x-session-id header)
+// - each session has its own FreshBooks token pair, expiry, scopes and selected business,
+//   so teammates signing in don't replace each other's tokens
+// - signed-in sessions are persisted through the encrypted vault (survive restarts)
+// - sessions idle for SESSION_TTL_MS are dropped
+// - /callback hands the browser a one-time login code instead of tokens; the frontend
+//   claims it on its own backend origin to join the signed-in session
+// --------------------------------------------------
+import crypto from "crypto";
+import { getVault, updateVault } from "./vault.js";
+
+export const SESSION_COOKIE = "fbx_session";
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const ANONYMOUS_TTL_MS = 60 * 60 * 1000; // never signed in → keep an hour
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+const LOGIN_CODE_TTL_MS = 2 * 60 * 1000;
+const sessions = new Map();
+const loginCodes = new Map(); // code → { session_id, expires_at } (memory only, single use)
+
+const EMPTY_SESSION = {
+  access_token: "",
+  previous_access_token: "", // lets a late 401 on the old token find its session
+  refresh_token: "",
+  token_expiry: 0,
+  scopes: [],
+  account_id: "",
+  business_id: "",
+  business_uuid: "",
+  user_name: "",
+};
+
+const isSignedIn = (session) => Boolean(session.refresh_token || session.access_token);
+
+const persistSessions = () => {
+  const stored = [...sessions.values()].filter(isSignedIn).map((s) => [s.id, s]);
+  updateVault({ sessions: Object.fromEntries(stored) });
+};
+
+const isExpired = (session, now = Date.now()) => {
+  const idle = now - Date.parse(session.last_seen || session.created_at);
+  return idle > (isSignedIn(session) ? SESSION_TTL_MS : ANONYMOUS_TTL_MS);
+};
+
+const pruneSessions = () => {
+  let removed = 0;
+  for (const session of sessions.values()) {
+    if (!isExpired(session)) continue;
+    sessions.delete(session.id);
+    removed += isSignedIn(session) ? 1 : 0;
+  }
+  if (removed) persistSessions();
+};
+
+// ---------------------------
+// Load persisted sessions on boot (vault must be loaded first)
+// ---------------------------
+export function loadSessions() {
+  for (const [id, stored] of Object.entries(getVault().sessions || {})) {
+    const session = { ...EMPTY_SESSION, ...stored, id };
+    if (!isExpired(session)) sessions.set(id, session);
+  }
+  console.log(`[Sessions] Loaded ${sessions.size} session(s).`);
+}
+
+export function createSession() {
+  pruneSessions();
+  const now = new Date().toISOString();
+  const session = {
+    ...EMPTY_SESSION,
+    id: crypto.randomBytes(24).toString("base64url"),
+    created_at: now,
+    updated_at: now,
+    last_seen: now,
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+export function getSession(id) {
+  const session = sessions.get(id);
+  if (!session) return null;
+  if (isExpired(session)) {
+    destroySession(id);
+    return null;
+  }
+  return session;
+}
+
+export function updateSession(session, patch) {
+  Object.assign(session, patch, { updated_at: new Date().toISOString() });
+  persistSessions();
+  return session;
+}
+
+export function destroySession(id) {
+  const session = sessions.get(id);
+  sessions.delete(id);
+  if (session && isSignedIn(session)) persistSessions();
+}
+
+// 401 handling only knows the token; the current or just-replaced token identifies the session
+export function findSessionByToken(token) {
+  if (!token) return null;
+  for (const session of sessions.values()) {
+    if (session.access_token === token || session.previous_access_token === token) return session;
+  }
+  return null;
+}
+
+// What the frontend may see: login state + selected business, never tokens
+export function publicSession(session) {
+  return {
+    signed_in: isSignedIn(session),
+    user_name: session.user_name || "",
+    account_id: session.account_id || "",
+    business_id: session.business_id || "",
+    business_uuid: session.business_uuid || "",
+    scopes: [...(session.scopes || [])],
+    expires_at: session.token_expiry ? new Date(session.token_expiry * 1000).toISOString() : null,
+  };
+}
+
+// ---------------------------
+// One-time login codes
+// ---------------------------
+export function createLoginCode(session) {
+  const now = Date.now();
+  for (const [code, entry] of loginCodes) {
+    if (entry.expires_at <= now) loginCodes.delete(code);
+  }
+  const code = crypto.randomBytes(24).toString("base64url");
+  loginCodes.set(code, { session_id: session.id, expires_at: now + LOGIN_CODE_TTL_MS });
+  return code;
+}
+
+// Returns the signed-in session once; unknown, expired or reused codes → null
+export function claimLoginCode(code) {
+  const entry = loginCodes.get(code);
+  if (!entry) return null;
+  loginCodes.delete(code);
+  if (entry.expires_at <= Date.now()) return null;
+  return getSession(entry.session_id);
+}
+
+// ---------------------------
+// Cookie plumbing
+// ---------------------------
+const readCookie = (req, name) => {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k === name) {
+      try {
+        return decodeURIComponent(v.join("="));
+      } catch {
+        return "";
+      }
+    }
+  }
+  return "";
+};
+
+// Tunnel (https) → cross-site cookie; plain localhost → lax
+export function setSessionCookie(req, res, session) {
+  const secure = req.secure || req.headers["x-forwarded-proto"] === "https";
+  res.cookie(SESSION_COOKIE, session.id, {
+    httpOnly: true,
+    secure,
+    sameSite: secure ? "none" : "lax",
+    maxAge: SESSION_TTL_MS,
+    path: "/",
+  });
+}
+
+export function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: "/" });
+}
+
+// Express middleware: attaches req.session, starting a new one (and its cookie) when needed
+export function sessionMiddleware(req, res, next) {
+  const id = readCookie(req, SESSION_COOKIE) || req.headers["x-session-id"] || "";
+  let session = id ? getSession(id) : null;
+
+  if (!session) {
+    session = createSession();
+    setSessionCookie(req, res, session);
+  } else if (Date.now() - Date.parse(session.last_seen) > TOUCH_INTERVAL_MS) {
+    session.last_seen = new Date().toISOString();
+    if (isSignedIn(session)) persistSessions();
+    setSessionCookie(req, res, session); // slide the cookie expiry too
+  }
+
+  req.session = session;
+  next();
+}
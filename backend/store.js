@@ -0,0 +1,297 @@
+// store.js
+// --------------------------------------------------
+// Local SQLite store of extracted records (better-sqlite3)
+// - one table per entity type (records_<type>), keyed by business + record id
+//   (+ row index: chart_of_accounts expands one record into several rows)
+// - every formatRecord field gets its own column, added the first time it shows up;
+//   objects / arrays are stored as JSON text, the kind is kept in store_columns
+// - _raw keeps the FreshBooks JSON the row was formatted from
+// - each extraction upserts what it fetched; records are never deleted here
+// - store_snapshots keeps the raw records of each extraction as well (the last
+//   MAX_SNAPSHOTS per entity and business), so two runs can be compared later
+// --------------------------------------------------
+import Database from "better-sqlite3";
+import path from "path";
+import { ENTITIES, businessKey } from "./entities.js";
+import { formatRecord, recordDate } from "./extractor.js";
+
+const BASE_COLUMNS = ["_business", "_record_id", "_row", "_date", "_raw", "_extracted_at"];
+const MAX_QUERY_ROWS = 5000;
+const MAX_SNAPSHOTS = 20;
+
+let db = null;
+const columnCache = new Map(); // type → Map(lower-case name → { name, kind })
+
+const quoteIdent = (name) => `"${String(name).replace(/"/g, '""')}"`;
+const tableFor = (type) => quoteIdent(`records_${type}`);
+
+export const isStorable = (type) => Boolean(ENTITIES[type]) && !ENTITIES[type].direct && !ENTITIES[type].report;
+
+export const recordId = (record) =>
+  String(record?.id ?? record?.uuid ?? record?.invoiceid ?? record?.expenseid ?? record?.accountid ?? "");
+
+// ---------------------------
+// Open once at boot (after dotenv has loaded)
+// ---------------------------
+export function openStore() {
+  const file = path.resolve(process.env.STORE_DB_PATH || "freshbooks.db");
+  db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(`CREATE TABLE IF NOT EXISTS store_columns (
+    entity TEXT NOT NULL,
+    name TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    PRIMARY KEY (entity, name)
+  )`);
+  db.exec(`CREATE TABLE IF NOT EXISTS store_snapshots (
+    id TEXT PRIMARY KEY,
+    entity TEXT NOT NULL,
+    business TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    start_date TEXT,
+    end_date TEXT,
+    total INTEGER NOT NULL,
+    records TEXT NOT NULL
+  )`);
+  db.exec("CREATE INDEX IF NOT EXISTS store_snapshots_entity ON store_snapshots (entity, business, created_at)");
+  columnCache.clear();
+  console.log(`[Store] Record store open at ${file}`);
+}
+
+function requireStore() {
+  if (!db) throw new Error("Record store is not open");
+  return db;
+}
+
+function ensureTable(type) {
+  if (columnCache.has(type)) return columnCache.get(type);
+  const conn = requireStore();
+  conn.exec(`CREATE TABLE IF NOT EXISTS ${tableFor(type)} (
+    _business TEXT NOT NULL,
+    _record_id TEXT NOT NULL,
+    _row INTEGER NOT NULL DEFAULT 0,
+    _date TEXT,
+    _raw TEXT NOT NULL,
+    _extracted_at TEXT NOT NULL,
+    PRIMARY KEY (_business, _record_id, _row)
+  )`);
+  conn.exec(
+    `CREATE INDEX IF NOT EXISTS ${quoteIdent(`records_${type}_date`)} ON ${tableFor(type)} (_business, _date)`
+  );
+  const columns = new Map();
+  for (const { name, kind } of conn.prepare("SELECT name, kind FROM store_columns WHERE entity = ?").all(type)) {
+    columns.set(name.toLowerCase(), { name, kind });
+  }
+  columnCache.set(type, columns);
+  return columns;
+}
+
+const kindOf = (value) => {
+  if (value !== null && typeof value === "object") return "json";
+  if (typeof value === "boolean") return "bool";
+  return "value";
+};
+
+const encode = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "object") return JSON.stringify(value);
+  if (typeof value === "boolean") return value ? 1 : 0;
+  return value;
+};
+
+const decode = (value, kind) => {
+  if (value === null || value === undefined) return null;
+  if (kind === "json") return JSON.parse(value);
+  if (kind === "bool") return Boolean(value);
+  return value;
+};
+
+// SQLite column names are case-insensitive: reuse a column that only differs in case
+function columnFor(type, columns, key, value) {
+  const lower = key.toLowerCase();
+  if (columns.has(lower)) return columns.get(lower).name;
+  const kind = kindOf(value);
+  requireStore().exec(`ALTER TABLE ${tableFor(type)} ADD COLUMN ${quoteIdent(key)}`);
+  requireStore().prepare("INSERT INTO store_columns (entity, name, kind) VALUES (?, ?, ?)").run(type, key, kind);
+  columns.set(lower, { name: key, kind });
+  return key;
+}
+
+// ---------------------------
+// Persist one extraction: raw FreshBooks records, formatted with formatRecord
+// - returns how many rows were written
+// ---------------------------
+export function storeRecords(type, ids, rawRecords, { lineMode = false } = {}) {
+  if (!isStorable(type) || !Array.isArray(rawRecords) || rawRecords.length === 0) return 0;
+  const conn = requireStore();
+  const business = businessKey(ENTITIES[type], ids);
+  const columns = ensureTable(type);
+  const extractedAt = new Date().toISOString();
+  let written = 0;
+
+  const write = conn.transaction(() => {
+    for (const raw of rawRecords) {
+      const id = recordId(raw);
+      if (!id) continue;
+      const formatted = formatRecord(type, raw, { lineMode });
+      const rows = (Array.isArray(formatted) ? formatted : [formatted]).filter(Boolean);
+
+      // A record that now formats into fewer rows must not keep stale ones
+      conn.prepare(`DELETE FROM ${tableFor(type)} WHERE _business = ? AND _record_id = ?`).run(business, id);
+
+      rows.forEach((row, index) => {
+        const names = [...BASE_COLUMNS];
+        const values = [business, id, index, recordDate(raw) || null, JSON.stringify(raw), extractedAt];
+        for (const [key, value] of Object.entries(row)) {
+          if (value === undefined) continue;
+          names.push(columnFor(type, columns, key, value));
+          values.push(encode(value));
+        }
+        conn
+          .prepare(
+            `INSERT INTO ${tableFor(type)} (${names.map(quoteIdent).join(", ")}) VALUES (${names
+              .map(() => "?")
+              .join(", ")})`
+          )
+          .run(...values);
+        written++;
+      });
+    }
+  });
+  write();
+  return written;
+}
+
+const tableExists = (type) =>
+  Boolean(
+    requireStore()
+      .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?")
+      .get(`records_${type}`)
+  );
+
+// ---------------------------
+// Query stored rows for one business
+// - start_date / end_date filter on the record's date (rows without one are kept)
+// - returns { total, data: formatted rows, raw?: FreshBooks JSON per row }
+// ---------------------------
+export function queryRecords(
+  type,
+  ids,
+  { start_date, end_date, limit = null, offset = 0, includeRaw = false } = {}
+) {
+  if (!isStorable(type)) throw new Error(`Invalid type: ${type}`);
+  if (!tableExists(type)) return { total: 0, data: [], raw: includeRaw ? [] : undefined };
+
+  const columns = ensureTable(type);
+  const where = ["_business = ?"];
+  const args = [businessKey(ENTITIES[type], ids)];
+  if (start_date) {
+    where.push("(_date IS NULL OR _date >= ?)");
+    args.push(start_date);
+  }
+  if (end_date) {
+    where.push("(_date IS NULL OR _date <= ?)");
+    args.push(end_date);
+  }
+  const filter = `FROM ${tableFor(type)} WHERE ${where.join(" AND ")}`;
+  const conn = requireStore();
+  const { total } = conn.prepare(`SELECT COUNT(*) AS total ${filter}`).get(...args);
+  const pageSize = Math.min(Number(limit) || MAX_QUERY_ROWS, MAX_QUERY_ROWS);
+  const rows = conn
+    .prepare(`SELECT * ${filter} ORDER BY _date, _record_id, _row LIMIT ? OFFSET ?`)
+    .all(...args, pageSize, Math.max(Number(offset) || 0, 0));
+
+  const data = rows.map((row) => {
+    const out = {};
+    for (const { name, kind } of columns.values()) {
+      if (row[name] !== null && row[name] !== undefined) out[name] = decode(row[name], kind);
+    }
+    return out;
+  });
+
+  return {
+    total,
+    data,
+    raw: includeRaw ? rows.map((row) => JSON.parse(row._raw)) : undefined,
+  };
+}
+
+// Row counts + last extraction time per stored entity for one business
+export function describeStore(ids) {
+  return Object.keys(ENTITIES)
+    .filter((type) => isStorable(type) && tableExists(type))
+    .map((type) => {
+      const stats = requireStore()
+        .prepare(
+          `SELECT COUNT(*) AS rows, COUNT(DISTINCT _record_id) AS records, MAX(_extracted_at) AS last_extracted_at
+           FROM ${tableFor(type)} WHERE _business = ?`
+        )
+        .get(businessKey(ENTITIES[type], ids));
+      return { type, ...stats };
+    })
+    .filter((entry) => entry.rows > 0);
+}
+
+// ---------------------------
+// Extraction snapshots
+// - saveSnapshot keeps one extraction's raw records and returns its id
+// - loadSnapshot(id, ids) only returns snapshots of the caller's business
+// ---------------------------
+export function saveSnapshot(type, ids, rawRecords, { start_date = "", end_date = "" } = {}) {
+  if (!isStorable(type) || !Array.isArray(rawRecords)) return null;
+  const conn = requireStore();
+  const business = businessKey(ENTITIES[type], ids);
+  const id = `snap_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+  conn.transaction(() => {
+    conn
+      .prepare(
+        `INSERT INTO store_snapshots (id, entity, business, created_at, start_date, end_date, total, records)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        id,
+        type,
+        business,
+        new Date().toISOString(),
+        start_date || null,
+        end_date || null,
+        rawRecords.length,
+        JSON.stringify(rawRecords)
+      );
+    conn
+      .prepare(
+        `DELETE FROM store_snapshots WHERE entity = ? AND business = ? AND id NOT IN (
+           SELECT id FROM store_snapshots WHERE entity = ? AND business = ? ORDER BY created_at DESC LIMIT ?
+         )`
+      )
+      .run(type, business, type, business, MAX_SNAPSHOTS);
+  })();
+  return id;
+}
+
+const snapshotMeta = ({ id, entity, created_at, start_date, end_date, total }) => ({
+  id,
+  type: entity,
+  created_at,
+  start_date,
+  end_date,
+  total,
+});
+
+export function listSnapshots(type, ids) {
+  if (!isStorable(type)) throw new Error(`Invalid type: ${type}`);
+  return requireStore()
+    .prepare(
+      `SELECT id, entity, created_at, start_date, end_date, total FROM store_snapshots
+       WHERE entity = ? AND business = ? ORDER BY created_at DESC`
+    )
+    .all(type, businessKey(ENTITIES[type], ids))
+    .map(snapshotMeta);
+}
+
+export function loadSnapshot(id, ids) {
+  const row = requireStore().prepare("SELECT * FROM store_snapshots WHERE id = ?").get(String(id));
+  if (!row || !ENTITIES[row.entity] || row.business !== businessKey(ENTITIES[row.entity], ids)) return null;
+  return { meta: snapshotMeta(row), records: JSON.parse(row.records) };
+}
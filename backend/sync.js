@@ -0,0 +1,158 @@
+// sync.js
+// --------------------------------------------------
+// Incremental sync: a local copy of each entity per business
+// - sync/<idType>_<id>/<type>.json holds { state, records } (raw FreshBooks records by id)
+// - first sync (or full: true) fetches everything and replaces the copy
+// - later syncs ask FreshBooks only for records changed since the last successful
+//   sync (entity.updatedParam) and merge them in by id
+// - entities without an updated filter are re-fetched in full every time
+// - records deleted in FreshBooks never show up in an incremental fetch, so they stay in
+//   the copy until the next full sync (full: true, or POST /api/sync/reset) rebuilds it
+// - extracts in sync mode are served from the copy (date range applied locally)
+// --------------------------------------------------
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { ENTITIES, businessKey } from "./entities.js";
+import { fetchEntityRecords, formatRecords, recordDate } from "./extractor.js";
+
+const SYNC_DIR = path.resolve("sync");
+// FreshBooks filters on its own clock / timezone; re-asking for a day of overlap is cheap
+const SYNC_OVERLAP_MS = 24 * 60 * 60 * 1000;
+
+const copyFile = (entity, type, ids) => path.join(SYNC_DIR, businessKey(entity, ids), `${type}.json`);
+
+export const recordKey = (record) =>
+  String(record?.id ?? record?.uuid ?? record?.invoiceid ?? record?.expenseid ?? JSON.stringify(record));
+
+export const isSyncable = (type) => Boolean(ENTITIES[type]) && !ENTITIES[type].direct && !ENTITIES[type].report;
+
+function loadCopy(file) {
+  try {
+    if (!fs.existsSync(file)) return { state: null, records: {} };
+    const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+    return { state: parsed.state || null, records: parsed.records || {} };
+  } catch (err) {
+    console.warn("[Sync] Local copy unreadable, starting over:", err.message);
+    return { state: null, records: {} };
+  }
+}
+
+// Unique temp name: two syncs of the same copy in this process must not share a half-written file
+function saveCopy(file, copy) {
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(tmp, JSON.stringify(copy));
+  fs.renameSync(tmp, file);
+}
+
+// Records without any date field are always kept (same as the frontend filter)
+const inDateRange = (record, { start_date, end_date } = {}) => {
+  const day = recordDate(record);
+  if (!day) return true;
+  if (start_date && day < start_date) return false;
+  if (end_date && day > end_date) return false;
+  return true;
+};
+
+// ---------------------------
+// Sync one entity, then serve the /api/extract payload from the local copy
+// - same hooks as fetchEntityRecords (resume / onPage / onEvent), so jobs + SSE work
+// - full: ignore the previous sync time and rebuild the copy
+// ---------------------------
+export async function syncEntityRecords({
+  base,
+  type,
+  ids,
+  dateRange = {},
+  token,
+  maxPages = null,
+  includeRaw = false,
+  lineMode = false,
+  full = false,
+  resume = null,
+  onPage = null,
+  onEvent = null,
+  loadWhoami = null,
+}) {
+  const entity = ENTITIES[type];
+  if (!isSyncable(type)) throw new Error(`Sync is not supported for ${type}`);
+
+  const file = copyFile(entity, type, ids);
+  const copy = loadCopy(file);
+  const lastSynced = copy.state?.complete ? copy.state.last_synced_at : null;
+  const incremental = Boolean(!full && entity.updatedParam && lastSynced);
+  const since = incremental ? new Date(Date.parse(lastSynced) - SYNC_OVERLAP_MS).toISOString() : null;
+  const startedAt = new Date().toISOString();
+
+  console.log(
+    `[Sync] ${type} ${incremental ? `incremental since ${since}` : "full"} (${businessKey(entity, ids)})`
+  );
+  onEvent?.({ type: "sync", entity: type, mode: incremental ? "incremental" : "full", since });
+
+  const fetched = await fetchEntityRecords({
+    base,
+    type,
+    ids,
+    token,
+    maxPages,
+    includeRaw: true,
+    updatedSince: since,
+    resume,
+    onPage,
+    onEvent,
+    loadWhoami,
+  });
+
+  const records = incremental ? { ...copy.records } : {};
+  for (const raw of fetched.raw || []) records[recordKey(raw)] = raw;
+
+  // A truncated fetch leaves gaps: keep the old sync time so the next run asks again
+  const complete = !fetched.truncated;
+  const state = {
+    type,
+    key: businessKey(entity, ids),
+    mode: incremental ? "incremental" : "full",
+    last_synced_at: complete ? startedAt : copy.state?.last_synced_at || null,
+    complete: complete || Boolean(copy.state?.complete && incremental),
+    since,
+    fetched: (fetched.raw || []).length,
+    local_total: Object.keys(records).length,
+    updated_at: new Date().toISOString(),
+  };
+  saveCopy(file, { state, records });
+
+  const rawList = Object.values(records).filter((r) => inDateRange(r, dateRange));
+  const data = formatRecords(type, rawList, { lineMode });
+
+  return {
+    success: true,
+    total: data.length,
+    data,
+    headers: fetched.headers ?? null,
+    truncated: fetched.truncated,
+    page_retries: fetched.page_retries,
+    sync: state,
+    raw: includeRaw ? rawList : undefined,
+  };
+}
+
+// ---------------------------
+// Sync state per entity for one business (ids as resolved for extracts)
+// ---------------------------
+export function listSyncStates(ids) {
+  return Object.entries(ENTITIES)
+    .filter(([type]) => isSyncable(type))
+    .map(([type, entity]) => {
+      const { state } = loadCopy(copyFile(entity, type, ids));
+      return state ? { ...state, incremental: Boolean(entity.updatedParam) } : null;
+    })
+    .filter(Boolean);
+}
+
+export function resetLocalCopy(type, ids) {
+  const entity = ENTITIES[type];
+  if (!entity) return false;
+  fs.rmSync(copyFile(entity, type, ids), { force: true });
+  return true;
+}
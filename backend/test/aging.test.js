@@ -0,0 +1,178 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { bucketFor, buildPayablesAging, buildReceivablesAging } from "../aging.js";
+import { bill, invoice, money, payment } from "./helpers/fixtures.js";
+
+const AS_OF = "2025-06-30";
+
+test("bucket boundaries: due today is current, each bucket ends on its day count", () => {
+  const cases = [
+    [-5, "current"],
+    [0, "current"],
+    [1, "days_1_30"],
+    [30, "days_1_30"],
+    [31, "days_31_60"],
+    [60, "days_31_60"],
+    [61, "days_61_90"],
+    [90, "days_61_90"],
+    [91, "days_90_plus"],
+  ];
+  for (const [days, bucket] of cases) assert.equal(bucketFor(days), bucket, `${days} days`);
+});
+
+test("invoices land in buckets by days past due as of the date", () => {
+  const aging = buildReceivablesAging(
+    {
+      invoices: [
+        invoice(1, { due_date: "2025-06-30" }), // 0 days
+        invoice(2, { due_date: "2025-05-31" }), // 30
+        invoice(3, { due_date: "2025-05-30" }), // 31
+        invoice(4, { due_date: "2025-04-01" }), // 90
+        invoice(5, { due_date: "2025-03-31" }), // 91
+        invoice(6, { create_date: "2025-06-01", due_offset_days: 30 }), // due 2025-07-01
+        invoice(7, { create_date: "2025-07-02", due_date: "2025-07-02" }), // issued after as_of
+      ],
+    },
+    { as_of: AS_OF }
+  );
+  assert.deepEqual(
+    aging.detail.map((r) => [r.invoice_number, r.days_overdue, r.bucket]),
+    [
+      ["INV-5", 91, "90+"],
+      ["INV-4", 90, "61–90"],
+      ["INV-3", 31, "31–60"],
+      ["INV-2", 30, "1–30"],
+      ["INV-1", 0, "Current"],
+      ["INV-6", 0, "Current"],
+    ]
+  );
+  const [acme] = aging.summary;
+  assert.deepEqual(
+    [acme.current, acme.days_1_30, acme.days_31_60, acme.days_61_90, acme.days_90_plus, acme.total_outstanding],
+    [200, 100, 100, 100, 100, 600]
+  );
+  assert.equal(aging.totals.USD.total_outstanding, 600);
+});
+
+test("payments dated after the as-of date are added back to the open balance", () => {
+  const aging = buildReceivablesAging(
+    {
+      invoices: [invoice(10, { due_date: "2025-06-15", amount: money("500.00"), outstanding: money("0") })],
+      payments: [
+        payment(1, 10, "200.00", { date: "2025-06-20" }),
+        payment(2, 10, "300.00", { date: "2025-07-10" }),
+      ],
+    },
+    { as_of: AS_OF }
+  );
+  const [row] = aging.detail;
+  assert.deepEqual([row.outstanding, row.paid_as_of, row.paid_after_as_of], [300, 200, 300]);
+  assert.equal(row.bucket, "1–30");
+  assert.deepEqual(aging.unmatched_payments, []);
+});
+
+test("the added-back balance never exceeds the invoice amount", () => {
+  const aging = buildReceivablesAging(
+    {
+      invoices: [invoice(11, { due_date: "2025-06-30", outstanding: money("50.00") })],
+      payments: [payment(3, 11, "80.00", { date: "2025-07-01" })],
+    },
+    { as_of: AS_OF }
+  );
+  assert.equal(aging.detail[0].outstanding, 100);
+});
+
+test("payments match by invoiceid, by number only without an id, else are unmatched", () => {
+  const aging = buildReceivablesAging(
+    {
+      invoices: [invoice(12, { due_date: "2025-06-30", outstanding: money("0") })],
+      payments: [
+        { id: 4, invoice_number: "INV-12", date: "2025-07-01", amount: { amount: "40.00" } },
+        payment(5, 999, "60.00", { invoice: { invoice_number: "INV-12" }, date: "2025-07-01" }),
+      ],
+    },
+    { as_of: AS_OF }
+  );
+  assert.equal(aging.detail[0].paid_after_as_of, 40);
+  assert.deepEqual(aging.unmatched_payments.map((p) => p.payment_id), [5]);
+});
+
+test("unapplied credit notes net against the client's balance without being bucketed", () => {
+  const aging = buildReceivablesAging(
+    {
+      invoices: [invoice(13, { due_date: "2025-06-30" })],
+      payments: [payment(6, 13, "10.00", { creditid: 70, type: "Credit", date: "2025-07-05" })],
+      credit_notes: [
+        { creditid: 70, clientid: 9, organization: "Acme Ltd", currency_code: "USD", create_date: "2025-06-01", amount: { amount: "25.00" } },
+      ],
+    },
+    { as_of: AS_OF }
+  );
+  const [acme] = aging.summary;
+  // The credit payment is dated after as_of: the whole note is still unapplied and the
+  // invoice stays fully open (capped at its amount)
+  assert.deepEqual([acme.total_outstanding, acme.unapplied_credits, acme.net_balance], [100, 25, 75]);
+});
+
+test("bill payments whose billid matches no extracted bill are unmatched, even if the number does", () => {
+  const aging = buildPayablesAging(
+    {
+      bills: [
+        bill(301, {
+          issue_date: "2025-05-01",
+          due_date: "2025-05-31",
+          total_amount: money("400.00"),
+          outstanding: money("100.00"),
+        }),
+      ],
+      bill_payments: [
+        { id: 1, billid: 301, paid_date: "2025-07-02", amount: { amount: "50.00" } },
+        { id: 2, bill_number: "B-301", paid_date: "2025-07-03", amount: { amount: "25.00" } },
+        { id: 3, billid: 999, bill: { bill_number: "B-301" }, paid_date: "2025-07-04", amount: { amount: "75.00" } },
+      ],
+      bill_vendors: [{ vendorid: 40, vendor_name: "Paper Co" }],
+    },
+    { as_of: AS_OF }
+  );
+  const [row] = aging.detail;
+  assert.deepEqual([row.vendor_name, row.outstanding, row.paid_after_as_of, row.bucket], ["Paper Co", 175, 75, "1–30"]);
+  assert.deepEqual(
+    aging.unmatched_payments.map((p) => [p.payment_id, p.billid, p.bill_number]),
+    [[3, 999, "B-301"]]
+  );
+});
+
+test("unreadable dates don't fail the report: a bad due_date falls back, a bad create_date is not aged", () => {
+  const aging = buildReceivablesAging(
+    {
+      invoices: [
+        invoice(20, { create_date: "2025-06-10", due_date: "n/a" }),
+        invoice(21, { create_date: "2025-13-45", due_offset_days: 30 }),
+      ],
+    },
+    { as_of: AS_OF }
+  );
+  // INV-20 is due on its issue date (no readable due_date or offset); INV-21 has no issue date
+  assert.deepEqual(
+    aging.detail.map((r) => [r.invoice_number, r.due_date, r.days_overdue, r.bucket]),
+    [["INV-20", "2025-06-10", 20, "1–30"]]
+  );
+  assert.equal(bucketFor(Number.NaN), "current");
+});
+
+test("payables age bills with unreadable dates the same way instead of failing", () => {
+  const aging = buildPayablesAging(
+    {
+      bills: [
+        bill(401, { issue_date: "2025-04-01", due_date: "soon" }),
+        bill(402, { issue_date: "2025-02-30", due_offset_days: 15 }),
+      ],
+    },
+    { as_of: AS_OF }
+  );
+  assert.deepEqual(
+    aging.detail.map((r) => [r.bill_number, r.due_date, r.days_overdue, r.bucket]),
+    [["B-401", "2025-04-01", 90, "61–90"]]
+  );
+  assert.equal(aging.totals.USD.total_outstanding, 50);
+});
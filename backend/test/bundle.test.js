@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { Writable } from "node:stream";
+import test from "node:test";
+import { streamBundle } from "../bundle.js";
+
+const collect = () => {
+  const chunks = [];
+  const output = new Writable({
+    write(chunk, _encoding, done) {
+      chunks.push(chunk);
+      done();
+    },
+  });
+  return { output, buffer: () => Buffer.concat(chunks) };
+};
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+test("a failed entity doesn't stop the bundle and every problem is listed in the manifest", async () => {
+  const { output, buffer } = collect();
+  const manifest = await streamBundle(output, {
+    types: ["invoices", "payments", "projects", "bills"],
+    extract: async (type) => {
+      if (type === "payments") throw httpError(500);
+      if (type === "projects") throw httpError(403);
+      return { data: [{ id: 1, type }], truncated: type === "bills" };
+    },
+    describeError: (err) => ({ status: err.status, error: err.message }),
+    meta: { account_id: "acc1" },
+  });
+
+  assert.equal(manifest.account_id, "acc1");
+  assert.equal(manifest.complete, false);
+  assert.deepEqual(manifest.failed, ["payments"]);
+  assert.deepEqual(manifest.skipped, ["projects"]);
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(manifest.entities).map(([type, e]) => [type, e.status])),
+    { invoices: "ok", payments: "failed", projects: "skipped", bills: "ok" },
+  );
+  assert.deepEqual(manifest.entities.payments.error, { status: 500, error: "HTTP 500" });
+  assert.equal(manifest.entities.bills.truncated, true);
+
+  // Entities after the failure still made it into the ZIP
+  const zip = buffer().toString("latin1");
+  for (const name of ["invoices.csv", "invoices.json", "bills.csv", "bills.json", "manifest.json"])
+    assert.ok(zip.includes(name), `${name} in the bundle`);
+  assert.ok(!zip.includes("payments.csv"));
+});
+
+test("a bundle is complete only when every entity was exported", async () => {
+  const { output } = collect();
+  const manifest = await streamBundle(output, {
+    types: ["invoices", "clients"],
+    extract: async () => ({ data: [] }),
+    describeError: (err) => ({ status: err.status, error: err.message }),
+  });
+  assert.equal(manifest.complete, true);
+  assert.deepEqual(manifest.skipped, []);
+  assert.deepEqual(manifest.failed, []);
+});
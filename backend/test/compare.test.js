@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { compareSnapshots } from "../compare.js";
+
+const RANGE = { start_date: "2025-01-01", end_date: "2025-03-31" };
+const snapshot = (records, meta = RANGE) => ({ meta, records });
+
+const invoice = (fields = {}) => ({
+  id: 1,
+  invoice_number: "INV-1",
+  create_date: "2025-02-01",
+  status: 2,
+  amount: { amount: "10", code: "USD" },
+  outstanding: "10",
+  updated: "2025-02-01 10:00:00",
+  lines: [
+    { lineid: 1, name: "Design", qty: "1", unit_cost: { amount: "10" }, amount: { amount: "10" } },
+  ],
+  ...fields,
+});
+
+test('"10" and "10.00" (and a new updated time) are not a change', () => {
+  const result = compareSnapshots(
+    "invoices",
+    snapshot([invoice()]),
+    snapshot([
+      invoice({
+        amount: { amount: "10.00", code: "USD" },
+        outstanding: 10,
+        updated: "2025-03-01 09:00:00",
+        lines: [{ lineid: 1, name: "Design", qty: "1.0", unit_cost: { amount: "10.00" }, amount: { amount: "10.00" } }],
+      }),
+    ])
+  );
+  assert.deepEqual(result.records, []);
+  assert.equal(result.summary.unchanged, 1);
+  assert.equal(result.summary.same_range, true);
+});
+
+test("field changes are tagged amount, date and status", () => {
+  const result = compareSnapshots(
+    "invoices",
+    snapshot([invoice()]),
+    snapshot([invoice({ outstanding: "0.00", status: 4, create_date: "2025-02-03" })])
+  );
+  assert.deepEqual(
+    result.rows.map((r) => [r.change, r.field, r.category, r.before, r.after]),
+    [
+      ["modified", "create_date", "date", "2025-02-01", "2025-02-03"],
+      ["modified", "status", "status", 2, 4],
+      ["modified", "outstanding", "amount", "10", "0.00"],
+    ]
+  );
+  assert.deepEqual(result.summary.categories, { date: 1, status: 1, amount: 1 });
+});
+
+test("line items: changed, added and removed lines are reported per line", () => {
+  const result = compareSnapshots(
+    "invoices",
+    snapshot([
+      invoice({
+        lines: [
+          { lineid: 1, name: "Design", qty: "1", unit_cost: { amount: "10" }, amount: { amount: "10" } },
+          { lineid: 2, name: "Hosting", qty: "1", unit_cost: { amount: "5" }, amount: { amount: "5" } },
+        ],
+      }),
+    ]),
+    snapshot([
+      invoice({
+        lines: [
+          { lineid: 1, name: "Design", qty: "2", unit_cost: { amount: "10" }, amount: { amount: "20" } },
+          { lineid: 3, name: "Support", qty: "1", unit_cost: { amount: "8" }, amount: { amount: "8" } },
+        ],
+      }),
+    ])
+  );
+  assert.deepEqual(
+    result.rows.map((r) => [r.field, r.category, r.before, r.after]),
+    [
+      ["line 1.qty", "line_items", "1", "2"],
+      ["line 1.amount", "line_items", "10", "20"],
+      ["line 3", "line_items", null, "added"],
+      ["line 2", "line_items", "removed", null],
+    ]
+  );
+  assert.equal(result.summary.categories.line_items, 4);
+});
+
+test("records are added or removed by id, and different ranges are flagged", () => {
+  const result = compareSnapshots(
+    "invoices",
+    snapshot([invoice(), invoice({ id: 2, invoice_number: "INV-2" })]),
+    snapshot([invoice(), invoice({ id: 3, invoice_number: "INV-3" })], { ...RANGE, end_date: "2025-04-30" })
+  );
+  assert.deepEqual(
+    result.records.map((r) => [r.change, r.record_id, r.number]),
+    [
+      ["added", "3", "INV-3"],
+      ["removed", "2", "INV-2"],
+    ]
+  );
+  assert.deepEqual(
+    [result.summary.added, result.summary.removed, result.summary.modified, result.summary.same_range],
+    [1, 1, 0, false]
+  );
+});
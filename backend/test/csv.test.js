@@ -0,0 +1,35 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { toCsv } from "../../shared/csv.js";
+
+test("quotes fields with delimiters, quotes and line breaks; records end with CRLF", () => {
+  const csv = toCsv([{ name: 'Acme, "West"', notes: "line 1\nline 2", total: 10.5 }]);
+  assert.equal(csv, 'name,notes,total\r\n"Acme, ""West""","line 1\nline 2",10.5\r\n');
+});
+
+test("nested invoice values flatten to dotted columns in first-seen order", () => {
+  const csv = toCsv([
+    {
+      invoice_number: "INV-1",
+      amount: { amount: "10.00", code: "USD" },
+      line_items_array: [{ description: "Design" }, { description: "Hosting" }],
+      tags: ["a", "b"],
+      meta: {},
+    },
+    { invoice_number: "INV-2", outstanding: null },
+  ]);
+  assert.equal(
+    csv,
+    [
+      "invoice_number,amount.amount,amount.code,line_items_array.1.description,line_items_array.2.description,tags,meta,outstanding",
+      "INV-1,10.00,USD,Design,Hosting,a; b,,",
+      "INV-2,,,,,,,",
+      "",
+    ].join("\r\n")
+  );
+});
+
+test("semicolon delimiter and BOM for European Excel; bad delimiters are rejected", () => {
+  assert.equal(toCsv([{ a: "1;2", b: "3,4" }], { delimiter: ";", bom: true }), '\uFEFFa;b\r\n"1;2";3,4\r\n');
+  assert.throws(() => toCsv([], { delimiter: '"' }), /Invalid CSV delimiter/);
+});
@@ -0,0 +1,107 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, afterEach, before, beforeEach, test } from "node:test";
+import { freshbooksGet, parseRetryAfter, setUnauthorizedHandler } from "../freshbooks.js";
+
+// FreshBooks stand-in: answers each request with the next scripted [status, headers]
+// (200 once the script runs out) and records what it was sent
+let script = [];
+const received = [];
+let server;
+let url;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    received.push({ authorization: req.headers.authorization });
+    const [status, headers = {}] = script.shift() || [200];
+    res.writeHead(status, { "content-type": "application/json", ...headers });
+    res.end(JSON.stringify({ status }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}/accounting/account/acc1/invoices/invoices`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  received.length = 0;
+  delete process.env.FRESHBOOKS_MAX_RETRIES;
+});
+
+afterEach(() => setUnauthorizedHandler(null));
+
+test("429 and 5xx are retried after the Retry-After delay and the retries are reported", async () => {
+  script = [
+    [429, { "retry-after": "0" }],
+    [503, { "retry-after": "0" }],
+  ];
+  const retries = [];
+  const response = await freshbooksGet(url, {}, { onRetry: (info) => retries.push(info) });
+  assert.equal(response.status, 200);
+  assert.equal(response.retries, 2);
+  assert.deepEqual(
+    retries.map((r) => [r.attempt, r.status, r.delay_ms]),
+    [
+      [1, 429, 0],
+      [2, 503, 0],
+    ]
+  );
+});
+
+test("the last error is rethrown once the retry limit is reached; other statuses are not retried", async () => {
+  process.env.FRESHBOOKS_MAX_RETRIES = "1";
+  script = [
+    [500, { "retry-after": "0" }],
+    [502, { "retry-after": "0" }],
+  ];
+  await assert.rejects(freshbooksGet(url), (err) => err.response.status === 502 && err.retries === 1);
+
+  script = [[400]];
+  received.length = 0;
+  await assert.rejects(freshbooksGet(url), (err) => err.response.status === 400 && err.retries === 0);
+  assert.equal(received.length, 1);
+});
+
+test("Retry-After is read as seconds or as an HTTP date", () => {
+  assert.equal(parseRetryAfter("3"), 3000);
+  const inFive = parseRetryAfter(new Date(Date.now() + 5000).toUTCString());
+  assert.ok(inFive > 3000 && inFive <= 5000, `${inFive}ms`);
+  assert.equal(parseRetryAfter("Wed, 21 Oct 2015 07:28:00 GMT"), 0);
+  assert.equal(parseRetryAfter("soon"), null);
+  assert.equal(parseRetryAfter(undefined), null);
+});
+
+const withToken = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+
+test("a 401 refreshes the token once and replays the request with it", async () => {
+  const stale = [];
+  setUnauthorizedHandler(async (token) => {
+    stale.push(token);
+    return "fresh";
+  });
+  script = [[401]];
+  const response = await freshbooksGet(url, withToken("stale"));
+  assert.equal(response.status, 200);
+  assert.equal(response.refreshedToken, "fresh");
+  assert.deepEqual(stale, ["stale"]);
+  assert.deepEqual(received.map((r) => r.authorization), ["Bearer stale", "Bearer fresh"]);
+});
+
+test("a 401 with the refreshed token, or a failed refresh, is returned to the caller", async () => {
+  let refreshes = 0;
+  setUnauthorizedHandler(async () => {
+    refreshes++;
+    return "fresh";
+  });
+  script = [[401], [401]];
+  await assert.rejects(freshbooksGet(url, withToken("stale")), (err) => err.response.status === 401);
+  assert.equal(refreshes, 1);
+
+  setUnauthorizedHandler(async () => {
+    throw new Error("refresh token revoked");
+  });
+  script = [[401]];
+  received.length = 0;
+  await assert.rejects(freshbooksGet(url, withToken("stale")), (err) => err.response.status === 401);
+  assert.equal(received.length, 1);
+});
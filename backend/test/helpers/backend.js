@@ -0,0 +1,139 @@
+// helpers/backend.js
+// --------------------------------------------------
+// Route-level test harness
+// - startFreshBooksMock(): in-process HTTP server standing in for FreshBooks (OAuth
+//   token, users/me and account-scoped list endpoints served from `records`)
+// - startBackend(): runs server.js in a child process with its own temp working
+//   directory (history, vault, store, mapping profiles never touch the repo) and a
+//   cookie-keeping client signed in through the admin-only /api/update-tokens
+// --------------------------------------------------
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const SERVER = fileURLToPath(new URL("../../server.js", import.meta.url));
+export const IDS = { account_id: "acc1", business_id: "11", business_uuid: "uuid1" };
+
+const listen = (server) =>
+  new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+
+/**
+ * @param {{ records?: Object<string, Object[]> }} [options] list key (invoices, bills, ...) → records
+ */
+export async function startFreshBooksMock({ records = {} } = {}) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://mock");
+    calls.push(`${req.method} ${url.pathname}`);
+    const send = (status, body) => {
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+    if (req.method === "POST" && url.pathname === "/auth/oauth/token")
+      return send(200, { access_token: "A2", refresh_token: "R2", expires_in: 3600 });
+    if (url.pathname === "/auth/api/v1/users/me") {
+      const business = { id: 11, account_id: IDS.account_id, business_uuid: IDS.business_uuid, name: "Biz One" };
+      return send(200, { response: { id: 7, user: { id: 7, fname: "Test", lname: "User" }, business_memberships: [{ business }] } });
+    }
+    const match = url.pathname.match(/^\/accounting\/account\/(\w+)\/\w+\/(\w+)$/);
+    if (match && match[1] === IDS.account_id) {
+      const page = Number(url.searchParams.get("page") || 1);
+      const list = page > 1 ? [] : records[match[2]] || [];
+      return send(200, { response: { result: { [match[2]]: list, page, pages: 1, total: list.length } } });
+    }
+    send(404, { error: "not found" });
+  });
+  const port = await listen(server);
+  return { url: `http://127.0.0.1:${port}`, calls, close: () => new Promise((r) => server.close(r)) };
+}
+
+const freePort = async () => {
+  const server = http.createServer();
+  const port = await listen(server);
+  await new Promise((r) => server.close(r));
+  return port;
+};
+
+/**
+ * @param {{ freshbooks: string, env?: Object<string, string> }} options
+ */
+export async function startBackend({ freshbooks, env = {} }) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), "fbx-test-"));
+  const port = await freePort();
+  let output = "";
+  const child = spawn(process.execPath, [SERVER], {
+    cwd,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      FRESHBOOKS_API: freshbooks,
+      FRESHBOOKS_MAX_RETRIES: "0",
+      ADMIN_TOKEN: "test-admin",
+      CLIENT_ID: "cid",
+      CLIENT_SECRET: "secret",
+      REDIRECT_URI: `http://127.0.0.1:${port}/callback`,
+      TOKEN_VAULT_PASSPHRASE: "",
+      ACCOUNT_ID: "",
+      BUSINESS_ID: "",
+      BUSINESS_UUID: "",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+
+  const base = `http://127.0.0.1:${port}`;
+  let cookie = "";
+  const request = async (route, { method = "GET", body, headers = {} } = {}) => {
+    const res = await fetch(`${base}${route}`, {
+      method,
+      headers: {
+        ...(cookie ? { cookie } : {}),
+        ...(body ? { "content-type": "application/json" } : {}),
+        ...headers,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const setCookie = res.headers.get("set-cookie");
+    if (setCookie) cookie = setCookie.split(";")[0];
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      // not JSON (plain text routes)
+    }
+    return { status: res.status, body: json ?? text };
+  };
+
+  const stop = () => {
+    child.kill();
+    fs.rmSync(cwd, { recursive: true, force: true });
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await fetch(`${base}/`);
+      break;
+    } catch {
+      if (attempt > 100 || child.exitCode !== null) {
+        stop();
+        throw new Error(`server.js did not start:\n${output}`);
+      }
+      await new Promise((r) => setTimeout(r, 100));
+    }
+  }
+
+  const signIn = () =>
+    request("/api/update-tokens", {
+      method: "POST",
+      headers: { "x-admin-token": "test-admin" },
+      body: { access_token: "A1", refresh_token: "R1", expires_in: 3600, ...IDS },
+    });
+
+  return { url: base, cwd, request, signIn, stop, output: () => output };
+}
@@ -0,0 +1,40 @@
+// helpers/fixtures.js
+// --------------------------------------------------
+// FreshBooks-shaped records shared by the report and route tests
+// - each factory fills in a plausible USD document for one client / vendor;
+//   `fields` overrides or adds anything the test is about
+// --------------------------------------------------
+
+export const money = (amount, code = "USD") => ({ amount, code });
+
+export const invoice = (id, fields = {}) => ({
+  id,
+  invoiceid: id,
+  invoice_number: `INV-${id}`,
+  customerid: 9,
+  organization: "Acme Ltd",
+  currency_code: "USD",
+  create_date: "2025-01-01",
+  amount: money("100.00"),
+  outstanding: money("100.00"),
+  ...fields,
+});
+
+export const payment = (id, invoiceid, amount, fields = {}) => ({
+  id,
+  invoiceid,
+  date: "2025-03-10",
+  amount: money(amount),
+  type: "Check",
+  ...fields,
+});
+
+export const bill = (id, fields = {}) => ({
+  id,
+  bill_number: `B-${id}`,
+  vendorid: 40,
+  currency_code: "USD",
+  total_amount: money("50.00"),
+  outstanding: money("50.00"),
+  ...fields,
+});
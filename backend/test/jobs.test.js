@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+
+// jobs.js keeps its files under ./jobs → run it from a temp directory
+const cwd = process.cwd();
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fbx-jobs-"));
+process.chdir(dir);
+const { createJob, loadJobCheckpoint, recordJobPage } = await import("../jobs.js");
+process.chdir(cwd);
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const pagesFile = (job) => path.join(dir, "jobs", `${job.id}.pages.ndjson`);
+const page = (n) => ({
+  page: n,
+  nextPage: n + 1,
+  urlIndex: 0,
+  lastFirstId: n * 10,
+  records: [{ id: n * 10 }, { id: n * 10 + 1 }],
+  count: n * 2,
+  totalPages: 5,
+});
+const ids = (checkpoint) => checkpoint.records.map((r) => r.id);
+
+test("a page written again before its checkpoint was saved is kept once on resume", () => {
+  const job = createJob({ type: "invoices" });
+  recordJobPage(job, page(1));
+  recordJobPage(job, page(2));
+  // Page 2 written twice (a retried run) and page 3 appended just before a crash, with the
+  // checkpoint still pointing at page 3
+  fs.appendFileSync(pagesFile(job), `${JSON.stringify({ page: 2, retries: 1, records: page(2).records })}\n`);
+  fs.appendFileSync(pagesFile(job), `${JSON.stringify({ page: 3, retries: 0, records: page(3).records })}\n`);
+
+  const checkpoint = loadJobCheckpoint(job);
+  assert.equal(checkpoint.page, 3);
+  assert.deepEqual(ids(checkpoint), [10, 11, 20, 21]);
+  assert.deepEqual(checkpoint.pageRetries, [
+    { page: 1, retries: 0 },
+    { page: 2, retries: 1 },
+  ]);
+  // The file is cut back to the checkpointed pages, so the resumed run appends cleanly
+  assert.equal(fs.readFileSync(pagesFile(job), "utf-8").trim().split("\n").length, 2);
+
+  recordJobPage(job, page(3));
+  assert.deepEqual(ids(loadJobCheckpoint(job)), [10, 11, 20, 21, 30, 31]);
+});
+
+test("a partially written page is dropped on resume", () => {
+  const job = createJob({ type: "bills" });
+  recordJobPage(job, page(1));
+  fs.appendFileSync(pagesFile(job), `{"page":2,"retries":0,"records":[{"id":2`);
+
+  const checkpoint = loadJobCheckpoint(job);
+  assert.equal(checkpoint.page, 2);
+  assert.deepEqual(ids(checkpoint), [10, 11]);
+  const kept = { page: 1, retries: 0, records: page(1).records };
+  assert.equal(fs.readFileSync(pagesFile(job), "utf-8"), `${JSON.stringify(kept)}\n`);
+
+  recordJobPage(job, page(2));
+  assert.deepEqual(ids(loadJobCheckpoint(job)), [10, 11, 20, 21]);
+});
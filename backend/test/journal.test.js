@@ -0,0 +1,149 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { buildJournal } from "../journal.js";
+
+// Invoice with a 5% discount and 10% HST on its only line:
+// revenue 100.00, tax on the discounted base 9.50, AR 104.50, discount 5.00
+const invoice = {
+  id: 501,
+  invoice_number: "INV-0001",
+  create_date: "2025-03-01",
+  currency_code: "CAD",
+  amount: { amount: "104.50", code: "CAD" },
+  discount_value: "5",
+  discount_total: { amount: "-5.00", code: "CAD" },
+  lines: [
+    { name: "Consulting", qty: "2", unit_cost: { amount: "50.00", code: "CAD" }, taxName1: "HST", taxAmount1: "10" },
+  ],
+};
+
+const postings = (entry) => entry.lines.map(({ account, debit, credit }) => [account, debit, credit]);
+
+test("invoice posts revenue, tax on the discounted base and the discount", () => {
+  const { entries, unbalanced, totals } = buildJournal({ invoices: [invoice] });
+  assert.equal(entries.length, 1);
+  assert.deepEqual(postings(entries[0]), [
+    ["Accounts Receivable", 104.5, 0],
+    ["Sales Income", 0, 100],
+    ["Sales Tax Payable - HST", 0, 9.5],
+    ["Sales Discounts", 5, 0],
+  ]);
+  assert.equal(entries[0].balanced, true);
+  assert.deepEqual(unbalanced, []);
+  assert.deepEqual(totals, { debit: 109.5, credit: 109.5, balanced: true });
+});
+
+test("bill and expense taxes are posted as recoverable amounts", () => {
+  const { entries, totals } = buildJournal({
+    bills: [
+      {
+        id: 7,
+        bill_number: "B-7",
+        issue_date: "2025-03-02",
+        total_amount: { amount: "113.00", code: "CAD" },
+        lines: [
+          {
+            description: "Paper",
+            category: { category: "Office Supplies" },
+            amount: { amount: "100.00" },
+            tax_name1: "HST",
+            tax_amount1: { amount: "13.00" },
+          },
+        ],
+      },
+    ],
+    expenses: [
+      {
+        id: 8,
+        date: "2025-03-03",
+        category: { category: "Meals" },
+        amount: { amount: "20.00", code: "CAD" },
+        taxName1: "GST",
+        taxAmount1: { amount: "1.00" },
+      },
+    ],
+  });
+  assert.deepEqual(postings(entries[0]), [
+    ["Office Supplies", 100, 0],
+    ["Sales Tax Recoverable - HST", 13, 0],
+    ["Accounts Payable", 0, 113],
+  ]);
+  assert.deepEqual(postings(entries[1]), [
+    ["Meals", 20, 0],
+    ["Sales Tax Recoverable - GST", 1, 0],
+    ["Cash/Bank", 0, 21],
+  ]);
+  assert.equal(totals.balanced, true);
+});
+
+test("payments applied from a credit clear customer credits instead of cash", () => {
+  const { entries } = buildJournal({
+    payments: [
+      { id: 1, date: "2025-03-05", amount: { amount: "40.00" }, type: "Cheque", invoiceid: 501 },
+      { id: 2, date: "2025-03-06", amount: { amount: "10.00" }, creditid: 33, invoiceid: 501 },
+    ],
+  });
+  assert.deepEqual(postings(entries[0]), [
+    ["Cash/Bank", 40, 0],
+    ["Accounts Receivable", 0, 40],
+  ]);
+  assert.deepEqual(postings(entries[1]), [
+    ["Customer Credits", 10, 0],
+    ["Accounts Receivable", 0, 10],
+  ]);
+});
+
+test("entries whose lines don't add up to the document total are reported as unbalanced", () => {
+  const { entries, unbalanced, totals } = buildJournal({
+    invoices: [{ ...invoice, id: 502, invoice_number: "INV-0002", amount: { amount: "120.00" } }],
+  });
+  assert.equal(entries[0].balanced, false);
+  assert.deepEqual(unbalanced, [
+    {
+      entry_id: "invoice:502",
+      source: "invoice",
+      reference: "INV-0002",
+      date: "2025-03-01",
+      debit: 125,
+      credit: 109.5,
+      difference: 15.5,
+    },
+  ]);
+  assert.equal(totals.balanced, false);
+});
+
+test("per-line tax rounding is posted to the rounding account instead of unbalancing the invoice", () => {
+  // FreshBooks rounds 13% of 10.05 per line (1.31 × 3 = 3.93); the journal's single HST
+  // line rounds the sum (3.9195 → 3.92), a cent short of the invoice total
+  const line = { name: "Widget", amount: { amount: "10.05" }, taxName1: "HST", taxAmount1: "13" };
+  const { entries, unbalanced } = buildJournal({
+    invoices: [
+      {
+        id: 502,
+        invoice_number: "INV-0002",
+        create_date: "2025-03-04",
+        amount: { amount: "34.08", code: "CAD" },
+        lines: [line, line, line],
+      },
+      // Off by more than a cent per taxed line: a real discrepancy, not rounding
+      {
+        id: 503,
+        invoice_number: "INV-0003",
+        create_date: "2025-03-04",
+        amount: { amount: "34.20", code: "CAD" },
+        lines: [line, line, line],
+      },
+    ],
+  });
+  assert.deepEqual(postings(entries[0]), [
+    ["Accounts Receivable", 34.08, 0],
+    ["Sales Income", 0, 10.05],
+    ["Sales Income", 0, 10.05],
+    ["Sales Income", 0, 10.05],
+    ["Sales Tax Payable - HST", 0, 3.92],
+    ["Rounding Differences", 0, 0.01],
+  ]);
+  assert.equal(entries[0].balanced, true);
+  assert.ok(!postings(entries[1]).some(([account]) => account === "Rounding Differences"));
+  assert.deepEqual(unbalanced.map((e) => e.reference), ["INV-0003"]);
+});
@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { buildAccountIndex, buildGeneralLedger, buildTrialBalance, journalPostings } from "../ledger.js";
+
+const chart = [
+  {
+    accountid: 1,
+    account_number: "1000",
+    account_name: "Cash",
+    account_type: "asset",
+    sub_accounts: [{ subaccountid: 11, account_number: "1010", account_name: "Chequing" }],
+  },
+  { accountid: 4, account_number: "4000", account_name: "Sales", account_type: "income" },
+];
+
+// Adjustment-journal shape (business uuid endpoint): details with money objects
+const entries = [
+  {
+    id: "je1",
+    journalEntryNumber: "JE-1",
+    entryDate: "2025-01-15",
+    details: [
+      { accountId: 11, debit: { amount: "250.00", code: "USD" }, credit: null },
+      { accountId: 4, debit: null, credit: { amount: "250.00", code: "USD" } },
+    ],
+  },
+  {
+    id: "je2",
+    journalEntryNumber: "JE-2",
+    entryDate: "2025-02-10",
+    details: [
+      { accountId: 11, debit: { amount: "100.00" }, credit: null },
+      { accountId: 99, accountName: "Suspense", debit: null, credit: { amount: "100.00" } },
+    ],
+  },
+];
+
+const postings = journalPostings(entries, buildAccountIndex(chart));
+
+test("trial balance nets each account and balances as of the date", () => {
+  const tb = buildTrialBalance(postings, { as_of: "2025-01-31" });
+  assert.deepEqual(
+    tb.rows.map((r) => [r.account_number, r.account_name, r.debit, r.credit, r.parent_account]),
+    [
+      ["1010", "Chequing", 250, 0, "Cash"],
+      ["4000", "Sales", 0, 250, ""],
+    ]
+  );
+  assert.deepEqual(tb.totals, { debit: 250, credit: 250, balanced: true });
+
+  const later = buildTrialBalance(postings, { as_of: "2025-12-31" });
+  assert.equal(later.rows.find((r) => r.account_number === "1010").debit, 350);
+  assert.deepEqual(later.unlabelled, ["Suspense"]);
+  assert.equal(later.totals.balanced, true);
+});
+
+test("general ledger carries an opening balance and a running balance", () => {
+  const gl = buildGeneralLedger(postings, { start_date: "2025-02-01", end_date: "2025-02-28", account: "1010" });
+  assert.deepEqual(
+    gl.rows.map((r) => [r.row_type, r.debit, r.credit, r.balance]),
+    [
+      ["opening", 0, 0, 250],
+      ["posting", 100, 0, 350],
+      ["closing", 100, 0, 350],
+    ]
+  );
+  assert.equal(gl.accounts[0].closing_balance, 350);
+});
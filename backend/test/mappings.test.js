@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { startBackend, startFreshBooksMock } from "./helpers/backend.js";
+import { invoice, money } from "./helpers/fixtures.js";
+
+let freshbooks;
+let backend;
+
+before(async () => {
+  freshbooks = await startFreshBooksMock({
+    records: {
+      invoices: [
+        invoice(1, {
+          create_date: "2025-03-01",
+          amount: money("150.00"),
+          lines: [
+            { name: "Consulting", amount: money("100.00") },
+            { name: "Training", amount: money("50.00") },
+          ],
+        }),
+      ],
+      expenses: [
+        { id: 2, date: "2025-03-02", category: { category: "Meals" }, amount: { amount: "20.00", code: "USD" } },
+        { id: 3, date: "2025-03-03", category: { category: "Travel" }, amount: { amount: "30.00", code: "USD" } },
+      ],
+    },
+  });
+  backend = await startBackend({ freshbooks: freshbooks.url });
+  await backend.signIn();
+});
+
+after(async () => {
+  backend?.stop();
+  await freshbooks?.close();
+});
+
+test("the profile saved in the mapping editor is applied to the journal of the selected business", async () => {
+  const saved = await backend.request("/api/mappings", {
+    method: "PUT",
+    body: {
+      name: "Client A",
+      accounts: { receivable: "1200 Trade Debtors" },
+      income_accounts: { Consulting: "4100 Consulting Fees" },
+      expense_categories: { Meals: "6100 Meals & Entertainment" },
+    },
+  });
+  assert.equal(saved.status, 200);
+
+  // No ids in the query: the journal uses the session's business, like /api/mappings
+  const { status, body } = await backend.request("/api/generate-journal?start_date=2025-01-01&end_date=2025-12-31");
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.mapping_profile.name, "Client A");
+  assert.equal(body.balanced, true);
+
+  const accounts = new Set(body.data.map((line) => line.account));
+  for (const account of ["1200 Trade Debtors", "4100 Consulting Fees", "6100 Meals & Entertainment"])
+    assert.ok(accounts.has(account), `${account} posted`);
+
+  // Values the profile doesn't cover are listed and posted to a visible placeholder
+  assert.deepEqual(body.unmapped.income_accounts, [{ value: "Training", postings: 1 }]);
+  assert.deepEqual(body.unmapped.expense_categories, [{ value: "Travel", postings: 1 }]);
+  assert.ok(accounts.has("Unmapped expense category: Travel"));
+});
@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import test from "node:test";
+import { consumeAuthState, createAuthState } from "../oauth.js";
+
+const s256 = (verifier) => crypto.createHash("sha256").update(verifier).digest("base64url");
+
+test("a state completes once, in the session that started it, with the matching PKCE verifier", () => {
+  const { state, code_challenge, code_challenge_method } = createAuthState({ user_name: "Ana", session_id: "s1" });
+  assert.equal(code_challenge_method, "S256");
+
+  const result = consumeAuthState(state, { session_id: "s1" });
+  assert.equal(result.user_name, "Ana");
+  assert.equal(s256(result.code_verifier), code_challenge);
+  assert.ok(result.code_verifier.length >= 43 && result.code_verifier.length <= 128);
+
+  assert.deepEqual(consumeAuthState(state, { session_id: "s1" }), { error: "Unknown or already used state" });
+});
+
+test("a state from another browser session is rejected and can't be retried", () => {
+  const { state } = createAuthState({ user_name: "Ana", session_id: "victim" });
+  assert.deepEqual(consumeAuthState(state, { session_id: "attacker" }), {
+    error: "Login was started in a different browser session",
+  });
+  assert.deepEqual(consumeAuthState(state, { session_id: "victim" }), { error: "Unknown or already used state" });
+});
+
+test("tampered, malformed and expired states are rejected", () => {
+  const { state } = createAuthState({ session_id: "s1" });
+  const [nonce, signature] = state.split(".");
+  const forged = `${nonce}.${signature.startsWith("A") ? "B" : "A"}${signature.slice(1)}`;
+  assert.deepEqual(consumeAuthState(forged, { session_id: "s1" }), { error: "State signature mismatch" });
+  assert.deepEqual(consumeAuthState(nonce, { session_id: "s1" }), { error: "Missing or malformed state" });
+  assert.deepEqual(consumeAuthState("", { session_id: "s1" }), { error: "Missing or malformed state" });
+
+  const { state: late } = createAuthState({ session_id: "s1" });
+  const now = Date.now;
+  Date.now = () => now() + 11 * 60 * 1000;
+  try {
+    assert.deepEqual(consumeAuthState(late, { session_id: "s1" }), { error: "Login attempt expired" });
+  } finally {
+    Date.now = now;
+  }
+});
@@ -0,0 +1,118 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { LIMITATIONS, REASON_CODES, reconcileInvoicePayments } from "../reconcile.js";
+import { startBackend, startFreshBooksMock } from "./helpers/backend.js";
+import { invoice as invoiceFixture, money, payment } from "./helpers/fixtures.js";
+
+const invoice = (id, amount, outstanding, fields = {}) =>
+  invoiceFixture(id, { create_date: "2025-03-01", amount: money(amount), outstanding: money(outstanding), ...fields });
+
+const reasonsOf = (report) => report.discrepancies.map((d) => [d.reason, d.invoice_number, d.payment_id]);
+
+test("a paid invoice whose payments and credits match its balance reconciles", () => {
+  const report = reconcileInvoicePayments({
+    invoices: [invoice(1, "100.00", "0.00")],
+    payments: [payment(11, 1, "70.00"), payment(12, 1, "30.00", { creditid: 5, type: "Credit" })],
+  });
+  assert.deepEqual(report.discrepancies, []);
+  assert.equal(report.reconciled, 1);
+  const [row] = report.invoices;
+  assert.deepEqual([row.payments, row.credits, row.expected_outstanding, row.status], [70, 30, 0, "ok"]);
+});
+
+test("BALANCE_MISMATCH when the reported outstanding differs from amount − payments − credits", () => {
+  const report = reconcileInvoicePayments({
+    invoices: [invoice(2, "100.00", "50.00")],
+    payments: [payment(21, 2, "60.00")],
+  });
+  assert.deepEqual(reasonsOf(report), [["BALANCE_MISMATCH", "INV-2", null]]);
+  assert.equal(report.discrepancies[0].difference, 10);
+  assert.equal(report.counts.BALANCE_MISMATCH, 1);
+});
+
+test("OVERPAYMENT when payments exceed the invoice amount", () => {
+  const report = reconcileInvoicePayments({
+    invoices: [invoice(3, "100.00", "0.00")],
+    payments: [payment(31, 3, "80.00"), payment(32, 3, "40.00", { date: "2025-03-11" })],
+  });
+  assert.deepEqual(reasonsOf(report), [["OVERPAYMENT", "INV-3", null]]);
+  assert.equal(report.discrepancies[0].difference, 20);
+});
+
+test("DUPLICATE_PAYMENT when the same invoice, amount and date are paid twice", () => {
+  const report = reconcileInvoicePayments({
+    invoices: [invoice(4, "100.00", "0.00")],
+    payments: [payment(41, 4, "50.00"), payment(42, 4, "50.00")],
+  });
+  assert.deepEqual(reasonsOf(report), [["DUPLICATE_PAYMENT", "INV-4", 42]]);
+  assert.equal(report.discrepancies[0].duplicate_of_payment_id, 41);
+});
+
+test("ORPHAN_PAYMENT when a payment points at an invoice that was not extracted", () => {
+  const report = reconcileInvoicePayments({
+    invoices: [invoice(5, "100.00", "100.00")],
+    payments: [payment(51, 999, "25.00", { invoice: { invoice_number: "INV-999" } })],
+  });
+  assert.deepEqual(reasonsOf(report), [["ORPHAN_PAYMENT", null, 51]]);
+  assert.equal(report.discrepancies[0].payment_invoice_number, "INV-999");
+});
+
+test("INVOICE_NUMBER_MISMATCH when a payment's number disagrees with its invoiceid", () => {
+  const report = reconcileInvoicePayments({
+    invoices: [invoice(6, "100.00", "0.00"), invoice(7, "80.00", "80.00")],
+    payments: [payment(61, 6, "100.00", { invoice: { invoice_number: "INV-7" } })],
+  });
+  // Joined by invoiceid, so INV-6 is paid and INV-7 is untouched
+  assert.deepEqual(reasonsOf(report), [["INVOICE_NUMBER_MISMATCH", "INV-6", 61]]);
+  assert.equal(report.invoices.find((r) => r.invoice_number === "INV-7").status, "ok");
+});
+
+test("the date range limits the reported invoices but not the orphan check", () => {
+  const report = reconcileInvoicePayments(
+    {
+      invoices: [invoice(8, "100.00", "100.00", { create_date: "2024-12-31" }), invoice(9, "100.00", "90.00")],
+      payments: [payment(81, 8, "10.00"), payment(91, 9, "10.00")],
+    },
+    { start_date: "2025-01-01", end_date: "2025-12-31" }
+  );
+  // INV-8 is outside the range: its payment is neither an orphan nor a mismatch
+  assert.deepEqual(report.invoices.map((r) => r.invoice_number), ["INV-9"]);
+  assert.deepEqual(report.discrepancies, []);
+  assert.deepEqual(Object.keys(report.counts), Object.keys(REASON_CODES));
+});
+
+test("a payment and a credit of the same amount on the same day are not duplicates", () => {
+  const report = reconcileInvoicePayments({
+    invoices: [invoice(10, "100.00", "0.00")],
+    payments: [payment(101, 10, "50.00"), payment(102, 10, "50.00", { creditid: 9, type: "Credit" })],
+  });
+  assert.deepEqual(report.discrepancies, []);
+  assert.deepEqual([report.invoices[0].payments, report.invoices[0].credits], [50, 50]);
+});
+
+test("credits applied outside payments are not seen and surface as BALANCE_MISMATCH", () => {
+  // Half of INV-11 was settled with a credit note that never became a payment record
+  const report = reconcileInvoicePayments({
+    invoices: [invoice(11, "100.00", "0.00")],
+    payments: [payment(111, 11, "50.00")],
+  });
+  assert.deepEqual(reasonsOf(report), [["BALANCE_MISMATCH", "INV-11", null]]);
+  assert.equal(report.discrepancies[0].difference, -50);
+});
+
+test("the reconciliation route states that credit notes are not read", async () => {
+  const freshbooks = await startFreshBooksMock({
+    records: { invoices: [invoice(12, "100.00", "100.00")], payments: [] },
+  });
+  const backend = await startBackend({ freshbooks: freshbooks.url });
+  try {
+    await backend.signIn();
+    const { status, body } = await backend.request("/api/reports/reconciliation");
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.reconciled, 1);
+    assert.deepEqual(body.limitations, LIMITATIONS);
+  } finally {
+    backend.stop();
+    await freshbooks.close();
+  }
+});
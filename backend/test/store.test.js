@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { listSnapshots, loadSnapshot, openStore, queryRecords, saveSnapshot, storeRecords } from "../store.js";
+import { invoice, money } from "./helpers/fixtures.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fbx-store-"));
+const acme = { account_id: "acc1", business_id: "11", business_uuid: "uuid1" };
+const other = { account_id: "acc2", business_id: "22", business_uuid: "uuid2" };
+
+before(() => {
+  process.env.STORE_DB_PATH = path.join(dir, "store.db");
+  openStore();
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("records round-trip with their value types, and a re-extraction replaces them", () => {
+  storeRecords("invoices", acme, [
+    invoice(1, { create_date: "2025-01-05", auto_bill: false }),
+    invoice(2, { create_date: "2025-02-05" }),
+  ]);
+  storeRecords("invoices", acme, [invoice(2, { create_date: "2025-02-05", outstanding: money("0.00") })]);
+  storeRecords("invoices", other, [invoice(3)]);
+
+  const { total, data, raw } = queryRecords("invoices", acme, { includeRaw: true });
+  assert.equal(total, 2);
+  assert.deepEqual(
+    data.map((r) => [r.invoice_number, r.outstanding.amount]),
+    [
+      ["INV-1", "100.00"],
+      ["INV-2", "0.00"],
+    ]
+  );
+  assert.deepEqual(data[0].amount, money("100.00"));
+  assert.equal(data[0].auto_bill, false);
+  assert.equal(data[0].id, 1);
+  assert.deepEqual(raw[1], invoice(2, { create_date: "2025-02-05", outstanding: money("0.00") }));
+});
+
+test("queries stay within the business and date range; the store survives a reopen", () => {
+  openStore();
+  const ranged = queryRecords("invoices", acme, { start_date: "2025-02-01", end_date: "2025-02-28" });
+  assert.deepEqual(ranged.data.map((r) => r.invoice_number), ["INV-2"]);
+  assert.deepEqual(queryRecords("invoices", other).data.map((r) => r.invoice_number), ["INV-3"]);
+  assert.equal(queryRecords("bills", acme).total, 0);
+  assert.throws(() => queryRecords("profit_and_loss", acme), /Invalid type/);
+});
+
+test("snapshots are only listed and loaded for their own business", () => {
+  const id = saveSnapshot("invoices", acme, [invoice(1)], { start_date: "2025-01-01" });
+  assert.deepEqual(listSnapshots("invoices", acme).map((s) => [s.id, s.total, s.start_date]), [[id, 1, "2025-01-01"]]);
+  assert.deepEqual(loadSnapshot(id, acme).records, [invoice(1)]);
+  assert.deepEqual(listSnapshots("invoices", other), []);
+  assert.equal(loadSnapshot(id, other), null);
+});
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { invoice, money } from "./helpers/fixtures.js";
+
+// sync.js keeps its copies under ./sync → run it from a temp directory
+const cwd = process.cwd();
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fbx-sync-"));
+process.chdir(dir);
+const { syncEntityRecords } = await import("../sync.js");
+process.chdir(cwd);
+
+const ids = { account_id: "acc1", business_id: "11", business_uuid: "uuid1" };
+
+// FreshBooks stand-in: serves `listing.invoices` and reports `listing.pages`
+const listing = { invoices: [], pages: 1 };
+const requests = [];
+let server;
+let base;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://mock");
+    requests.push(url);
+    const page = Number(url.searchParams.get("page") || 1);
+    const invoices = page === 1 ? listing.invoices : [];
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end(JSON.stringify({ response: { result: { invoices, page, pages: listing.pages } } }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const sync = (options = {}) => syncEntityRecords({ base, type: "invoices", ids, token: "A1", ...options });
+const amounts = (result) => Object.fromEntries(result.raw.map((r) => [r.id, r.amount.amount]));
+
+test("a truncated incremental sync keeps the previous sync time; a full sync replaces the copy", async () => {
+  listing.invoices = [invoice(1, { amount: money("10.00") }), invoice(2, { amount: money("20.00") })];
+  const first = await sync({ includeRaw: true });
+  assert.equal(first.sync.mode, "full");
+  assert.equal(first.sync.complete, true);
+  const syncedAt = first.sync.last_synced_at;
+
+  // Only one page of changes fits under max_pages: what arrived is merged, but the next
+  // run must ask again from the same point
+  listing.invoices = [invoice(2, { amount: money("25.00") })];
+  listing.pages = 2;
+  requests.length = 0;
+  const truncated = await sync({ includeRaw: true, maxPages: 1 });
+  assert.equal(truncated.truncated, true);
+  assert.equal(truncated.sync.mode, "incremental");
+  assert.equal(truncated.sync.last_synced_at, syncedAt);
+  assert.ok(requests[0].searchParams.get("search[updated_min]"), "asked for changes only");
+  assert.deepEqual(amounts(truncated), { 1: "10.00", 2: "25.00" });
+
+  const next = await sync({ maxPages: 1 });
+  assert.equal(next.sync.since, truncated.sync.since);
+
+  // Invoice 1 was deleted in FreshBooks: only a full sync drops it from the copy
+  listing.invoices = [invoice(2, { amount: money("25.00") })];
+  listing.pages = 1;
+  const full = await sync({ includeRaw: true, full: true });
+  assert.equal(full.sync.mode, "full");
+  assert.ok(full.sync.last_synced_at > syncedAt);
+  assert.deepEqual(amounts(full), { 2: "25.00" });
+  assert.equal(full.sync.local_total, 1);
+});
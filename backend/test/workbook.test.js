@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import ExcelJS from "exceljs";
+import { buildWorkbook } from "../workbook.js";
+import { invoice, money } from "./helpers/fixtures.js";
+
+// Written to .xlsx and read back, so the types are the ones Excel will see
+const roundTrip = async (workbook) => {
+  const read = new ExcelJS.Workbook();
+  await read.xlsx.load(await workbook.xlsx.writeBuffer());
+  return read;
+};
+
+const cellsByHeader = (sheet, rowNumber) => {
+  const headers = sheet.getRow(1).values;
+  const cells = {};
+  sheet.getRow(rowNumber).eachCell((cell, col) => (cells[headers[col]] = cell));
+  return cells;
+};
+
+test("entity and line sheets get typed cells: money, dates and quantities as numbers, ids as text", async () => {
+  const raw = invoice(7, {
+    invoice_number: "0007",
+    create_date: "2025-01-05",
+    updated: "2025-01-06 14:30:00",
+    amount: money("1234.50", "CAD"),
+    lines: [{ lineid: 1, name: "Design", qty: "2", unit_cost: money("50.00"), amount: money("100.00") }],
+  });
+  // The lines array has no cell on the Invoices sheet; it becomes the Invoice Lines sheet
+  const workbook = await roundTrip(buildWorkbook([{ type: "invoices", data: [raw], raw: [raw] }]));
+  assert.deepEqual(workbook.worksheets.map((s) => s.name), ["Invoices", "Invoice Lines"]);
+
+  const sheet = workbook.getWorksheet("Invoices");
+  assert.equal(sheet.views[0].state, "frozen");
+  assert.ok(sheet.autoFilter, "header has an auto-filter");
+  const cells = cellsByHeader(sheet, 2);
+  assert.equal(cells.lines, undefined);
+  assert.equal(cells.invoice_number.value, "0007");
+  assert.equal(cells.invoiceid.value, "7");
+  assert.equal(cells.amount.value, 1234.5);
+  assert.equal(cells.amount.numFmt, '#,##0.00 "CAD"');
+  assert.deepEqual(cells.create_date.value, new Date(Date.UTC(2025, 0, 5)));
+  assert.equal(cells.create_date.numFmt, "yyyy-mm-dd");
+  assert.deepEqual(cells.updated.value, new Date(Date.UTC(2025, 0, 6, 14, 30)));
+  assert.equal(cells.updated.numFmt, "yyyy-mm-dd hh:mm");
+
+  const line = cellsByHeader(workbook.getWorksheet("Invoice Lines"), 2);
+  assert.equal(line.parent_number.value, "0007");
+  assert.equal(line.qty.value, 2);
+  assert.equal(line.amount.value, 100);
+  assert.equal(line.amount.numFmt, '#,##0.00 "USD"');
+});
@@ -0,0 +1,101 @@
+// vault.js
+// --------------------------------------------------
+// Encrypted token vault
+// - credentials (per session: access/refresh token, expiry, granted scopes,
+//   linked business ids) live in an AES-256-GCM encrypted JSON file instead of backend/.env
+// - key = scrypt(TOKEN_VAULT_PASSPHRASE, per-file salt)
+// - writes go to a temp file first and are renamed over the vault (atomic)
+// - config (CLIENT_ID, SCOPE, REDIRECT_URI, ...) stays in .env
+// --------------------------------------------------
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+const VAULT_VERSION = 1;
+const EMPTY_VAULT = { sessions: {}, updated_at: null };
+
+let vaultPath = null;
+let salt = null;
+let key = null;
+let contents = { ...EMPTY_VAULT };
+
+const passphrase = () => process.env.TOKEN_VAULT_PASSPHRASE || "";
+
+const deriveKey = (pass, saltBuf) => crypto.scryptSync(pass, saltBuf, 32);
+
+function encrypt(data) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), "utf-8"), cipher.final()]);
+  return {
+    version: VAULT_VERSION,
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: ciphertext.toString("base64"),
+  };
+}
+
+function decrypt(file) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(file.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(file.tag, "base64"));
+  const plain = Buffer.concat([decipher.update(Buffer.from(file.data, "base64")), decipher.final()]);
+  return JSON.parse(plain.toString("utf-8"));
+}
+
+function writeVaultFile() {
+  if (!key) return;
+  const tmp = `${vaultPath}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tmp, JSON.stringify(encrypt(contents), null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, vaultPath);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    console.warn("[Vault] Failed to write token vault:", err.message);
+  }
+}
+
+// ---------------------------
+// Open the vault once at boot (after dotenv has loaded)
+// - no passphrase → credentials are kept in memory only, never written in plain text
+// - a wrong passphrase / corrupted file throws rather than silently starting empty
+// ---------------------------
+export function loadVault() {
+  vaultPath = path.resolve(process.env.TOKEN_VAULT_PATH || "tokens.vault.json");
+  const pass = passphrase();
+  if (!pass) {
+    console.warn(
+      "[Vault] TOKEN_VAULT_PASSPHRASE is not set; tokens are kept in memory only and are lost on restart."
+    );
+    return getVault();
+  }
+
+  if (!fs.existsSync(vaultPath)) {
+    salt = crypto.randomBytes(16);
+    key = deriveKey(pass, salt);
+    console.log(`[Vault] No token vault yet; one will be created at ${vaultPath}`);
+    return getVault();
+  }
+
+  const file = JSON.parse(fs.readFileSync(vaultPath, "utf-8"));
+  if (file.version !== VAULT_VERSION) throw new Error(`Unsupported token vault version: ${file.version}`);
+  salt = Buffer.from(file.salt, "base64");
+  key = deriveKey(pass, salt);
+  try {
+    // Only known sections survive; older single-user fields are dropped on the next write
+    const { sessions = {}, updated_at = null } = decrypt(file);
+    contents = { ...EMPTY_VAULT, sessions, updated_at };
+  } catch {
+    throw new Error("Could not decrypt the token vault; check TOKEN_VAULT_PASSPHRASE.");
+  }
+  console.log("[Vault] Token vault loaded.");
+  return getVault();
+}
+
+export const getVault = () => structuredClone(contents);
+
+export function updateVault(patch) {
+  contents = { ...contents, ...patch, updated_at: new Date().toISOString() };
+  writeVaultFile();
+  return getVault();
+}
@@ -0,0 +1,195 @@
+// workbook.js
+// --------------------------------------------------
+// XLSX export (exceljs)
+// - one sheet per entity from the formatRecord rows (Invoices, Payments, ...)
+//   plus a "<Entity> Lines" sheet for entities with line items (Invoice Lines, Bill Lines)
+// - typed cells: money → number with a currency format, dates → real Excel dates,
+//   quantities / percentages → numbers; ids and document numbers stay text
+// - header row is bold, frozen and auto-filtered
+// --------------------------------------------------
+import ExcelJS from "exceljs";
+import { extractLineItems, recordDate } from "./extractor.js";
+
+const MONEY_COLUMN = /(amount|total|paid|outstanding|cost|price|balance|subtotal|^amt$|^unit$|^tax\d?$|^(total_)?(debit|credit)$)/i;
+const QUANTITY_COLUMN = /^(qty|quantity|hours|line_items_count|due_offset_days)$/i;
+const PERCENT_COLUMN = /percent/i;
+// Never coerce identifiers / names, even when they look numeric ("0001")
+const TEXT_COLUMN = /((?<!pa)id$|_id|uuid|number|name|code|description|notes?$|status)/i;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{2}):(\d{2})(?::(\d{2}))?)?/;
+const US_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/;
+const MONEY_FORMAT = "#,##0.00";
+const PERCENT_FORMAT = "0.00";
+const DATE_FORMAT = "yyyy-mm-dd";
+const DATE_TIME_FORMAT = "yyyy-mm-dd hh:mm";
+const MAX_SHEET_NAME = 31;
+
+const SHEET_TITLES = {
+  invoices: "Invoices",
+  bills: "Bills",
+  payments: "Payments",
+  expenses: "Expenses",
+  credit_notes: "Credit Notes",
+  estimates: "Estimates",
+  profit_and_loss: "Profit and Loss",
+};
+const LINE_SHEET_TITLES = {
+  invoices: "Invoice Lines",
+  bills: "Bill Lines",
+  estimates: "Estimate Lines",
+  credit_notes: "Credit Note Lines",
+};
+
+export const sheetTitle = (type) =>
+  SHEET_TITLES[type] ||
+  String(type)
+    .split("_")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+
+// Excel dates have no timezone: build them in UTC so the shown day never shifts
+function toExcelDate(value) {
+  const text = String(value).trim();
+  const iso = ISO_DATE.exec(text);
+  const us = iso ? null : US_DATE.exec(text);
+  if (!iso && !us) return null;
+  const [y, m, d, hh = "0", mm = "0", ss = "0"] = iso
+    ? iso.slice(1)
+    : [us[3], us[1], us[2], us[4], us[5]];
+  const date = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm), Number(ss)));
+  if (Number.isNaN(date.getTime())) return null;
+  return { date, withTime: Boolean(iso ? iso[4] : us[4]) };
+}
+
+const toNumber = (value) => {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string" || !value.trim()) return null;
+  const n = Number(value.replace(/,/g, ""));
+  return Number.isFinite(n) ? n : null;
+};
+
+// FreshBooks money is often { amount: "12.50", code: "USD" }
+const isMoneyObject = (value) =>
+  value && typeof value === "object" && !Array.isArray(value) && "amount" in value;
+
+const moneyFormat = (code) => (code ? `${MONEY_FORMAT} "${code}"` : MONEY_FORMAT);
+
+// One value → { value, numFmt } for an exceljs cell
+export function typedCell(column, value) {
+  if (value === null || value === undefined || value === "") return { value: null };
+
+  if (isMoneyObject(value)) {
+    const n = toNumber(value.amount);
+    return n === null ? { value: JSON.stringify(value) } : { value: n, numFmt: moneyFormat(value.code) };
+  }
+  if (typeof value === "object") return { value: JSON.stringify(value) };
+  if (typeof value === "boolean") return { value };
+
+  if (!TEXT_COLUMN.test(column) || /date|_at$/i.test(column)) {
+    const parsed = typeof value === "string" ? toExcelDate(value) : null;
+    if (parsed) return { value: parsed.date, numFmt: parsed.withTime ? DATE_TIME_FORMAT : DATE_FORMAT };
+  }
+  if (!TEXT_COLUMN.test(column)) {
+    const n = toNumber(value);
+    if (n !== null && MONEY_COLUMN.test(column)) return { value: n, numFmt: MONEY_FORMAT };
+    if (n !== null && PERCENT_COLUMN.test(column)) return { value: n, numFmt: PERCENT_FORMAT };
+    if (n !== null && (QUANTITY_COLUMN.test(column) || typeof value === "number")) return { value: n };
+  }
+  return { value: typeof value === "string" ? value : String(value) };
+}
+
+// Header = union of row keys in first-seen order; all-array columns belong on the Lines sheet
+function sheetColumns(rows) {
+  const seen = new Map();
+  for (const row of rows) {
+    for (const [key, value] of Object.entries(row || {})) {
+      const entry = seen.get(key) || { arrays: 0, values: 0 };
+      if (Array.isArray(value)) entry.arrays++;
+      else if (value !== null && value !== undefined) entry.values++;
+      seen.set(key, entry);
+    }
+  }
+  return [...seen.entries()].filter(([, c]) => !(c.arrays > 0 && c.values === 0)).map(([key]) => key);
+}
+
+function uniqueSheetName(workbook, wanted) {
+  const base = wanted.replace(/[\\/?*[\]:]/g, " ").slice(0, MAX_SHEET_NAME) || "Sheet";
+  let name = base;
+  for (let i = 2; workbook.getWorksheet(name); i++) {
+    const suffix = ` (${i})`;
+    name = `${base.slice(0, MAX_SHEET_NAME - suffix.length)}${suffix}`;
+  }
+  return name;
+}
+
+// ---------------------------
+// Add one sheet of rows (frozen, filtered header; typed cells)
+// ---------------------------
+export function addSheet(workbook, title, rows, columns = sheetColumns(rows)) {
+  const sheet = workbook.addWorksheet(uniqueSheetName(workbook, title), {
+    views: [{ state: "frozen", ySplit: 1 }],
+  });
+  if (columns.length === 0) {
+    sheet.addRow(["No records"]);
+    return sheet;
+  }
+
+  sheet.columns = columns.map((key) => ({
+    header: key,
+    key,
+    width: Math.min(Math.max(key.length + 2, 12), 40),
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for (const row of rows) {
+    const excelRow = sheet.addRow([]);
+    columns.forEach((key, index) => {
+      const { value, numFmt } = typedCell(key, row?.[key]);
+      const cell = excelRow.getCell(index + 1);
+      cell.value = value;
+      if (numFmt) cell.numFmt = numFmt;
+    });
+  }
+
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+  return sheet;
+}
+
+// Line rows carry a reference back to their document
+const parentRef = (raw) => ({
+  parent_id: raw.id ?? raw.invoiceid ?? raw.billid ?? raw.estimateid ?? raw.creditid ?? null,
+  parent_number:
+    raw.invoice_number ?? raw.bill_number ?? raw.estimate_number ?? raw.credit_number ?? null,
+  parent_date: recordDate(raw) || null,
+});
+
+export function lineRows(type, rawRecords) {
+  return (rawRecords || []).flatMap((raw) =>
+    extractLineItems(type, raw).map((line) => ({ ...parentRef(raw), ...line }))
+  );
+}
+
+// ---------------------------
+// Workbook for several extractions: [{ type, data (formatRecord rows), raw }]
+// ---------------------------
+export function buildWorkbook(extractions) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "FreshBooks Data Extraction";
+  workbook.created = new Date();
+
+  for (const { type, data, raw } of extractions) {
+    addSheet(workbook, sheetTitle(type), data || []);
+    if (LINE_SHEET_TITLES[type]) addSheet(workbook, LINE_SHEET_TITLES[type], lineRows(type, raw));
+  }
+  return workbook;
+}
+
+// ---------------------------
+// Report workbook: [{ title, rows }] → one typed sheet per report table
+// ---------------------------
+export function buildReportWorkbook(sheets) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "FreshBooks Data Extraction";
+  workbook.created = new Date();
+  for (const { title, rows } of sheets) addSheet(workbook, title, rows || []);
+  return workbook;
+}
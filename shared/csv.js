@@ -0,0 +1,103 @@
+// csv.js
+// --------------------------------------------------
+// RFC 4180 CSV writer shared by the backend exports and the browser download
+// - header = union of every row's columns in first-seen order (or `columns`)
+// - fields containing the delimiter, a double quote, CR or LF are quoted and
+//   embedded quotes doubled; records end with CRLF
+// - flattening rule for nested values:
+//     plain object        → dotted columns        amount.amount, amount.code
+//     array of objects    → 1-based dotted columns line_items_array.1.description
+//     array of primitives → one cell joined by "; "
+//     empty object/array  → empty cell
+// - bom: prefix a UTF-8 BOM so Excel detects the encoding
+// - delimiter: "," by default, ";" for European-locale Excel
+// No imports: the backend (Node) and the frontend (Vite) both load this file as is.
+// --------------------------------------------------
+
+const BOM = "\uFEFF";
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date);
+
+function flattenInto(out, prefix, value) {
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      out[prefix] = "";
+    } else if (value.some((item) => isPlainObject(item) || Array.isArray(item))) {
+      value.forEach((item, index) => flattenInto(out, `${prefix}.${index + 1}`, item));
+    } else {
+      out[prefix] = value.map((item) => scalarText(item)).join("; ");
+    }
+    return;
+  }
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value);
+    if (entries.length === 0) out[prefix] = "";
+    for (const [key, child] of entries) flattenInto(out, prefix ? `${prefix}.${key}` : key, child);
+    return;
+  }
+  out[prefix] = value;
+}
+
+/**
+ * One record → flat { column: scalar } using the dotted-column rule above.
+ * @param {Object} row
+ * @returns {Object<string, any>}
+ */
+export function flattenRow(row) {
+  const out = {};
+  if (isPlainObject(row)) flattenInto(out, "", row);
+  return out;
+}
+
+/**
+ * Union of columns across rows, in first-seen order.
+ * @param {Object[]} rows already flat rows
+ * @returns {string[]}
+ */
+export function csvColumns(rows) {
+  const seen = new Set();
+  for (const row of rows) for (const key of Object.keys(row || {})) seen.add(key);
+  return [...seen];
+}
+
+function scalarText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? "" : value.toISOString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Quote one field when RFC 4180 requires it.
+ * @param {any} value
+ * @param {string} [delimiter]
+ * @returns {string}
+ */
+export function csvField(value, delimiter = ",") {
+  const text = scalarText(value);
+  const needsQuotes =
+    text.includes(delimiter) || text.includes('"') || text.includes("\n") || text.includes("\r");
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows → CSV text.
+ * @param {Object[]} rows
+ * @param {{ columns?: string[], delimiter?: string, bom?: boolean, flatten?: boolean }} [options]
+ *   columns: fixed header (after flattening); default is the union of all rows
+ *   flatten: apply the dotted-column rule (default true); false writes nested values as JSON
+ * @returns {string}
+ */
+export function toCsv(rows, { columns, delimiter = ",", bom = false, flatten = true } = {}) {
+  if (typeof delimiter !== "string" || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+    throw new Error(`Invalid CSV delimiter: ${JSON.stringify(delimiter)}`);
+  }
+  const list = Array.isArray(rows) ? rows : [];
+  const flat = flatten ? list.map(flattenRow) : list.map((row) => row || {});
+  const header = Array.isArray(columns) && columns.length ? columns : csvColumns(flat);
+
+  const lines = [header.map((key) => csvField(key, delimiter)).join(delimiter)];
+  for (const row of flat) lines.push(header.map((key) => csvField(row[key], delimiter)).join(delimiter));
+  return `${bom ? BOM : ""}${lines.join("\r\n")}\r\n`;
+}